@@ -0,0 +1,93 @@
+
+// Blender Interpolation for Coolorus
+// Lets the Blender mixer blend its two colors in another space than sRGB, where blue to yellow passes
+// through gray: linear RGB, OKLab, OKLCH with the shorter or the longer hue, HCT, or mixed like paint
+// (Kubelka-Munk). The space is picked in the blender's title bar and saved with the other mixer state,
+// in the panel settings and in .cool files ("interpolation", see coolfile.js).
+// The math is ColorEngine.interpolateColor() (colorengine.js). Must be loaded after main.js and colorengine.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    var BaseBlenderMode = window.BlenderMode;
+    if (!engine || !engine.interpolateColor || typeof BaseBlenderMode !== 'function') return;
+
+    var MODE_ID = 'blender';
+    var DEFAULT_INTERPOLATION = 'srgb';
+    // Stops of the continuous gradient; a canvas gradient only blends in sRGB
+    var GRADIENT_STOPS = 32;
+
+    var style = document.getElementById('blender_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'blender_style';
+        style.innerHTML = '' +
+            '.mixer-blender-interpolation { position: absolute; top: 0; left: calc(50% + 10px); height: 11px; padding: 0; ' +
+            'font-size: 9px; line-height: 10px; background: transparent; color: inherit; border: none; outline: none; cursor: pointer; }' +
+            '.mixer-blender-interpolation option { background: #333; color: #ddd; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    function BlenderMode() {
+        BaseBlenderMode.call(this);
+
+        var select = jQuery('<select class="mixer-blender-interpolation" />').attr('title', localize('blender_interpolation_tooltip'));
+        engine.INTERPOLATION_SPACES.forEach(function(space) {
+            select.append(jQuery('<option />').val(space).text(localize('blender_interpolation_' + space.replace(/-/g, '_'))));
+        });
+        this.viewHTML.find('#mixers_' + MODE_ID + '_title').append(select);
+        // viewHTML is detached with jQuery.empty() when the mixer selection changes, so delegate like initNumButtons does
+        $(document).on('change', '#mixers_' + MODE_ID + '_title .mixer-blender-interpolation', this.handleInterpolationChange.bind(this));
+        // A loaded mixer state or file may bring another space
+        this.changed.add(this.updateInterpolationSelect, this);
+        this.updateInterpolationSelect();
+    }
+    BlenderMode.prototype = BaseBlenderMode.prototype;
+
+    BlenderMode.prototype.interpolation = DEFAULT_INTERPOLATION;
+
+    var baseGetColor = BlenderMode.prototype.getColor;
+    BlenderMode.prototype.getColor = function(t) {
+        if (this.interpolation === DEFAULT_INTERPOLATION) return baseGetColor.call(this, t);
+        if (!this.isContinous()) t = Math.floor(t * this.num) / (this.num - 1);
+        return RGB.fromRawColor(engine.interpolateColor(this._foregroundColor.rawColor, this._backgroundColor.rawColor, t, this.interpolation));
+    };
+
+    var baseDraw = BlenderMode.prototype.draw;
+    BlenderMode.prototype.draw = function(g, width, height) {
+        if (this.interpolation === DEFAULT_INTERPOLATION || !this.isContinous()) {
+            baseDraw.call(this, g, width, height);
+            return;
+        }
+        var colors = [];
+        for (var i = 0; i < GRADIENT_STOPS; i++) colors.push('#' + this.getColor(i / (GRADIENT_STOPS - 1)).hex);
+        g.clear();
+        g.setStrokeStyle(0, 0, 0);
+        this.drawGradient(g, width, height, colors);
+    };
+
+    BlenderMode.prototype.setInterpolation = function(space) {
+        if (engine.INTERPOLATION_SPACES.indexOf(space) < 0 || space === this.interpolation) return;
+        this.interpolation = space;
+        this.changed.dispatch();
+    };
+
+    BlenderMode.prototype.updateInterpolationSelect = function() {
+        this.viewHTML.find('.mixer-blender-interpolation').val(this.interpolation);
+    };
+
+    BlenderMode.prototype.handleInterpolationChange = function(e) {
+        this.setInterpolation($(e.currentTarget).val());
+        window.tracking.event('mixers', MODE_ID + ' interpolation: ' + this.interpolation);
+    };
+
+    BlenderMode.prototype.handleConfigModeChanged = function() {
+        AbstractMixerBar.prototype.handleConfigModeChanged.call(this);
+        this.viewHTML.find('.mixer-blender-interpolation').toggle(!Settings.getGlobal(Settings.CONFIGURATION_MODE));
+    };
+
+    window.BlenderMode = BlenderMode;
+})();
@@ -0,0 +1,221 @@
+
+// ICC CMYK Sliders for Coolorus
+// Converts the CMYK class (and with it the CMYK slider mode) through a real output profile instead of
+// the naive 1 - RGB formula: U.S. Web Coated (SWOP) v2, Coated FOGRA39 or Japan Color 2001 Coated as
+// installed with the Adobe applications, or any CMYK .icc the user loads. Relative colorimetric with
+// black point compensation, like Photoshop's default color settings.
+// Colors that do not survive the round trip through the profile raise a gamut alarm in the slider mode.
+
+(function() {
+    if (!window.Icc || typeof CMYK !== 'function' || typeof CMYKSlider !== 'function' || typeof SlidersPanel !== 'function') return;
+
+    var PROFILE_SETTING = 'cmyk.profile';
+    var PROFILE_PATH_SETTING = 'cmyk.profile_path';
+    var PROFILE_NONE = 'none';
+    var PROFILE_CUSTOM = 'custom';
+    // CIE76 round-trip error above which a color counts as out of gamut
+    var GAMUT_ALARM_DELTA_E = 4;
+
+    var BUILTIN_PROFILES = {
+        swop: { label: 'U.S. Web Coated (SWOP) v2', file: 'USWebCoatedSWOP.icc' },
+        fogra39: { label: 'Coated FOGRA39', file: 'CoatedFOGRA39.icc' },
+        japan2001: { label: 'Japan Color 2001 Coated', file: 'JapanColor2001Coated.icc' }
+    };
+
+    // Where Adobe installers and the OS keep color profiles
+    var PROFILE_DIRS = [
+        'C:/Program Files (x86)/Common Files/Adobe/Color/Profiles/Recommended/',
+        'C:/Program Files/Common Files/Adobe/Color/Profiles/Recommended/',
+        'C:/Windows/System32/spool/drivers/color/',
+        '/Library/Application Support/Adobe/Color/Profiles/Recommended/',
+        '/Library/ColorSync/Profiles/',
+        '/Library/Application Support/Adobe/Color/Profiles/'
+    ];
+
+    var style = document.getElementById('cmyk_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'cmyk_style';
+        style.innerHTML = '' +
+            '#sliders_bars li.cmyk-profile-row { display: flex; align-items: center; height: 16px; margin-top: 2px; font-size: 10px; color: #ccc; }' +
+            '.cmyk-profile-label { margin-right: 4px; white-space: nowrap; }' +
+            '#cmyk_profile_select { flex: 1; min-width: 0; height: 14px; font-size: 10px; padding: 0; background: #222; color: #ccc; border: 1px solid #000; outline: none; }' +
+            '.cmyk-gamut-alarm { visibility: hidden; width: 14px; height: 14px; margin-left: 4px; line-height: 14px; text-align: center; font-weight: bold; color: #000; background: #e0a030; border-radius: 2px; }' +
+            '.cmyk-gamut-alarm.out-of-gamut { visibility: visible; }';
+        document.head.appendChild(style);
+    }
+
+    var profile = null;
+    var profileError = '';
+    var slidersPanel = null;
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    function parseCmykProfile(bytes) {
+        var parsed = Icc.parse(bytes);
+        if (parsed.colorSpace !== 'CMYK' || parsed.channels !== 4) throw new Error('Not a CMYK profile (' + parsed.colorSpace.trim() + ')');
+        return parsed;
+    }
+
+    function readProfile(path) {
+        var bytes = path ? window.coolorus.host.readBinaryFile(path) : null;
+        return bytes ? parseCmykProfile(bytes) : null;
+    }
+
+    function findBuiltinProfile(id) {
+        for (var i = 0; i < PROFILE_DIRS.length; i++) {
+            var found = readProfile(PROFILE_DIRS[i] + BUILTIN_PROFILES[id].file);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // Loads the profile named by the settings; falls back to the naive formula when it is unavailable.
+    function loadProfile() {
+        var id = Settings.getGlobal(PROFILE_SETTING) || PROFILE_NONE;
+        profile = null;
+        profileError = '';
+        if (id !== PROFILE_NONE && !CONFIG_WEB_PREVIEW) {
+            try {
+                profile = id === PROFILE_CUSTOM ? readProfile(Settings.getGlobal(PROFILE_PATH_SETTING)) : (BUILTIN_PROFILES[id] ? findBuiltinProfile(id) : null);
+                if (!profile) profileError = localize('cmyk_profileNotFound');
+            } catch (e) {
+                profileError = e.message;
+            }
+        }
+        gamutCache = {};
+        refreshSliders();
+        return !profileError;
+    }
+
+    // --- CMYK Conversion ---
+
+    var baseCalculateRawColor = CMYK.prototype.calculateRawColor;
+    CMYK.prototype.calculateRawColor = function() {
+        if (!profile) return baseCalculateRawColor.call(this);
+        var rgb = profile.toRgb([this._c, this._m, this._y, this._k]);
+        return this.assembleRaw(rgb[0], rgb[1], rgb[2]);
+    };
+
+    var baseUpdateComponents = CMYK.prototype.updateComponents;
+    CMYK.prototype.updateComponents = function() {
+        if (!profile) return baseUpdateComponents.call(this);
+        var cmyk = profile.fromRgb([this._raw >> 16 & 255, this._raw >> 8 & 255, this._raw & 255]);
+        this._c = cmyk[0], this._m = cmyk[1], this._y = cmyk[2], this._k = cmyk[3];
+    };
+
+    var gamutCache = {};
+
+    function isOutOfGamut(raw) {
+        if (!profile) return false;
+        raw = raw & 0xFFFFFF;
+        if (!gamutCache.hasOwnProperty(raw)) {
+            gamutCache[raw] = profile.gamutError([raw >> 16 & 255, raw >> 8 & 255, raw & 255]) > GAMUT_ALARM_DELTA_E;
+        }
+        return gamutCache[raw];
+    }
+
+    // --- Slider Mode ---
+    // The profile row is added below the CMYK sliders; setSliders() empties the list on every
+    // mode change, so the select is bound by delegation.
+    // The first call comes from the SlidersPanel constructor during init(), once Settings and the
+    // output color exist, which is when the saved profile gets loaded.
+
+    var baseSetSliders = SlidersPanel.prototype.setSliders;
+    SlidersPanel.prototype.setSliders = function(sliders) {
+        if (!slidersPanel) {
+            slidersPanel = this;
+            loadProfile();
+            window.coolorus.output.activeColor.changed.add(updateGamutAlarm);
+        }
+        baseSetSliders.call(this, sliders);
+        for (var i = 0; i < sliders.length; ++i) {
+            if (sliders[i] instanceof CMYKSlider) {
+                this._slidersContainer.append(createProfileRow());
+                updateGamutAlarm();
+                this.minimumSize.y += 18;
+                this.minimumSizeChanged.dispatch();
+                return;
+            }
+        }
+    };
+
+    function createProfileRow() {
+        var row = jQuery('<li class="cmyk-profile-row" />');
+        row.append(jQuery('<span class="cmyk-profile-label" />').text(localize('cmyk_profile')));
+        var select = jQuery('<select id="cmyk_profile_select" />');
+        select.append(jQuery('<option />').val(PROFILE_NONE).text(localize('cmyk_profile_none')));
+        for (var id in BUILTIN_PROFILES) select.append(jQuery('<option />').val(id).text(BUILTIN_PROFILES[id].label));
+        var current = Settings.getGlobal(PROFILE_SETTING) || PROFILE_NONE;
+        if (current === PROFILE_CUSTOM && profile) {
+            select.append(jQuery('<option />').val(PROFILE_CUSTOM).text(profile.description || Settings.getGlobal(PROFILE_PATH_SETTING)));
+        }
+        select.append(jQuery('<option />').val('load').text(localize('cmyk_profile_load')));
+        select.val(current);
+        select.attr('title', profileError || (profile ? profile.description : ''));
+        row.append(select);
+        row.append(jQuery('<span class="cmyk-gamut-alarm">!</span>').attr('title', localize('cmyk_outOfGamut')));
+        return row;
+    }
+
+    // value: a profile id or "load"
+    function selectProfile(select, value) {
+        var previous = Settings.getGlobal(PROFILE_SETTING) || PROFILE_NONE;
+        if (CONFIG_WEB_PREVIEW && value !== PROFILE_NONE) {
+            window.coolorus.host.alert(localize('error_optionNotAvailable'));
+            select.val(previous);
+            return;
+        }
+        if (value === 'load') {
+            var file = window.coolorus.host.fromBinaryFile(localize('cmyk_profile_load'), ['icc', 'icm'], function() {
+                selectProfile($('#cmyk_profile_select'), 'load');
+            });
+            if (!file) {
+                select.val(previous);
+                return;
+            }
+            try {
+                parseCmykProfile(file.bytes);
+            } catch (e) {
+                window.coolorus.host.alert(localize('cmyk_profileInvalid').split('%error%').join(e.message));
+                select.val(previous);
+                return;
+            }
+            Settings.setGlobal(PROFILE_PATH_SETTING, file.path);
+            value = PROFILE_CUSTOM;
+        }
+        window.tracking.event('sliders', 'cmyk profile: ' + value);
+        Settings.setGlobal(PROFILE_SETTING, value);
+        if (!loadProfile()) window.coolorus.host.alert(profileError);
+    }
+
+    $(document).on('change', '#cmyk_profile_select', function() {
+        selectProfile($(this), $(this).val());
+    });
+
+    function updateGamutAlarm() {
+        var out = window.coolorus.output ? isOutOfGamut(window.coolorus.output.activeColor.rawColor) : false;
+        $('#sliders_bars .cmyk-gamut-alarm').toggleClass('out-of-gamut', out);
+    }
+
+    // Re-derive the CMYK slider values from the current color with the new profile
+    function refreshSliders() {
+        if (!slidersPanel) return;
+        for (var i = 0; i < slidersPanel._sliders.length; ++i) {
+            var slider = slidersPanel._sliders[i];
+            if (!(slider instanceof CMYKSlider)) continue;
+            slider.color.updateComponents();
+            slider.color.changed.dispatch();
+        }
+        $('#sliders_bars .cmyk-profile-row').replaceWith(createProfileRow());
+        updateGamutAlarm();
+    }
+
+    window.CmykProfiles = {
+        load: loadProfile,
+        isOutOfGamut: isOutOfGamut,
+        getProfile: function() { return profile; }
+    };
+})();
@@ -0,0 +1,2117 @@
+
+// Color Engine for Coolorus
+// The color math of the panel without the panel: copies of the color classes of main.js (ColorBase, RGB,
+// HSV, CMYK, XYZ, LAB), the HCT / CAM16 solver, OKLab / OKLCH, the RYB / RGB / HCT wheel color spaces,
+// the wheel color schemes, WCAG / APCA contrast and ΔE color differences.
+// Nothing here touches the DOM, Settings or the host, so the same file loads in the panel and in Node:
+// - panel: <script src="js/colorengine.js"> after main.js sets window.ColorEngine (hct.js, oklab.js and
+//   wheelspace.js are built on it). The panel itself still runs the bundled copies in main.js; this is a
+//   standalone copy, and test/maincolors.test.js checks that the two agree
+// - Node: var ColorEngine = require('./js/colorengine.js'), or import from './js/colorengine.mjs'
+// The classes behave like the main.js ones (same rounding, same HSV hue for grays), except that
+// XYZ.copyFrom() of a non-XYZ color works. Their changed signal is signals.Signal when js-signals is
+// loaded, a minimal add / remove / dispatch signal otherwise.
+// Schemes: schemeAngles(name, mainAngle, angle) gives the wheel angles of a scheme in the order of the
+// panel's scheme samplers; schemeHues() maps them through a wheel color space to HSV hues.
+// schemeTemplateColors() does the same for user defined scheme templates with per-color offsets.
+// Contrast: wcagContrast() / apcaContrast() of 0xRRGGBB colors; toneForContrast() moves a color along
+// its HCT tone until it meets a WCAG ratio or APCA Lc against a background.
+// Differences: deltaE76(), deltaE2000() and deltaEOK() of 0xRRGGBB colors.
+// Parsing: parseColor() turns hex, CSS color syntax or hct(h c t) into an sRGB 0xRRGGBB.
+// Interpolation: interpolateColor() between two 0xRRGGBB colors in sRGB, linear RGB, OKLab, OKLCH, HCT
+// or as paint (Kubelka-Munk on reflectance spectra); gradientColor() along a gradient of several stops.
+// Hue families: hueFamily() names the hue of a 0xRRGGBB color (red ... pink or neutral) for filters.
+
+(function(root, factory) {
+    var engine = factory();
+    // CEP panels with Node enabled have both window and module; the panel wants the global
+    if (typeof window !== 'undefined') window.ColorEngine = engine;
+    else if (typeof module === 'object' && module.exports) module.exports = engine;
+    else root.ColorEngine = engine;
+})(this, function() {
+
+    // =========================================================================================
+    // PART 1: COLOR CLASSES
+    // Ported from main.js
+    // =========================================================================================
+
+    function MiniSignal() {
+        this._bindings = [];
+    }
+
+    MiniSignal.prototype = {
+        add: function(listener, context) {
+            this._bindings.push({ listener: listener, context: context });
+        },
+        remove: function(listener, context) {
+            for (var i = this._bindings.length - 1; i >= 0; --i) {
+                var binding = this._bindings[i];
+                if (binding.listener === listener && binding.context === context) this._bindings.splice(i, 1);
+            }
+        },
+        dispatch: function() {
+            var bindings = this._bindings.slice();
+            for (var i = 0; i < bindings.length; ++i) bindings[i].listener.apply(bindings[i].context, arguments);
+        }
+    };
+
+    var Signal = (typeof signals !== 'undefined' && signals.Signal) ? signals.Signal : MiniSignal;
+
+    function clamp01(value) {
+        return Math.max(0, Math.min(value, 1));
+    }
+
+    // --- ColorBase ---
+    // A 0xRRGGBB raw color cached from the components; setting rawColor updates the components
+
+    function ColorBase() {
+        this.changed = new Signal();
+    }
+
+    ColorBase.prototype = {
+        constructor: ColorBase,
+        _raw: 0,
+        _isUndefined: false,
+        _alpha: 1,
+        _componentChanged: true
+    };
+
+    Object.defineProperty(ColorBase.prototype, 'rawColor', {
+        get: function() {
+            if (this._componentChanged) {
+                this._raw = this.calculateRawColor();
+                this._componentChanged = false;
+            }
+            return this._raw & 0xFFFFFF;
+        },
+        set: function(value) {
+            if (this._raw == value) return;
+            this._raw = value;
+            this._componentChanged = false;
+            this.updateComponents();
+            this.changed.dispatch();
+        }
+    });
+
+    Object.defineProperty(ColorBase.prototype, 'hex', {
+        get: function() {
+            var hex = (this.rawColor & 0xFFFFFF).toString(16);
+            while (hex.length < 6) hex = '0' + hex;
+            return hex;
+        }
+    });
+
+    Object.defineProperty(ColorBase.prototype, 'alpha', {
+        get: function() {
+            return this._alpha;
+        },
+        set: function(value) {
+            if (this._alpha == value) return;
+            this._alpha = clamp01(value);
+            this.changed.dispatch();
+        }
+    });
+
+    Object.defineProperty(ColorBase.prototype, 'isUndefined', {
+        get: function() {
+            return this._isUndefined;
+        },
+        set: function(value) {
+            if (this._isUndefined == value) return;
+            this._isUndefined = value;
+            this.changed.dispatch();
+        }
+    });
+
+    ColorBase.prototype.equals = function(color) {
+        return color.rawColor == this._raw;
+    };
+
+    // withAlpha: copies the alpha too unless false
+    ColorBase.prototype.copyFrom = function(color, withAlpha) {
+        if (!color) return;
+        if (typeof withAlpha === 'undefined' || withAlpha === true) this._alpha = color.alpha;
+        this.rawColor = color.rawColor;
+        this.changed.dispatch();
+    };
+
+    ColorBase.prototype.assembleRaw = function(r, g, b) {
+        return Math.round(r) << 16 | Math.round(g) << 8 | Math.round(b);
+    };
+
+    ColorBase.prototype.calculateRawColor = function() {
+        return 0;
+    };
+
+    ColorBase.prototype.componentChanged = function() {
+        this._componentChanged = true;
+        this._isUndefined = false;
+        this.changed.dispatch();
+    };
+
+    ColorBase.prototype.updateComponents = function() {};
+
+    // Accessor for the component stored in '_' + name; notifyAlways skips the equality check like main.js
+    function defineComponent(type, name, notifyAlways) {
+        var field = '_' + name;
+        Object.defineProperty(type.prototype, name, {
+            get: function() {
+                return this[field];
+            },
+            set: function(value) {
+                if (!notifyAlways && this[field] == value) return;
+                this[field] = value;
+                this.componentChanged();
+            }
+        });
+    }
+
+    function fromRawColor(type) {
+        return function(raw) {
+            var color = new type();
+            color.rawColor = raw;
+            return color;
+        };
+    }
+
+    // --- RGB (0-255) ---
+
+    function RGB(r, g, b) {
+        ColorBase.call(this);
+        this._r = r || 0;
+        this._g = g || 0;
+        this._b = b || 0;
+    }
+
+    RGB.prototype = Object.create(ColorBase.prototype);
+    RGB.prototype.constructor = RGB;
+    RGB.fromRawColor = fromRawColor(RGB);
+    defineComponent(RGB, 'r', true);
+    defineComponent(RGB, 'g', true);
+    defineComponent(RGB, 'b', true);
+
+    RGB.prototype.clone = function() {
+        return new RGB(this._r, this._g, this._b);
+    };
+
+    RGB.prototype.updateComponents = function() {
+        this._r = this._raw >> 16 & 255;
+        this._g = this._raw >> 8 & 255;
+        this._b = this._raw & 255;
+    };
+
+    RGB.prototype.calculateRawColor = function() {
+        return this.assembleRaw(this._r, this._g, this._b);
+    };
+
+    RGB.prototype.copyFrom = function(color, withAlpha) {
+        if (!(color instanceof RGB)) return ColorBase.prototype.copyFrom.call(this, color, withAlpha);
+        if (typeof withAlpha === 'undefined' || withAlpha === true) this._alpha = color.alpha;
+        this.setComponents(color.r, color.g, color.b);
+    };
+
+    RGB.prototype.setComponents = function(r, g, b) {
+        if (this._r == r && this._g == g && this._b == b) return;
+        this._r = r;
+        this._g = g;
+        this._b = b;
+        this.componentChanged();
+    };
+
+    // --- HSV (h 0-360, s and v 0-1) ---
+
+    function HSV(h, s, v) {
+        ColorBase.call(this);
+        this._h = h % 360 || 0;
+        this._s = clamp01(s || 0);
+        this._v = clamp01(v || 0);
+    }
+
+    HSV.prototype = Object.create(ColorBase.prototype);
+    HSV.prototype.constructor = HSV;
+    HSV.fromRawColor = fromRawColor(HSV);
+    defineComponent(HSV, 's', true);
+    defineComponent(HSV, 'v', true);
+
+    Object.defineProperty(HSV.prototype, 'h', {
+        get: function() {
+            return this._h;
+        },
+        set: function(value) {
+            value %= 360;
+            if (this._h == value) return;
+            this._h = value;
+            this.componentChanged();
+        }
+    });
+
+    HSV.prototype.sv = function(s, v) {
+        if (this._s == s && this._v == v) return;
+        this._s = s;
+        this._v = v;
+        this.componentChanged();
+    };
+
+    HSV.prototype.setComponents = function(h, s, v) {
+        h %= 360;
+        s = clamp01(s);
+        v = clamp01(v);
+        if (this._h == h && this._s == s && this._v == v) return;
+        this._h = h;
+        this._s = s;
+        this._v = v;
+        this.componentChanged();
+    };
+
+    HSV.prototype.clone = function() {
+        return new HSV(this._h, this._s, this._v);
+    };
+
+    HSV.prototype.copyFrom = function(color, withAlpha) {
+        if (!(color instanceof HSV)) return ColorBase.prototype.copyFrom.call(this, color, withAlpha);
+        if (withAlpha) this.alpha = color.alpha;
+        this.setComponents(color.h, color.s, color.v);
+    };
+
+    // Grays get hue 0
+    HSV.prototype.updateComponents = function() {
+        var r = this._raw >> 16 & 255;
+        var g = this._raw >> 8 & 255;
+        var b = this._raw & 255;
+        var min = Math.min(r, g, b);
+        var max = Math.max(r, g, b);
+        var delta = 0;
+        var sector = 0;
+        if (min != max) {
+            if (r == min) {
+                delta = g - b;
+                sector = 3;
+            } else if (g == min) {
+                delta = b - r;
+                sector = 5;
+            } else {
+                delta = r - g;
+                sector = 1;
+            }
+        }
+        this._h = 60 * (sector - delta / (max - min)) % 360 || 0;
+        this._s = (max - min) / max || 0;
+        this._v = max / 255;
+    };
+
+    HSV.prototype.calculateRawColor = function() {
+        var r = 0, g = 0, b = 0;
+        if (this.v == 1 && this.s == 0) {
+            r = g = b = 1;
+        } else if (this.v != 0) {
+            var h = this.h / 60;
+            var sector = parseInt(h);
+            var f = h - sector;
+            var p = this.v * (1 - this.s);
+            var q = this.v * (1 - this.s * f);
+            var t = this.v * (1 - this.s * (1 - f));
+            switch (sector) {
+                case 0: r = this.v; g = t; b = p; break;
+                case 1: r = q; g = this.v; b = p; break;
+                case 2: r = p; g = this.v; b = t; break;
+                case 3: r = p; g = q; b = this.v; break;
+                case 4: r = t; g = p; b = this.v; break;
+                case 5: r = this.v; g = p; b = q; break;
+            }
+        }
+        return this.assembleRaw(r * 255, g * 255, b * 255);
+    };
+
+    // --- CMYK (0-1, naive conversion without a profile) ---
+
+    function CMYK(c, m, y, k) {
+        ColorBase.call(this);
+        this._c = c;
+        this._m = m;
+        this._y = y;
+        this._k = k;
+    }
+
+    CMYK.prototype = Object.create(ColorBase.prototype);
+    CMYK.prototype.constructor = CMYK;
+    CMYK.fromRawColor = fromRawColor(CMYK);
+    defineComponent(CMYK, 'c');
+    defineComponent(CMYK, 'm');
+    defineComponent(CMYK, 'y');
+    defineComponent(CMYK, 'k');
+
+    CMYK.prototype.calculateRawColor = function() {
+        return this.assembleRaw(
+            255 * (1 - this.c) * (1 - this.k),
+            255 * (1 - this.m) * (1 - this.k),
+            255 * (1 - this.y) * (1 - this.k));
+    };
+
+    // Black keeps its previous c, m and y
+    CMYK.prototype.updateComponents = function() {
+        var r = (this._raw >> 16 & 255) / 255;
+        var g = (this._raw >> 8 & 255) / 255;
+        var b = (this._raw & 255) / 255;
+        this._k = 1 - Math.max(r, g, b);
+        if (this._k == 1) return;
+        this._c = (1 - r - this._k) / (1 - this._k);
+        this._m = (1 - g - this._k) / (1 - this._k);
+        this._y = (1 - b - this._k) / (1 - this._k);
+    };
+
+    CMYK.prototype.clone = function() {
+        return new CMYK(this.c, this.m, this.y, this.k);
+    };
+
+    CMYK.prototype.copyFrom = function(color, withAlpha) {
+        if (!(color instanceof CMYK)) return ColorBase.prototype.copyFrom.call(this, color, withAlpha);
+        if (withAlpha) this.alpha = color.alpha;
+        this.setComponents(color.c, color.m, color.y, color.k);
+    };
+
+    CMYK.prototype.setComponents = function(c, m, y, k) {
+        if (this._c == c && this._m == m && this._y == y && this._k == k) return;
+        this._c = c;
+        this._m = m;
+        this._y = y;
+        this._k = k;
+        this.componentChanged();
+    };
+
+    // --- XYZ (D65, Y 0-100) ---
+
+    function XYZ(x, y, z) {
+        ColorBase.call(this);
+        this._x = x || 0;
+        this._y = y || 0;
+        this._z = z || 0;
+    }
+
+    XYZ.Epsilon = 0.008856;
+    XYZ.Kappa = 903.3;
+
+    // 0-1 component -> 0-255, clamped
+    XYZ.ToRgb = function(component) {
+        var value = 255 * component;
+        return value < 0 ? 0 : value > 255 ? 255 : value;
+    };
+
+    // 0-1 sRGB component -> 0-100 linear component
+    XYZ.PivotRgb = function(component) {
+        return 100 * (component > 0.04045 ? Math.pow((component + 0.055) / 1.055, 2.4) : component / 12.92);
+    };
+
+    XYZ.prototype = Object.create(ColorBase.prototype);
+    XYZ.prototype.constructor = XYZ;
+    XYZ.fromRawColor = fromRawColor(XYZ);
+    defineComponent(XYZ, 'x');
+    defineComponent(XYZ, 'y');
+    defineComponent(XYZ, 'z');
+
+    XYZ.prototype.clone = function() {
+        return new XYZ(this._x, this._y, this._z);
+    };
+
+    XYZ.prototype.updateComponents = function() {
+        var r = XYZ.PivotRgb((this._raw >> 16 & 255) / 255);
+        var g = XYZ.PivotRgb((this._raw >> 8 & 255) / 255);
+        var b = XYZ.PivotRgb((this._raw & 255) / 255);
+        this._x = 0.4124 * r + 0.3576 * g + 0.1805 * b;
+        this._y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        this._z = 0.0193 * r + 0.1192 * g + 0.9505 * b;
+    };
+
+    XYZ.prototype.calculateRawColor = function() {
+        var x = this._x / 100;
+        var y = this._y / 100;
+        var z = this._z / 100;
+        var rgb = [
+            3.2406 * x - 1.5372 * y - 0.4986 * z,
+            -0.9689 * x + 1.8758 * y + 0.0415 * z,
+            0.0557 * x - 0.204 * y + 1.057 * z
+        ];
+        for (var i = 0; i < 3; i++) {
+            rgb[i] = rgb[i] > 0.0031308 ? 1.055 * Math.pow(rgb[i], 1 / 2.4) - 0.055 : 12.92 * rgb[i];
+        }
+        return this.assembleRaw(XYZ.ToRgb(rgb[0]), XYZ.ToRgb(rgb[1]), XYZ.ToRgb(rgb[2]));
+    };
+
+    // main.js passes the wrong this to ColorBase.copyFrom here; fixed
+    XYZ.prototype.copyFrom = function(color, withAlpha) {
+        if (!(color instanceof XYZ)) return ColorBase.prototype.copyFrom.call(this, color, withAlpha);
+        if (withAlpha) this.alpha = color.alpha;
+        this.setComponents(color.x, color.y, color.z);
+    };
+
+    XYZ.prototype.setComponents = function(x, y, z) {
+        if (this._x == x && this._y == y && this._z == z) return;
+        this._x = x;
+        this._y = y;
+        this._z = z;
+        this.componentChanged();
+    };
+
+    XYZ.WhiteReference = new XYZ(95.047, 100, 108.883);
+
+    // --- LAB (CIELAB D65, l 0-100) ---
+
+    function LAB(l, a, b) {
+        ColorBase.call(this);
+        this._l = l;
+        this._a = a;
+        this._b = b;
+    }
+
+    LAB.PivotXyz = function(n) {
+        return n > XYZ.Epsilon ? LAB.CubicRoot(n) : (XYZ.Kappa * n + 16) / 116;
+    };
+
+    LAB.CubicRoot = function(n) {
+        return Math.pow(n, 1 / 3);
+    };
+
+    LAB.prototype = Object.create(ColorBase.prototype);
+    LAB.prototype.constructor = LAB;
+    LAB.fromRawColor = fromRawColor(LAB);
+    defineComponent(LAB, 'l');
+    defineComponent(LAB, 'a');
+    defineComponent(LAB, 'b');
+
+    LAB.prototype.clone = function() {
+        return new LAB(this._l, this._a, this._b);
+    };
+
+    LAB.prototype.updateComponents = function() {
+        var xyz = new XYZ();
+        xyz.rawColor = this._raw;
+        var white = XYZ.WhiteReference;
+        var x = LAB.PivotXyz(xyz.x / white.x);
+        var y = LAB.PivotXyz(xyz.y / white.y);
+        var z = LAB.PivotXyz(xyz.z / white.z);
+        this._l = Math.max(0, 116 * y - 16);
+        this._a = 500 * (x - y);
+        this._b = 200 * (y - z);
+    };
+
+    LAB.prototype.calculateRawColor = function() {
+        var y = (this._l + 16) / 116;
+        var x = this._a / 500 + y;
+        var z = y - this._b / 200;
+        var white = XYZ.WhiteReference;
+        var x3 = x * x * x;
+        var z3 = z * z * z;
+        var xyz = new XYZ(
+            white.x * (x3 > XYZ.Epsilon ? x3 : (x - 16 / 116) / 7.787),
+            white.y * (this._l > XYZ.Kappa * XYZ.Epsilon ? Math.pow((this._l + 16) / 116, 3) : this._l / XYZ.Kappa),
+            white.z * (z3 > XYZ.Epsilon ? z3 : (z - 16 / 116) / 7.787));
+        return xyz.rawColor;
+    };
+
+    LAB.prototype.copyFrom = function(color, withAlpha) {
+        if (!(color instanceof LAB)) return ColorBase.prototype.copyFrom.call(this, color, withAlpha);
+        if (withAlpha) this.alpha = color.alpha;
+        this.setComponents(color.l, color.a, color.b);
+    };
+
+    LAB.prototype.setComponents = function(l, a, b) {
+        if (this._l == l && this._a == a && this._b == b) return;
+        this._l = l;
+        this._a = a;
+        this._b = b;
+        this.componentChanged();
+    };
+
+    // =========================================================================================
+    // PART 2: HCT / CAM16 / HCTSolver Implementation
+    // Adapted from Material Color Utilities (Apache 2.0)
+    // =========================================================================================
+
+    // Upper bound of the HCT C slider. The most colorful sRGB colors reach ~113 (red),
+    // so a 0-100 range would hide real Material chroma values.
+    var CHROMA_MAX = 120;
+
+
+    // --- Math Utils ---
+    function signum(num) { return num < 0 ? -1 : (num === 0 ? 0 : 1); }
+    function toDeg(rad) { return rad * 180.0 / Math.PI; }
+    function toRad(deg) { return deg * Math.PI / 180.0; }
+    function lerp(start, stop, amount) { return (1.0 - amount) * start + amount * stop; }
+    function sanitizeDegrees(degrees) {
+        degrees = degrees % 360.0;
+        if (degrees < 0) degrees += 360.0;
+        return degrees;
+    }
+    function matrixMultiply(row, matrix) {
+        return [
+            row[0] * matrix[0][0] + row[1] * matrix[0][1] + row[2] * matrix[0][2],
+            row[0] * matrix[1][0] + row[1] * matrix[1][1] + row[2] * matrix[1][2],
+            row[0] * matrix[2][0] + row[1] * matrix[2][1] + row[2] * matrix[2][2]
+        ];
+    }
+
+    // --- Linearization ---
+    // linearized: 0-255 sRGB component -> 0-100 linear component
+    // delinearized: 0-100 linear component -> 0-255 sRGB component (rounded, clamped)
+    function linearized(rgbComponent) {
+        var normalized = rgbComponent / 255.0;
+        if (normalized <= 0.040449936) return normalized / 12.92 * 100.0;
+        return Math.pow((normalized + 0.055) / 1.055, 2.4) * 100.0;
+    }
+    function delinearized(rgbComponent) {
+        var normalized = rgbComponent / 100.0;
+        var delinearizedValue = 0.0;
+        if (normalized <= 0.0031308) {
+            delinearizedValue = normalized * 12.92;
+        } else {
+            delinearizedValue = 1.055 * Math.pow(normalized, 1.0 / 2.4) - 0.055;
+        }
+        return Math.max(0, Math.min(255, Math.round(delinearizedValue * 255.0)));
+    }
+    function intFromLinrgb(linrgb) {
+        return (delinearized(linrgb[0]) << 16) | (delinearized(linrgb[1]) << 8) | delinearized(linrgb[2]);
+    }
+
+    // --- L* <-> Y ---
+    function labF(t) {
+        var e = 216.0 / 24389.0;
+        var kappa = 24389.0 / 27.0;
+        return t > e ? Math.cbrt(t) : (kappa * t + 16) / 116;
+    }
+    function labInvf(ft) {
+        var e = 216.0 / 24389.0;
+        var kappa = 24389.0 / 27.0;
+        var ft3 = ft * ft * ft;
+        return ft3 > e ? ft3 : (116 * ft - 16) / kappa;
+    }
+    function yFromLstar(lstar) { return 100.0 * labInvf((lstar + 16.0) / 116.0); }
+    function lstarFromY(y) { return labF(y / 100.0) * 116.0 - 16.0; }
+    function intFromLstar(lstar) {
+        var component = delinearized(yFromLstar(lstar));
+        return (component << 16) | (component << 8) | component;
+    }
+    function lstarFromInt(argb) {
+        var y = 0.2126 * linearized((argb >> 16) & 0xFF) +
+                0.7152 * linearized((argb >> 8) & 0xFF) +
+                0.0722 * linearized(argb & 0xFF);
+        return lstarFromY(y);
+    }
+
+    // --- Viewing Conditions ---
+    // Material defaults: D65 white, adapting luminance of an L*=50 gray at 200 lux,
+    // L*=50 background, average surround.
+    var VC = (function() {
+        var whitePoint = [95.047, 100.0, 108.883];
+        var adaptingLuminance = (200.0 / Math.PI) * yFromLstar(50.0) / 100.0;
+        var backgroundLstar = 50.0;
+        var surround = 2.0;
+
+        var rW = whitePoint[0] * 0.401288 + whitePoint[1] * 0.650173 + whitePoint[2] * -0.051461;
+        var gW = whitePoint[0] * -0.250268 + whitePoint[1] * 1.204414 + whitePoint[2] * 0.045854;
+        var bW = whitePoint[0] * -0.002079 + whitePoint[1] * 0.048952 + whitePoint[2] * 0.953127;
+        var f = 0.8 + surround / 10.0;
+        var c = f >= 0.9 ? lerp(0.59, 0.69, (f - 0.9) * 10.0) : lerp(0.525, 0.59, (f - 0.8) * 10.0);
+        var d = f * (1.0 - (1.0 / 3.6) * Math.exp((-adaptingLuminance - 42.0) / 92.0));
+        d = Math.max(0, Math.min(1, d));
+        var rgbD = [
+            d * (100.0 / rW) + 1.0 - d,
+            d * (100.0 / gW) + 1.0 - d,
+            d * (100.0 / bW) + 1.0 - d
+        ];
+        var k = 1.0 / (5.0 * adaptingLuminance + 1.0);
+        var k4 = k * k * k * k;
+        var k4F = 1.0 - k4;
+        var fl = k4 * adaptingLuminance + 0.1 * k4F * k4F * Math.cbrt(5.0 * adaptingLuminance);
+        var n = yFromLstar(backgroundLstar) / whitePoint[1];
+        var z = 1.48 + Math.sqrt(n);
+        var nbb = 0.725 / Math.pow(n, 0.2);
+        var rgbAFactors = [
+            Math.pow(fl * rgbD[0] * rW / 100.0, 0.42),
+            Math.pow(fl * rgbD[1] * gW / 100.0, 0.42),
+            Math.pow(fl * rgbD[2] * bW / 100.0, 0.42)
+        ];
+        var rgbA = [
+            400.0 * rgbAFactors[0] / (rgbAFactors[0] + 27.13),
+            400.0 * rgbAFactors[1] / (rgbAFactors[1] + 27.13),
+            400.0 * rgbAFactors[2] / (rgbAFactors[2] + 27.13)
+        ];
+        var aw = (2.0 * rgbA[0] + rgbA[1] + 0.05 * rgbA[2]) * nbb;
+
+        return {
+            n: n, aw: aw, nbb: nbb, ncb: nbb, c: c, nc: f,
+            rgbD: rgbD, fl: fl, fLRoot: Math.pow(fl, 0.25), z: z
+        };
+    })();
+
+    // --- CAM16 Core ---
+    // RGB to CAM16 hue/chroma, plus HCT tone (L*)
+    function cam16FromInt(argb) {
+        var redL = linearized((argb >> 16) & 0xFF);
+        var greenL = linearized((argb >> 8) & 0xFF);
+        var blueL = linearized(argb & 0xFF);
+
+        // XYZ
+        var x = 0.41233895 * redL + 0.35762064 * greenL + 0.18051042 * blueL;
+        var y = 0.2126 * redL + 0.7152 * greenL + 0.0722 * blueL;
+        var z = 0.01932141 * redL + 0.11916382 * greenL + 0.95034478 * blueL;
+
+        // CAM16 built-in matrix + chromatic adaptation
+        var rD = VC.rgbD[0] * (0.401288 * x + 0.650173 * y - 0.051461 * z);
+        var gD = VC.rgbD[1] * (-0.250268 * x + 1.204414 * y + 0.045854 * z);
+        var bD = VC.rgbD[2] * (-0.002079 * x + 0.048952 * y + 0.953127 * z);
+
+        var rAF = Math.pow(VC.fl * Math.abs(rD) / 100.0, 0.42);
+        var gAF = Math.pow(VC.fl * Math.abs(gD) / 100.0, 0.42);
+        var bAF = Math.pow(VC.fl * Math.abs(bD) / 100.0, 0.42);
+        var rA = signum(rD) * 400.0 * rAF / (rAF + 27.13);
+        var gA = signum(gD) * 400.0 * gAF / (gAF + 27.13);
+        var bA = signum(bD) * 400.0 * bAF / (bAF + 27.13);
+
+        // Opponent axes
+        var a = (11.0 * rA + -12.0 * gA + bA) / 11.0;
+        var b = (rA + gA - 2.0 * bA) / 9.0;
+        var u = (20.0 * rA + 20.0 * gA + 21.0 * bA) / 20.0;
+        var p2 = (40.0 * rA + 20.0 * gA + bA) / 20.0;
+
+        var hue = sanitizeDegrees(toDeg(Math.atan2(b, a)));
+
+        var ac = p2 * VC.nbb;
+        var j = 100.0 * Math.pow(ac / VC.aw, VC.c * VC.z);
+
+        var huePrime = hue < 20.14 ? hue + 360 : hue;
+        var eHue = 0.25 * (Math.cos(toRad(huePrime) + 2.0) + 3.8);
+        var p1 = 50000.0 / 13.0 * eHue * VC.nc * VC.ncb;
+        var t = p1 * Math.sqrt(a * a + b * b) / (u + 0.305);
+        var alpha = Math.pow(t, 0.9) * Math.pow(1.64 - Math.pow(0.29, VC.n), 0.73);
+        var chroma = alpha * Math.sqrt(j / 100.0);
+
+        return { h: hue, c: chroma, t: lstarFromY(y), j: j };
+    }
+
+    // --- HCT Solver: HCT -> Int ---
+    // Port of Material's HctSolver: solves CAM16 J for the requested Y with Newton's method,
+    // and if the color is outside sRGB, walks the gamut boundary of the Y plane to the
+    // most chromatic color with the requested hue. Hue and Tone are always preserved.
+
+    var SCALED_DISCOUNT_FROM_LINRGB = [
+        [0.001200833568784504, 0.002389694492170889, 0.0002795742885861124],
+        [0.0005891086651375999, 0.0029785502573438758, 0.0003270666104008398],
+        [0.00010146692491640572, 0.0005364214359186694, 0.0032979401770712076]
+    ];
+    var LINRGB_FROM_SCALED_DISCOUNT = [
+        [1373.2198709594231, -1100.4251190754821, -7.278681089101213],
+        [-271.815969077903, 559.6580465940733, -32.46047482791194],
+        [1.9622899599665666, -57.173814538844006, 308.7233197812385]
+    ];
+    var Y_FROM_LINRGB = [0.2126, 0.7152, 0.0722];
+
+    // Linear values of the midpoints between consecutive 8-bit sRGB levels.
+    var CRITICAL_PLANES = [];
+    for (var cp = 0; cp < 255; cp++) CRITICAL_PLANES.push(linearized(cp + 0.5));
+
+    function sanitizeRadians(angle) { return (angle + Math.PI * 8) % (Math.PI * 2); }
+
+    function trueDelinearized(rgbComponent) {
+        var normalized = rgbComponent / 100.0;
+        var delinearizedValue = 0.0;
+        if (normalized <= 0.0031308) {
+            delinearizedValue = normalized * 12.92;
+        } else {
+            delinearizedValue = 1.055 * Math.pow(normalized, 1.0 / 2.4) - 0.055;
+        }
+        return delinearizedValue * 255.0;
+    }
+
+    function chromaticAdaptation(component) {
+        var af = Math.pow(Math.abs(component), 0.42);
+        return signum(component) * 400.0 * af / (af + 27.13);
+    }
+
+    function inverseChromaticAdaptation(adapted) {
+        var adaptedAbs = Math.abs(adapted);
+        var base = Math.max(0, 27.13 * adaptedAbs / (400.0 - adaptedAbs));
+        return signum(adapted) * Math.pow(base, 1.0 / 0.42);
+    }
+
+    // CAM16 hue (radians) of a linear RGB color
+    function hueOf(linrgb) {
+        var scaledDiscount = matrixMultiply(linrgb, SCALED_DISCOUNT_FROM_LINRGB);
+        var rA = chromaticAdaptation(scaledDiscount[0]);
+        var gA = chromaticAdaptation(scaledDiscount[1]);
+        var bA = chromaticAdaptation(scaledDiscount[2]);
+        var a = (11.0 * rA + -12.0 * gA + bA) / 11.0;
+        var b = (rA + gA - 2.0 * bA) / 9.0;
+        return Math.atan2(b, a);
+    }
+
+    function areInCyclicOrder(a, b, c) {
+        return sanitizeRadians(b - a) < sanitizeRadians(c - a);
+    }
+
+    function setCoordinate(source, coordinate, target, axis) {
+        var t = (coordinate - source[axis]) / (target[axis] - source[axis]);
+        return [
+            source[0] + (target[0] - source[0]) * t,
+            source[1] + (target[1] - source[1]) * t,
+            source[2] + (target[2] - source[2]) * t
+        ];
+    }
+
+    function isBounded(x) { return 0.0 <= x && x <= 100.0; }
+
+    // Nth edge intersection of the RGB cube with the plane of constant Y, or null.
+    function nthVertex(y, n) {
+        var kR = Y_FROM_LINRGB[0];
+        var kG = Y_FROM_LINRGB[1];
+        var kB = Y_FROM_LINRGB[2];
+        var coordA = n % 4 <= 1 ? 0.0 : 100.0;
+        var coordB = n % 2 === 0 ? 0.0 : 100.0;
+        if (n < 4) {
+            var r = (y - coordA * kG - coordB * kB) / kR;
+            return isBounded(r) ? [r, coordA, coordB] : null;
+        } else if (n < 8) {
+            var g = (y - coordB * kR - coordA * kB) / kG;
+            return isBounded(g) ? [coordB, g, coordA] : null;
+        }
+        var b = (y - coordA * kR - coordB * kG) / kB;
+        return isBounded(b) ? [coordA, coordB, b] : null;
+    }
+
+    // Finds the gamut polygon segment of the Y plane that contains targetHue.
+    function bisectToSegment(y, targetHue) {
+        var left = null;
+        var right = null;
+        var leftHue = 0.0;
+        var rightHue = 0.0;
+        var uncut = true;
+        for (var n = 0; n < 12; n++) {
+            var mid = nthVertex(y, n);
+            if (!mid) continue;
+            var midHue = hueOf(mid);
+            if (!left) {
+                left = mid; right = mid;
+                leftHue = midHue; rightHue = midHue;
+                continue;
+            }
+            if (uncut || areInCyclicOrder(leftHue, midHue, rightHue)) {
+                uncut = false;
+                if (areInCyclicOrder(leftHue, targetHue, midHue)) {
+                    right = mid; rightHue = midHue;
+                } else {
+                    left = mid; leftHue = midHue;
+                }
+            }
+        }
+        return [left, right];
+    }
+
+    function bisectToLimit(y, targetHue) {
+        var segment = bisectToSegment(y, targetHue);
+        var left = segment[0];
+        var leftHue = hueOf(left);
+        var right = segment[1];
+        for (var axis = 0; axis < 3; axis++) {
+            if (left[axis] === right[axis]) continue;
+            var lPlane, rPlane;
+            if (left[axis] < right[axis]) {
+                lPlane = Math.floor(trueDelinearized(left[axis]) - 0.5);
+                rPlane = Math.ceil(trueDelinearized(right[axis]) - 0.5);
+            } else {
+                lPlane = Math.ceil(trueDelinearized(left[axis]) - 0.5);
+                rPlane = Math.floor(trueDelinearized(right[axis]) - 0.5);
+            }
+            for (var i = 0; i < 8; i++) {
+                if (Math.abs(rPlane - lPlane) <= 1) break;
+                var mPlane = Math.floor((lPlane + rPlane) / 2.0);
+                var mid = setCoordinate(left, CRITICAL_PLANES[mPlane], right, axis);
+                var midHue = hueOf(mid);
+                if (areInCyclicOrder(leftHue, targetHue, midHue)) {
+                    right = mid; rPlane = mPlane;
+                } else {
+                    left = mid; leftHue = midHue; lPlane = mPlane;
+                }
+            }
+        }
+        return [(left[0] + right[0]) / 2, (left[1] + right[1]) / 2, (left[2] + right[2]) / 2];
+    }
+
+    // Inverse CAM16 for a fixed Y. Returns the linear RGB of the exact answer,
+    // or null when the requested color is outside sRGB (unless 'unbounded' is set,
+    // in which case out-of-range components are returned as-is for clipping).
+    function findResultByJ(hueRadians, chroma, y, unbounded) {
+        var j = Math.sqrt(y) * 11.0;
+        var tInnerCoeff = 1 / Math.pow(1.64 - Math.pow(0.29, VC.n), 0.73);
+        var eHue = 0.25 * (Math.cos(hueRadians + 2.0) + 3.8);
+        var p1 = eHue * (50000.0 / 13.0) * VC.nc * VC.ncb;
+        var hSin = Math.sin(hueRadians);
+        var hCos = Math.cos(hueRadians);
+        for (var round = 0; round < 5; round++) {
+            var jNormalized = j / 100.0;
+            var alpha = (chroma === 0.0 || j === 0.0) ? 0.0 : chroma / Math.sqrt(jNormalized);
+            var t = Math.pow(alpha * tInnerCoeff, 1.0 / 0.9);
+            var ac = VC.aw * Math.pow(jNormalized, 1.0 / VC.c / VC.z);
+            var p2 = ac / VC.nbb;
+            var gamma = 23.0 * (p2 + 0.305) * t / (23.0 * p1 + 11.0 * t * hCos + 108.0 * t * hSin);
+            var a = gamma * hCos;
+            var b = gamma * hSin;
+            var rA = (460.0 * p2 + 451.0 * a + 288.0 * b) / 1403.0;
+            var gA = (460.0 * p2 - 891.0 * a - 261.0 * b) / 1403.0;
+            var bA = (460.0 * p2 - 220.0 * a - 6300.0 * b) / 1403.0;
+            var linrgb = matrixMultiply([
+                inverseChromaticAdaptation(rA),
+                inverseChromaticAdaptation(gA),
+                inverseChromaticAdaptation(bA)
+            ], LINRGB_FROM_SCALED_DISCOUNT);
+
+            if (!unbounded && (linrgb[0] < 0 || linrgb[1] < 0 || linrgb[2] < 0)) return null;
+            var fnj = Y_FROM_LINRGB[0] * linrgb[0] + Y_FROM_LINRGB[1] * linrgb[1] + Y_FROM_LINRGB[2] * linrgb[2];
+            if (fnj <= 0) return null;
+            if (round === 4 || Math.abs(fnj - y) < 0.002) {
+                if (!unbounded && (linrgb[0] > 100.01 || linrgb[1] > 100.01 || linrgb[2] > 100.01)) return null;
+                return linrgb;
+            }
+            // Newton step, using 2 * fn(j) / j as the approximation of fn'(j)
+            j = j - (fnj - y) * j / (2 * fnj);
+        }
+        return null;
+    }
+
+    // --- Gamut Mapping ---
+    // GAMUT_PRESERVE_TONE: keep Hue and Tone, reduce Chroma to the in-gamut maximum (Material behavior).
+    // GAMUT_CLIP: clip the out-of-gamut RGB per channel. Reaches more saturation, but Tone shifts.
+    var GAMUT_PRESERVE_TONE = 'tone';
+    var GAMUT_CLIP = 'clip';
+
+    // gamutMapping: GAMUT_CLIP, or GAMUT_PRESERVE_TONE when left out
+    function intFromHct(hue, chroma, tone, gamutMapping) {
+        if (chroma < 0.0001 || tone < 0.0001 || tone > 99.9999) return intFromLstar(tone);
+        var hueRadians = toRad(sanitizeDegrees(hue));
+        var y = yFromLstar(tone);
+        var exact = findResultByJ(hueRadians, chroma, y, gamutMapping === GAMUT_CLIP);
+        if (exact) return intFromLinrgb(exact);
+        return intFromLinrgb(bisectToLimit(y, hueRadians));
+    }
+
+    // Most chromatic in-gamut HCT chroma for this hue/tone
+    function getMaxChroma(hue, tone) {
+        if (tone < 0.0001 || tone > 99.9999) return 0;
+        return cam16FromInt(intFromHct(hue, 200, tone)).c;
+    }
+
+    // --- Tonal Palettes ---
+    // Material tonal palette stops and CorePalette.of() derivation.
+    var PALETTE_TONES = [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100];
+
+    function tonalPalette(hue, chroma) {
+        hue = sanitizeDegrees(hue);
+        return {
+            hue: hue,
+            chroma: chroma,
+            tone: function(tone) { return intFromHct(hue, chroma, tone); }
+        };
+    }
+
+    function corePalette(argb) {
+        var cam = cam16FromInt(argb);
+        return {
+            primary: tonalPalette(cam.h, Math.max(48, cam.c)),
+            secondary: tonalPalette(cam.h, 16),
+            tertiary: tonalPalette(cam.h + 60, 24),
+            neutral: tonalPalette(cam.h, 4),
+            neutralVariant: tonalPalette(cam.h, 8),
+            error: tonalPalette(25, 84)
+        };
+    }
+
+    var Hct = {
+        CHROMA_MAX: CHROMA_MAX,
+        PALETTE_TONES: PALETTE_TONES,
+        GAMUT_PRESERVE_TONE: GAMUT_PRESERVE_TONE,
+        GAMUT_CLIP: GAMUT_CLIP,
+        fromInt: cam16FromInt,
+        toInt: intFromHct,
+        maxChroma: getMaxChroma,
+        lstarFromInt: lstarFromInt,
+        yFromLstar: yFromLstar,
+        lstarFromY: lstarFromY,
+        tonalPalette: tonalPalette,
+        corePalette: corePalette
+    };
+
+    // =========================================================================================
+    // PART 3: WHEEL COLOR SPACES
+    // angle2hue / hue2angle map wheel angles (0 at the top, clockwise) to HSV hues and back.
+    // The panel's spaces add a trackingId and a localized toolTipData on top of these.
+    // =========================================================================================
+
+    function normalizeAngle(angle) {
+        for (; angle < 0;) angle += 360;
+        return angle % 360;
+    }
+
+    // --- RGB: the HSV hue wheel, yellow at the top ---
+
+    function RGBWheelColorSpace() {}
+
+    RGBWheelColorSpace.prototype = {
+        angle2hue: function(t) {
+            return this.normalizeAngle(t + 60);
+        },
+        hue2angle: function(t) {
+            return this.normalizeAngle(t - 60);
+        },
+        normalizeAngle: normalizeAngle
+    };
+
+    // --- RYB: the painters' wheel, RYB_ANGLES and RGB_ANGLES are matching stops ---
+
+    function RYBWheelColorSpace() {}
+
+    RYBWheelColorSpace.RYB_ANGLES = [120, 180, 240, 300, 360];
+    RYBWheelColorSpace.RGB_ANGLES = [60, 120, 240, 274, 360];
+
+    RYBWheelColorSpace.prototype = {
+        angle2hue: function(t) {
+            return this.convert(-t + 120, RYBWheelColorSpace.RYB_ANGLES, RYBWheelColorSpace.RGB_ANGLES);
+        },
+        hue2angle: function(t) {
+            return this.normalizeAngle(360 - this.convert(t, RYBWheelColorSpace.RGB_ANGLES, RYBWheelColorSpace.RYB_ANGLES) + 120);
+        },
+        normalizeAngle: normalizeAngle,
+        // Piecewise-linear lookup of the angle t between the stops of from, starting at 0
+        convert: function(t, from, to) {
+            var x0 = 0, x1 = from[0];
+            var y0 = 0, y1 = to[0];
+            t = this.normalizeAngle(t);
+            for (var i = 1; t >= x1; ++i) {
+                x0 = x1;
+                x1 = from[i];
+                y0 = y1;
+                y1 = to[i];
+            }
+            return y0 + (t - x0) * ((y1 - y0) / (x1 - x0));
+        }
+    };
+
+    // --- HCT: wheel angles follow the HCT (CAM16) hue of each fully saturated color ---
+    // HSV hue (0-359) -> HCT hue of hsv(h, 1, 1), unwrapped so it increases monotonically from red.
+
+    var hsvHues = [];
+    var hctHues = [];
+
+    function intFromHsvHue(h) {
+        var x = 1 - Math.abs((h / 60) % 2 - 1);
+        var rgb = h < 60 ? [1, x, 0] : h < 120 ? [x, 1, 0] : h < 180 ? [0, 1, x] :
+            h < 240 ? [0, x, 1] : h < 300 ? [x, 0, 1] : [1, 0, x];
+        return (Math.round(rgb[0] * 255) << 16) | (Math.round(rgb[1] * 255) << 8) | Math.round(rgb[2] * 255);
+    }
+
+    for (var hueIndex = 0; hueIndex <= 360; hueIndex++) {
+        var hctHue = cam16FromInt(intFromHsvHue(hueIndex % 360)).h;
+        if (hueIndex > 0) {
+            while (hctHue < hctHues[hueIndex - 1]) hctHue += 360;
+        }
+        hsvHues.push(hueIndex);
+        hctHues.push(hueIndex === 360 ? hctHues[0] + 360 : hctHue);
+    }
+
+    // Piecewise-linear lookup of x in the increasing table xs
+    function convertHue(x, xs, ys) {
+        var i = 1;
+        while (i < xs.length - 1 && x >= xs[i]) ++i;
+        return ys[i - 1] + (x - xs[i - 1]) * ((ys[i] - ys[i - 1]) / (xs[i] - xs[i - 1]));
+    }
+
+    // Yellow at the top of the wheel, like the RGB and RYB spaces
+    var ANGLE_OFFSET = convertHue(60, hsvHues, hctHues);
+
+    function PerceptualWheelColorSpace() {}
+
+    PerceptualWheelColorSpace.prototype = {
+        angle2hue: function(t) {
+            var hct = this.normalizeAngle(t + ANGLE_OFFSET - hctHues[0]) + hctHues[0];
+            return this.normalizeAngle(convertHue(hct, hctHues, hsvHues));
+        },
+        hue2angle: function(t) {
+            return this.normalizeAngle(convertHue(this.normalizeAngle(t), hsvHues, hctHues) - ANGLE_OFFSET);
+        },
+        normalizeAngle: normalizeAngle
+    };
+
+    // In the order of the "picker.color_space" setting
+    var WHEEL_COLOR_SPACES = ['RYB', 'RGB', 'HCT'];
+
+    function createWheelColorSpace(id) {
+        switch (id) {
+            case 'RYB': return new RYBWheelColorSpace();
+            case 'RGB': return new RGBWheelColorSpace();
+            case 'HCT': return new PerceptualWheelColorSpace();
+        }
+        throw new Error('Unknown wheel color space: ' + id);
+    }
+
+    // =========================================================================================
+    // PART 4: COLOR SCHEMES
+    // The wheel schemes of main.js as plain functions of the main sampler angle and the scheme angle.
+    // =========================================================================================
+
+    // defaultAngle: the scheme angle before the user drags a satellite
+    var SCHEMES = {
+        mono: { samplers: 1 },
+        complementary: { samplers: 2, defaultAngle: 30 },
+        triadic: { samplers: 3, defaultAngle: 60 },
+        tetradic: { samplers: 4, defaultAngle: 60 },
+        analogic: { samplers: 3, defaultAngle: 30 },
+        accented_analogic: { samplers: 5, defaultAngle: 30 }
+    };
+
+    // In the order of the "picker.color_scheme" setting
+    var SCHEME_NAMES = ['mono', 'complementary', 'triadic', 'tetradic', 'analogic', 'accented_analogic'];
+
+    function getScheme(name) {
+        if (!SCHEMES.hasOwnProperty(name)) throw new Error('Unknown color scheme: ' + name);
+        return SCHEMES[name];
+    }
+
+    // Smallest scheme angle of a wheel with colorsNum steps (0 for the continuous wheel)
+    function minSchemeAngle(colorsNum) {
+        return Math.max(12, colorsNum ? 360 / colorsNum : 0);
+    }
+
+    // The scheme angle limits of the wheel; triads may go a bit closer
+    function restrainSchemeAngle(name, angle, colorsNum) {
+        var min = minSchemeAngle(colorsNum);
+        if (name === 'triadic') min -= 7;
+        return Math.max(min, Math.min(angle || 0, 90));
+    }
+
+    // Wheel angles of the scheme colors, in the order of the panel's scheme swatches.
+    // The accented analogic scheme lists its accent first and last, as main.js does.
+    function schemeAngles(name, mainAngle, angle) {
+        var scheme = getScheme(name);
+        if (typeof angle !== 'number' || isNaN(angle)) angle = scheme.defaultAngle;
+        var angles;
+        switch (name) {
+            case 'mono':
+                angles = [mainAngle];
+                break;
+            case 'complementary':
+                angles = [mainAngle, mainAngle + 180];
+                break;
+            case 'triadic':
+                angles = [mainAngle + 180 + angle, mainAngle, mainAngle + 180 - angle];
+                break;
+            case 'tetradic':
+                angles = [mainAngle + angle, mainAngle, mainAngle + 180, mainAngle + 180 + angle];
+                break;
+            case 'analogic':
+                angles = [mainAngle + angle, mainAngle, mainAngle - angle];
+                break;
+            case 'accented_analogic':
+                angles = [mainAngle + 180, mainAngle + angle, mainAngle, mainAngle - angle, mainAngle + 180];
+                break;
+        }
+        return angles.map(normalizeAngle);
+    }
+
+    // HSV hues of the scheme colors for the HSV hue of the main color; space defaults to RYB
+    function schemeHues(name, hue, angle, space) {
+        space = space || new RYBWheelColorSpace();
+        return schemeAngles(name, space.hue2angle(hue), angle).map(function(schemeAngle) {
+            return space.angle2hue(schemeAngle);
+        });
+    }
+
+    // Scheme templates are user defined schemes: { name, model, slots }. Each slot is a color at "angle"
+    // degrees from the main color, offset by saturation / brightness (model "hsv", -100..100 percent
+    // points) or by HCT chroma / tone (model "hct"). The main color itself has no slot.
+    var SCHEME_TEMPLATE_MODELS = ['hsv', 'hct'];
+
+    // Wheel angles of a template, the main color first
+    function schemeTemplateAngles(template, mainAngle) {
+        var angles = [mainAngle];
+        for (var i = 0; i < template.slots.length; i++) angles.push(mainAngle + template.slots[i].angle);
+        return angles.map(normalizeAngle);
+    }
+
+    // HSV colors of a template for the main color (anything with h / s / v, s and v 0-1) at mainAngle;
+    // space defaults to RYB. The results are clamped to the valid range; HCT results outside sRGB keep
+    // their hue and tone and lose chroma.
+    function schemeTemplateColors(template, color, mainAngle, space) {
+        space = space || new RYBWheelColorSpace();
+        if (SCHEME_TEMPLATE_MODELS.indexOf(template.model) < 0) throw new Error('Unknown scheme template model: ' + template.model);
+        return schemeTemplateAngles(template, mainAngle).map(function(angle, index) {
+            var hsv = new HSV(space.angle2hue(angle), color.s, color.v);
+            var slot = template.slots[index - 1];
+            if (!slot) return hsv;
+            if (template.model === 'hsv') {
+                return new HSV(hsv.h, hsv.s + (slot.saturation || 0) / 100, hsv.v + (slot.brightness || 0) / 100);
+            }
+            if (!slot.chroma && !slot.tone) return hsv;
+            var hct = cam16FromInt(hsv.rawColor);
+            var tone = Math.max(0, Math.min(hct.t + (slot.tone || 0), 100));
+            var raw = intFromHct(hct.h, Math.max(0, hct.c + (slot.chroma || 0)), tone, GAMUT_PRESERVE_TONE);
+            return HSV.fromRawColor(raw);
+        });
+    }
+
+    // =========================================================================================
+    // PART 5: CONTRAST
+    // WCAG 2.1 contrast ratio and APCA lightness contrast (Lc, APCA-W3 0.0.98G-4g constants) of
+    // 0xRRGGBB colors, and the HCT tone search behind the panel's contrast "fix".
+    // =========================================================================================
+
+    // Minimum ratios of the WCAG 2.1 success criteria 1.4.3 / 1.4.6; large text is 18pt, or 14pt bold
+    var WCAG_LEVELS = { AA: 4.5, AA_LARGE: 3, AAA: 7, AAA_LARGE: 4.5 };
+
+    function wcagChannel(value) {
+        value /= 255;
+        return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+    }
+
+    // Relative luminance, 0 (black) - 1 (white)
+    function relativeLuminance(raw) {
+        return 0.2126 * wcagChannel(raw >> 16 & 255) + 0.7152 * wcagChannel(raw >> 8 & 255) + 0.0722 * wcagChannel(raw & 255);
+    }
+
+    // 1 - 21, the same for both orders
+    function wcagContrast(foreground, background) {
+        var l1 = relativeLuminance(foreground);
+        var l2 = relativeLuminance(background);
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    }
+
+    var APCA = {
+        mainTRC: 2.4,
+        normBG: 0.56,
+        normTXT: 0.57,
+        revTXT: 0.62,
+        revBG: 0.65,
+        blkThrs: 0.022,
+        blkClmp: 1.414,
+        scale: 1.14,
+        loClip: 0.1,
+        offset: 0.027,
+        deltaYmin: 0.0005
+    };
+
+    // APCA screen luminance: a plain 2.4 gamma, no linear toe
+    function apcaY(raw) {
+        return 0.2126729 * Math.pow((raw >> 16 & 255) / 255, APCA.mainTRC) +
+            0.7151522 * Math.pow((raw >> 8 & 255) / 255, APCA.mainTRC) +
+            0.0721750 * Math.pow((raw & 255) / 255, APCA.mainTRC);
+    }
+
+    function apcaSoftClamp(y) {
+        return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+    }
+
+    // Lc of text on a background, about -108 - 106: positive for dark text on a light background,
+    // negative for light text on a dark one
+    function apcaContrast(text, background) {
+        var textY = apcaSoftClamp(apcaY(text));
+        var backgroundY = apcaSoftClamp(apcaY(background));
+        if (Math.abs(backgroundY - textY) < APCA.deltaYmin) return 0;
+        var sapc;
+        if (backgroundY > textY) {
+            sapc = (Math.pow(backgroundY, APCA.normBG) - Math.pow(textY, APCA.normTXT)) * APCA.scale;
+            return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
+        }
+        sapc = (Math.pow(backgroundY, APCA.revBG) - Math.pow(textY, APCA.revTXT)) * APCA.scale;
+        return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
+    }
+
+    function isGray(raw) {
+        return (raw >> 16 & 255) === (raw >> 8 & 255) && (raw >> 8 & 255) === (raw & 255);
+    }
+
+    // target: { metric: 'wcag', value: ratio } or { metric: 'apca', value: |Lc| }
+    function meetsContrast(foreground, background, target) {
+        if (target.metric === 'apca') return Math.abs(apcaContrast(foreground, background)) >= target.value;
+        if (target.metric === 'wcag') return wcagContrast(foreground, background) >= target.value;
+        throw new Error('Unknown contrast metric: ' + target.metric);
+    }
+
+    // The foreground with its HCT hue and chroma at the tone closest to its own that meets the target
+    // against the background, or null when neither going darker nor lighter gets there. The tone is
+    // kept exact (chroma gives way near black and white), so past the background tone the contrast
+    // only grows and each side is a bisection.
+    function toneForContrast(foreground, background, target) {
+        if (meetsContrast(foreground, background, target)) return foreground;
+        var hct = cam16FromInt(foreground);
+        // CAM16 leaves a trace of chroma on grays
+        var chroma = isGray(foreground) ? 0 : hct.c;
+        var backgroundTone = lstarFromInt(background);
+
+        function colorAt(tone) {
+            return intFromHct(hct.h, chroma, tone, GAMUT_PRESERVE_TONE);
+        }
+
+        // from: a tone that fails, to: 0 or 100
+        function search(from, to) {
+            var color = colorAt(to);
+            if (!meetsContrast(color, background, target)) return null;
+            for (var i = 0; i < 16; ++i) {
+                var tone = (from + to) / 2;
+                var candidate = colorAt(tone);
+                if (meetsContrast(candidate, background, target)) {
+                    to = tone;
+                    color = candidate;
+                } else {
+                    from = tone;
+                }
+            }
+            return { tone: to, color: color };
+        }
+
+        var darker = search(Math.min(hct.t, backgroundTone), 0);
+        var lighter = search(Math.max(hct.t, backgroundTone), 100);
+        if (!darker || !lighter) return darker ? darker.color : lighter ? lighter.color : null;
+        return hct.t - darker.tone <= lighter.tone - hct.t ? darker.color : lighter.color;
+    }
+
+    // =========================================================================================
+    // PART 6: OKLAB
+    // Björn Ottosson's OKLab, as used by CSS Color 4 oklab() / oklch(), for 0-255 sRGB components.
+    // L is 0-1; C, a and b reach about OKLAB_CHROMA_MAX (0.4, the CSS reference range) in sRGB.
+    // =========================================================================================
+
+    var OKLAB_CHROMA_MAX = 0.4;
+
+    // 0-255 sRGB component -> 0-1 linear component
+    function srgbToLinear(rgbComponent) {
+        var normalized = rgbComponent / 255.0;
+        if (normalized <= 0.040449936) return normalized / 12.92;
+        return Math.pow((normalized + 0.055) / 1.055, 2.4);
+    }
+
+    // 0-1 linear component -> 0-255 sRGB component (rounded, clamped)
+    function linearToSrgb(rgbComponent) {
+        var normalized = rgbComponent <= 0.0031308 ?
+            rgbComponent * 12.92 :
+            1.055 * Math.pow(rgbComponent, 1.0 / 2.4) - 0.055;
+        return Math.max(0, Math.min(255, Math.round(normalized * 255.0)));
+    }
+
+    // --- OKLab <-> linear sRGB ---
+    function oklabFromRgb(r, g, b) {
+        return oklabFromLinrgb(srgbToLinear(r), srgbToLinear(g), srgbToLinear(b));
+    }
+
+    function oklabFromLinrgb(lr, lg, lb) {
+        var l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+        var m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+        var s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+        return {
+            L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    function linrgbFromOklab(L, a, b) {
+        var l = L + 0.3963377774 * a + 0.2158037573 * b;
+        var m = L - 0.1055613458 * a - 0.0638541728 * b;
+        var s = L - 0.0894841775 * a - 1.2914855480 * b;
+        l = l * l * l; m = m * m * m; s = s * s * s;
+        return [
+            4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+            -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+            -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+        ];
+    }
+
+    // Tolerance keeps colors that round to a valid 8-bit value in gamut
+    function isLinrgbInGamut(linrgb) {
+        for (var i = 0; i < 3; i++) {
+            if (linrgb[i] < -0.0001 || linrgb[i] > 1.0001) return false;
+        }
+        return true;
+    }
+
+    function rgbFromLinrgb(linrgb) {
+        return { r: linearToSrgb(linrgb[0]), g: linearToSrgb(linrgb[1]), b: linearToSrgb(linrgb[2]) };
+    }
+
+    // --- OKLab <-> OKLCH ---
+    function oklchFromOklab(lab) {
+        return {
+            L: lab.L,
+            C: Math.sqrt(lab.a * lab.a + lab.b * lab.b),
+            h: sanitizeDegrees(Math.atan2(lab.b, lab.a) * 180.0 / Math.PI)
+        };
+    }
+
+    function oklabFromOklch(L, C, h) {
+        var hr = h * Math.PI / 180.0;
+        return { L: L, a: C * Math.cos(hr), b: C * Math.sin(hr) };
+    }
+
+    // Most chromatic in-gamut OKLCH chroma for this lightness/hue
+    function oklchMaxChroma(L, h) {
+        if (L <= 0 || L >= 1) return 0;
+        var lo = 0, hi = OKLAB_CHROMA_MAX;
+        var hr = h * Math.PI / 180.0;
+        if (isLinrgbInGamut(linrgbFromOklab(L, hi * Math.cos(hr), hi * Math.sin(hr)))) return hi;
+        for (var i = 0; i < 20; i++) {
+            var mid = (lo + hi) / 2;
+            if (isLinrgbInGamut(linrgbFromOklab(L, mid * Math.cos(hr), mid * Math.sin(hr)))) lo = mid;
+            else hi = mid;
+        }
+        return lo;
+    }
+
+    // Out-of-gamut colors keep L and h and reduce C to the sRGB boundary,
+    // the same policy as the HCT mode's default "preserve tone".
+    function rgbFromOklab(L, a, b) {
+        L = Math.max(0, Math.min(1, L));
+        var linrgb = linrgbFromOklab(L, a, b);
+        if (!isLinrgbInGamut(linrgb)) {
+            var lch = oklchFromOklab({ L: L, a: a, b: b });
+            var lab = oklabFromOklch(L, oklchMaxChroma(L, lch.h), lch.h);
+            linrgb = linrgbFromOklab(lab.L, lab.a, lab.b);
+        }
+        return rgbFromLinrgb(linrgb);
+    }
+
+    function rgbFromOklch(L, C, h) {
+        var lab = oklabFromOklch(L, C, h);
+        return rgbFromOklab(lab.L, lab.a, lab.b);
+    }
+
+    function inGamutOklab(L, a, b) {
+        return isLinrgbInGamut(linrgbFromOklab(L, a, b));
+    }
+
+    var Oklab = {
+        CHROMA_MAX: OKLAB_CHROMA_MAX,
+        fromRgb: oklabFromRgb,
+        toRgb: rgbFromOklab,
+        fromRgbLch: function(r, g, b) { return oklchFromOklab(oklabFromRgb(r, g, b)); },
+        lchToRgb: rgbFromOklch,
+        lchFromLab: oklchFromOklab,
+        labFromLch: oklabFromOklch,
+        toLinearRgb: linrgbFromOklab,
+        inGamut: inGamutOklab,
+        maxChroma: oklchMaxChroma
+    };
+
+    // =========================================================================================
+    // PART 7: COLOR DIFFERENCE
+    // ΔE between two colors, each 0xRRGGBB or already converted: CIE76 and CIEDE2000 in the CIELAB of
+    // the LAB class (D65, like the panel's LAB sliders), ΔEOK as in CSS Color 4 (OKLab distance, about
+    // 100 times smaller than ΔE76; 0.02 is a just noticeable difference).
+    // =========================================================================================
+
+    // 0xRRGGBB or CIELAB { l, a, b }
+    function cielabOf(color) {
+        if (typeof color !== 'number') return color;
+        var lab = LAB.fromRawColor(color);
+        return { l: lab.l, a: lab.a, b: lab.b };
+    }
+
+    // 0xRRGGBB or OKLab { L, a, b }
+    function oklabOf(color) {
+        return typeof color === 'number' ? oklabFromRgb(color >> 16 & 255, color >> 8 & 255, color & 255) : color;
+    }
+
+    function deltaE76(color1, color2) {
+        var lab1 = cielabOf(color1), lab2 = cielabOf(color2);
+        var dl = lab1.l - lab2.l, da = lab1.a - lab2.a, db = lab1.b - lab2.b;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    // CIEDE2000 with kL = kC = kH = 1, after Sharma, Wu and Dalal (2005)
+    function deltaE2000(color1, color2) {
+        var lab1 = cielabOf(color1), lab2 = cielabOf(color2);
+        var pow25to7 = Math.pow(25, 7);
+
+        var cBar = (Math.sqrt(lab1.a * lab1.a + lab1.b * lab1.b) + Math.sqrt(lab2.a * lab2.a + lab2.b * lab2.b)) / 2;
+        var g = 0.5 * (1 - Math.sqrt(Math.pow(cBar, 7) / (Math.pow(cBar, 7) + pow25to7)));
+        var a1 = (1 + g) * lab1.a, a2 = (1 + g) * lab2.a;
+        var c1 = Math.sqrt(a1 * a1 + lab1.b * lab1.b), c2 = Math.sqrt(a2 * a2 + lab2.b * lab2.b);
+        var h1 = c1 === 0 ? 0 : sanitizeDegrees(toDeg(Math.atan2(lab1.b, a1)));
+        var h2 = c2 === 0 ? 0 : sanitizeDegrees(toDeg(Math.atan2(lab2.b, a2)));
+
+        var dL = lab2.l - lab1.l;
+        var dC = c2 - c1;
+        var dh = 0;
+        if (c1 * c2 !== 0) {
+            dh = h2 - h1;
+            if (dh > 180) dh -= 360;
+            else if (dh < -180) dh += 360;
+        }
+        var dH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRad(dh / 2));
+
+        var lBarP = (lab1.l + lab2.l) / 2;
+        var cBarP = (c1 + c2) / 2;
+        var hBarP = h1 + h2;
+        if (c1 * c2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) hBarP /= 2;
+            else hBarP = hBarP < 360 ? (hBarP + 360) / 2 : (hBarP - 360) / 2;
+        }
+
+        var t = 1 - 0.17 * Math.cos(toRad(hBarP - 30)) + 0.24 * Math.cos(toRad(2 * hBarP)) +
+            0.32 * Math.cos(toRad(3 * hBarP + 6)) - 0.20 * Math.cos(toRad(4 * hBarP - 63));
+        var dTheta = 30 * Math.exp(-Math.pow((hBarP - 275) / 25, 2));
+        var rC = 2 * Math.sqrt(Math.pow(cBarP, 7) / (Math.pow(cBarP, 7) + pow25to7));
+        var lBarP50 = (lBarP - 50) * (lBarP - 50);
+        var sL = 1 + 0.015 * lBarP50 / Math.sqrt(20 + lBarP50);
+        var sC = 1 + 0.045 * cBarP;
+        var sH = 1 + 0.015 * cBarP * t;
+        var rT = -Math.sin(toRad(2 * dTheta)) * rC;
+
+        var l = dL / sL, c = dC / sC, h = dH / sH;
+        return Math.sqrt(l * l + c * c + h * h + rT * c * h);
+    }
+
+    function deltaEOK(color1, color2) {
+        var lab1 = oklabOf(color1), lab2 = oklabOf(color2);
+        var dl = lab1.L - lab2.L, da = lab1.a - lab2.a, db = lab1.b - lab2.b;
+        return Math.sqrt(dl * dl + da * da + db * db);
+    }
+
+    // =========================================================================================
+    // PART 8: CSS COLOR PARSING
+    // parseColor() reads what a user types or pastes: hex (#RGB, #RRGGBB, with or without #, and #RGBA /
+    // #RRGGBBAA), the CSS named colors, rgb() / rgba(), hsl() / hsla(), hwb(), lab(), lch(), oklab(),
+    // oklch(), color() in the CSS Color 4 predefined spaces, and hct(hue chroma tone) for HCT triples.
+    // Both the comma and the space syntax are accepted, "none" is 0 and alpha is checked but dropped.
+    // The result is { rgb: 0xRRGGBB, inGamut }; colors outside sRGB keep their OKLab lightness and hue
+    // and lose chroma (HCT: the "preserve tone" mapping), as CSS Color 4 gamut mapping does. Text that
+    // is not a color throws an Error saying what is wrong.
+    // =========================================================================================
+
+    var NAMED_COLORS = {
+        aliceblue: 0xF0F8FF, antiquewhite: 0xFAEBD7, aqua: 0x00FFFF, aquamarine: 0x7FFFD4, azure: 0xF0FFFF,
+        beige: 0xF5F5DC, bisque: 0xFFE4C4, black: 0x000000, blanchedalmond: 0xFFEBCD, blue: 0x0000FF,
+        blueviolet: 0x8A2BE2, brown: 0xA52A2A, burlywood: 0xDEB887, cadetblue: 0x5F9EA0, chartreuse: 0x7FFF00,
+        chocolate: 0xD2691E, coral: 0xFF7F50, cornflowerblue: 0x6495ED, cornsilk: 0xFFF8DC, crimson: 0xDC143C,
+        cyan: 0x00FFFF, darkblue: 0x00008B, darkcyan: 0x008B8B, darkgoldenrod: 0xB8860B, darkgray: 0xA9A9A9,
+        darkgreen: 0x006400, darkgrey: 0xA9A9A9, darkkhaki: 0xBDB76B, darkmagenta: 0x8B008B, darkolivegreen: 0x556B2F,
+        darkorange: 0xFF8C00, darkorchid: 0x9932CC, darkred: 0x8B0000, darksalmon: 0xE9967A, darkseagreen: 0x8FBC8F,
+        darkslateblue: 0x483D8B, darkslategray: 0x2F4F4F, darkslategrey: 0x2F4F4F, darkturquoise: 0x00CED1,
+        darkviolet: 0x9400D3, deeppink: 0xFF1493, deepskyblue: 0x00BFFF, dimgray: 0x696969, dimgrey: 0x696969,
+        dodgerblue: 0x1E90FF, firebrick: 0xB22222, floralwhite: 0xFFFAF0, forestgreen: 0x228B22, fuchsia: 0xFF00FF,
+        gainsboro: 0xDCDCDC, ghostwhite: 0xF8F8FF, gold: 0xFFD700, goldenrod: 0xDAA520, gray: 0x808080,
+        green: 0x008000, greenyellow: 0xADFF2F, grey: 0x808080, honeydew: 0xF0FFF0, hotpink: 0xFF69B4,
+        indianred: 0xCD5C5C, indigo: 0x4B0082, ivory: 0xFFFFF0, khaki: 0xF0E68C, lavender: 0xE6E6FA,
+        lavenderblush: 0xFFF0F5, lawngreen: 0x7CFC00, lemonchiffon: 0xFFFACD, lightblue: 0xADD8E6,
+        lightcoral: 0xF08080, lightcyan: 0xE0FFFF, lightgoldenrodyellow: 0xFAFAD2, lightgray: 0xD3D3D3,
+        lightgreen: 0x90EE90, lightgrey: 0xD3D3D3, lightpink: 0xFFB6C1, lightsalmon: 0xFFA07A,
+        lightseagreen: 0x20B2AA, lightskyblue: 0x87CEFA, lightslategray: 0x778899, lightslategrey: 0x778899,
+        lightsteelblue: 0xB0C4DE, lightyellow: 0xFFFFE0, lime: 0x00FF00, limegreen: 0x32CD32, linen: 0xFAF0E6,
+        magenta: 0xFF00FF, maroon: 0x800000, mediumaquamarine: 0x66CDAA, mediumblue: 0x0000CD, mediumorchid: 0xBA55D3,
+        mediumpurple: 0x9370DB, mediumseagreen: 0x3CB371, mediumslateblue: 0x7B68EE, mediumspringgreen: 0x00FA9A,
+        mediumturquoise: 0x48D1CC, mediumvioletred: 0xC71585, midnightblue: 0x191970, mintcream: 0xF5FFFA,
+        mistyrose: 0xFFE4E1, moccasin: 0xFFE4B5, navajowhite: 0xFFDEAD, navy: 0x000080, oldlace: 0xFDF5E6,
+        olive: 0x808000, olivedrab: 0x6B8E23, orange: 0xFFA500, orangered: 0xFF4500, orchid: 0xDA70D6,
+        palegoldenrod: 0xEEE8AA, palegreen: 0x98FB98, paleturquoise: 0xAFEEEE, palevioletred: 0xDB7093,
+        papayawhip: 0xFFEFD5, peachpuff: 0xFFDAB9, peru: 0xCD853F, pink: 0xFFC0CB, plum: 0xDDA0DD,
+        powderblue: 0xB0E0E6, purple: 0x800080, rebeccapurple: 0x663399, red: 0xFF0000, rosybrown: 0xBC8F8F,
+        royalblue: 0x4169E1, saddlebrown: 0x8B4513, salmon: 0xFA8072, sandybrown: 0xF4A460, seagreen: 0x2E8B57,
+        seashell: 0xFFF5EE, sienna: 0xA0522D, silver: 0xC0C0C0, skyblue: 0x87CEEB, slateblue: 0x6A5ACD,
+        slategray: 0x708090, slategrey: 0x708090, snow: 0xFFFAFA, springgreen: 0x00FF7F, steelblue: 0x4682B4,
+        tan: 0xD2B48C, teal: 0x008080, thistle: 0xD8BFD8, tomato: 0xFF6347, turquoise: 0x40E0D0, violet: 0xEE82EE,
+        wheat: 0xF5DEB3, white: 0xFFFFFF, whitesmoke: 0xF5F5F5, yellow: 0xFFFF00, yellowgreen: 0x9ACD32
+    };
+
+    // color() spaces: linear light from an encoded component, linear RGB -> XYZ (null for XYZ spaces)
+    // and the white of that XYZ. Matrices and transfer functions from the CSS Color 4 sample code.
+    function gammaTransfer(gamma) {
+        return function(value) {
+            return (value < 0 ? -1 : 1) * Math.pow(Math.abs(value), gamma);
+        };
+    }
+
+    function srgbTransfer(value) {
+        var abs = Math.abs(value);
+        return abs <= 0.04045 ? value / 12.92 : (value < 0 ? -1 : 1) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    }
+
+    function identityTransfer(value) {
+        return value;
+    }
+
+    var SRGB_TO_XYZ = [
+        [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+        [87098 / 409605, 175762 / 245763, 12673 / 175545],
+        [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+    ];
+    var XYZ_TO_SRGB = [
+        [12831 / 3959, -329 / 214, -1974 / 3959],
+        [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+        [705 / 12673, -2585 / 12673, 705 / 667]
+    ];
+    var D50_TO_D65 = [
+        [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+        [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+        [0.012314001688319899, -0.020507696433477912, 1.3303659366080753]
+    ];
+    var D50_WHITE = [0.3457 / 0.3585, 1.0, (1.0 - 0.3457 - 0.3585) / 0.3585];
+
+    var COLOR_SPACES = {
+        'srgb': { transfer: srgbTransfer, toXyz: SRGB_TO_XYZ, d50: false },
+        'srgb-linear': { transfer: identityTransfer, toXyz: SRGB_TO_XYZ, d50: false },
+        'display-p3': {
+            transfer: srgbTransfer,
+            toXyz: [
+                [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+                [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+                [0, 32229 / 714400, 5220557 / 5000800]
+            ],
+            d50: false
+        },
+        'a98-rgb': {
+            transfer: gammaTransfer(563 / 256),
+            toXyz: [
+                [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+                [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+                [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+            ],
+            d50: false
+        },
+        'prophoto-rgb': {
+            transfer: function(value) {
+                return Math.abs(value) <= 16 / 512 ? value / 16 : gammaTransfer(1.8)(value);
+            },
+            toXyz: [
+                [0.79776664490064230, 0.13518129740053308, 0.03134773412839220],
+                [0.28807482881940130, 0.71183523424187300, 0.00008993693872564],
+                [0, 0, 0.82510460251046020]
+            ],
+            d50: true
+        },
+        'rec2020': {
+            transfer: function(value) {
+                var alpha = 1.09929682680944, beta = 0.018053968510807;
+                var abs = Math.abs(value);
+                return abs < beta * 4.5 ? value / 4.5 : (value < 0 ? -1 : 1) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+            },
+            toXyz: [
+                [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+                [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+                [0, 19567812 / 697040785, 295819943 / 278816314]
+            ],
+            d50: false
+        },
+        'xyz': { transfer: identityTransfer, toXyz: null, d50: false },
+        'xyz-d65': { transfer: identityTransfer, toXyz: null, d50: false },
+        'xyz-d50': { transfer: identityTransfer, toXyz: null, d50: true }
+    };
+
+    // Components of each function: what 100% means and whether it is a hue (angle units allowed)
+    var HUE = { hue: true };
+    var FUNCTIONS = {
+        rgb: [{ percent: 255 }, { percent: 255 }, { percent: 255 }],
+        hsl: [HUE, { percent: 100 }, { percent: 100 }],
+        hwb: [HUE, { percent: 100 }, { percent: 100 }],
+        lab: [{ percent: 100 }, { percent: 125 }, { percent: 125 }],
+        lch: [{ percent: 100 }, { percent: 150 }, HUE],
+        oklab: [{ percent: 1 }, { percent: OKLAB_CHROMA_MAX }, { percent: OKLAB_CHROMA_MAX }],
+        oklch: [{ percent: 1 }, { percent: OKLAB_CHROMA_MAX }, HUE],
+        hct: [HUE, { percent: CHROMA_MAX }, { percent: 100 }],
+        color: [{ percent: 1 }, { percent: 1 }, { percent: 1 }]
+    };
+    FUNCTIONS.rgba = FUNCTIONS.rgb;
+    FUNCTIONS.hsla = FUNCTIONS.hsl;
+
+    var ANGLE_UNITS = { '': 1, deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+    function parseComponent(token, spec, name) {
+        if (token === 'none') return 0;
+        var match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/.exec(token);
+        if (!match) throw new Error('"' + token + '" is not a number in ' + name + '()');
+        var value = parseFloat(match[1]);
+        var unit = match[2] || '';
+        if (unit === '%') {
+            if (spec.hue) throw new Error('The hue of ' + name + '() cannot be a percentage');
+            return value / 100 * spec.percent;
+        }
+        if (unit) {
+            if (!spec.hue) throw new Error('"' + token + '" is not a number in ' + name + '()');
+            return sanitizeDegrees(value * ANGLE_UNITS[unit]);
+        }
+        return spec.hue ? sanitizeDegrees(value) : value;
+    }
+
+    function parseAlpha(token, name) {
+        var alpha = parseComponent(token, { percent: 1 }, name);
+        if (alpha < 0 || alpha > 1) throw new Error('Alpha of ' + name + '() must be 0 - 1');
+    }
+
+    // Comma syntax: a, b, c[, alpha]; space syntax: a b c[ / alpha]
+    function splitComponents(body, name) {
+        var tokens, alpha = null;
+        if (body.indexOf(',') >= 0) {
+            tokens = body.split(',').map(function(token) { return token.trim(); });
+            if (tokens.length === 4) alpha = tokens.pop();
+        } else {
+            var parts = body.split('/');
+            if (parts.length > 2) throw new Error('Too many "/" in ' + name + '()');
+            tokens = parts[0].trim().split(/\s+/);
+            if (parts.length === 2) alpha = parts[1].trim();
+        }
+        if (tokens.length !== 3 || tokens.indexOf('') >= 0) throw new Error(name + '() takes 3 values');
+        if (alpha !== null) parseAlpha(alpha, name);
+        return tokens;
+    }
+
+    function rgbResult(r, g, b) {
+        var inGamut = [r, g, b].every(function(value) { return value > -0.5 && value < 255.5; });
+        r = Math.round(Math.max(0, Math.min(255, r)));
+        g = Math.round(Math.max(0, Math.min(255, g)));
+        b = Math.round(Math.max(0, Math.min(255, b)));
+        return { rgb: (r << 16) | (g << 8) | b, inGamut: inGamut };
+    }
+
+    function hslToRgb(h, s, l) {
+        s = Math.max(0, Math.min(1, s));
+        l = Math.max(0, Math.min(1, l));
+        function channel(n) {
+            var k = (n + h / 30) % 12;
+            return 255 * (l - s * Math.min(l, 1 - l) * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+        }
+        return rgbResult(channel(0), channel(8), channel(4));
+    }
+
+    function hwbToRgb(h, white, black) {
+        white = Math.max(0, Math.min(1, white));
+        black = Math.max(0, Math.min(1, black));
+        if (white + black >= 1) {
+            var gray = 255 * white / (white + black);
+            return rgbResult(gray, gray, gray);
+        }
+        var pure = hslToRgb(h, 1, 0.5).rgb;
+        function channel(value) {
+            return value * (1 - white - black) + 255 * white;
+        }
+        return rgbResult(channel(pure >> 16 & 255), channel(pure >> 8 & 255), channel(pure & 255));
+    }
+
+    function linearToSrgbUnclamped(value) {
+        return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1.0 / 2.4) - 0.055;
+    }
+
+    // Typed values are rounded: in gamut when every component rounds to a valid 8-bit value
+    function roundsIntoGamut(linrgb) {
+        return linrgb.every(function(value) {
+            var encoded = value < 0 ? value * 12.92 : linearToSrgbUnclamped(value);
+            return encoded > -0.5 / 255 && encoded < 1 + 0.5 / 255;
+        });
+    }
+
+    // XYZ (D65, Y 0-1) -> sRGB, gamut mapped in OKLCH
+    function xyzToRgb(xyz) {
+        var linrgb = matrixMultiply(xyz, XYZ_TO_SRGB);
+        if (roundsIntoGamut(linrgb)) {
+            var rgb = rgbFromLinrgb(linrgb);
+            return { rgb: (rgb.r << 16) | (rgb.g << 8) | rgb.b, inGamut: true };
+        }
+        var lab = oklabFromLinrgb(linrgb[0], linrgb[1], linrgb[2]);
+        var mapped = rgbFromOklab(lab.L, lab.a, lab.b);
+        return { rgb: (mapped.r << 16) | (mapped.g << 8) | mapped.b, inGamut: false };
+    }
+
+    // CSS lab(): CIELAB with a D50 white
+    function labToRgb(l, a, b) {
+        l = Math.max(0, Math.min(100, l));
+        var fy = (l + 16) / 116;
+        var xyz = [labInvf(fy + a / 500) * D50_WHITE[0], labInvf(fy) * D50_WHITE[1], labInvf(fy - b / 200) * D50_WHITE[2]];
+        return xyzToRgb(matrixMultiply(xyz, D50_TO_D65));
+    }
+
+    function oklabToRgb(L, a, b) {
+        var linrgb = linrgbFromOklab(Math.max(0, Math.min(1, L)), a, b);
+        return xyzToRgb(matrixMultiply(linrgb, SRGB_TO_XYZ));
+    }
+
+    function predefinedToRgb(spaceName, components) {
+        if (!COLOR_SPACES.hasOwnProperty(spaceName)) throw new Error('Unknown color space "' + spaceName + '" in color()');
+        var space = COLOR_SPACES[spaceName];
+        var xyz = components.map(space.transfer);
+        if (space.toXyz) xyz = matrixMultiply(xyz, space.toXyz);
+        if (space.d50) xyz = matrixMultiply(xyz, D50_TO_D65);
+        return xyzToRgb(xyz);
+    }
+
+    function hctToRgb(h, c, t) {
+        if (t < 0 || t > 100) throw new Error('The tone of hct() must be 0 - 100');
+        c = Math.max(0, c);
+        return { rgb: intFromHct(h, c, t, GAMUT_PRESERVE_TONE), inGamut: c <= getMaxChroma(h, t) + 0.5 };
+    }
+
+    function parseHex(hex) {
+        if (hex.length === 3 || hex.length === 4) {
+            hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
+        }
+        return { rgb: parseInt(hex.substr(0, 6), 16), inGamut: true };
+    }
+
+    function parseColor(text) {
+        var source = String(text).trim().toLowerCase();
+        if (!source) throw new Error('No color given');
+
+        var hex = /^(#)?([0-9a-f]+)$/.exec(source);
+        if (hex && (hex[2].length === 3 || hex[2].length === 6 || hex[1] && (hex[2].length === 4 || hex[2].length === 8))) {
+            return parseHex(hex[2]);
+        }
+        if (NAMED_COLORS.hasOwnProperty(source)) return { rgb: NAMED_COLORS[source], inGamut: true };
+
+        var call = /^([a-z0-9-]+)\((.*)\)$/.exec(source);
+        if (!call) {
+            if (hex || source.charAt(0) === '#') throw new Error('A hex color has 3 or 6 digits');
+            if (/^[a-z]+$/.test(source)) throw new Error('Unknown color name "' + source + '"');
+            throw new Error('Not a color: ' + text);
+        }
+        var name = call[1];
+        var body = call[2].trim();
+        if (!FUNCTIONS.hasOwnProperty(name)) throw new Error('Unknown color function ' + name + '()');
+
+        var space = null;
+        if (name === 'color') {
+            var spaceMatch = /^([a-z0-9-]+)\s+(.*)$/.exec(body);
+            if (!spaceMatch) throw new Error('color() takes a color space and 3 values');
+            space = spaceMatch[1];
+            body = spaceMatch[2];
+        }
+        var specs = FUNCTIONS[name];
+        var values = splitComponents(body, name).map(function(token, i) {
+            return parseComponent(token, specs[i], name);
+        });
+
+        switch (name) {
+            case 'rgb':
+            case 'rgba': return rgbResult(values[0], values[1], values[2]);
+            case 'hsl':
+            case 'hsla': return hslToRgb(values[0], values[1] / 100, values[2] / 100);
+            case 'hwb': return hwbToRgb(values[0], values[1] / 100, values[2] / 100);
+            case 'lab': return labToRgb(values[0], values[1], values[2]);
+            case 'lch': return labToRgb(values[0], values[1] * Math.cos(toRad(values[2])), values[1] * Math.sin(toRad(values[2])));
+            case 'oklab': return oklabToRgb(values[0], values[1], values[2]);
+            case 'oklch':
+                var lab = oklabFromOklch(values[0], Math.max(0, values[1]), values[2]);
+                return oklabToRgb(lab.L, lab.a, lab.b);
+            case 'hct': return hctToRgb(values[0], values[1], values[2]);
+            default: return predefinedToRgb(space, values);
+        }
+    }
+
+    // =========================================================================================
+    // PART 9: INTERPOLATION
+    // Color at amount (0-1) between two 0xRRGGBB colors, in one of INTERPOLATION_SPACES:
+    // - srgb: per channel on the 8-bit values, as main.js's interpolateColorAdditive()
+    // - srgb-linear: per channel on linear light, like mixing light
+    // - oklab: straight through OKLab, even lightness steps without the gray middle of sRGB
+    // - oklch, oklch-longer: OKLCH with the shorter / longer way around the hue circle
+    // - hct: HCT hue (shorter way), chroma and tone
+    // - paint: Kubelka-Munk mixing of reflectance spectra, so blue and yellow make green as paints do.
+    //   Each color becomes a spectrum of the seven primaries of spectral.js (white, cyan, magenta,
+    //   yellow, red, green, blue); K/S is mixed per wavelength, weighted by amount squared and the
+    //   color's luminance, and the mix goes back to sRGB through the CIE observer.
+    // Hues of grays are ignored, so a gray takes the hue of the other color as CSS does.
+    // =========================================================================================
+
+    var INTERPOLATION_SPACES = ['srgb', 'srgb-linear', 'oklab', 'oklch', 'oklch-longer', 'hct', 'paint'];
+    var OKLCH_GRAY_CHROMA = 0.0001;
+
+    // Reflectances of the primaries at 380-750 nm in 10 nm steps, from spectral.js (MIT, Ronald van Wijnen)
+    var PAINT_SPECTRA = [
+        // white
+        [
+            1.0011607, 1.0011607, 1.0011603, 1.0011587, 1.0011526, 1.0011325, 1.001085, 1.0009969,
+            1.0008653, 1.0006963, 1.000505, 1.0003081, 1.0001197, 0.99995277, 0.99982184, 0.99973861,
+            0.99970955, 0.99973193, 0.99979944, 0.99990033, 1.0000204, 1.0001448, 1.00026, 1.0003558,
+            1.0004275, 1.0004762, 1.0005072, 1.0005252, 1.0005351, 1.0005402, 1.0005427, 1.0005439,
+            1.0005445, 1.0005448, 1.0005449, 1.000545, 1.000545, 1.000545
+        ],
+        // cyan
+        [
+            0.970585, 0.9705925, 0.97062535, 0.97078681, 0.97136867, 0.97316323, 0.97674022, 0.98158761,
+            0.98628027, 0.98994915, 0.9924927, 0.99414568, 0.99518398, 0.99575675, 0.99591282, 0.99560616,
+            0.9945976, 0.99221572, 0.98623645, 0.96794334, 0.891285, 0.53620248, 0.15410812, 0.057457509,
+            0.031534987, 0.022263392, 0.018202284, 0.016299056, 0.015365624, 0.014911157, 0.014695434, 0.014596415,
+            0.014547016, 0.014522877, 0.014512034, 0.014506694, 0.014504451, 0.014503801
+        ],
+        // magenta
+        [
+            0.99067356, 0.99067152, 0.99066258, 0.99061811, 0.99045148, 0.98987108, 0.98828661, 0.98429069,
+            0.97393491, 0.94181784, 0.81739033, 0.43247281, 0.13845398, 0.053734722, 0.0292175, 0.021313652,
+            0.020134953, 0.02413231, 0.037223615, 0.076050655, 0.20537547, 0.5412689, 0.81584169, 0.9128177,
+            0.94633983, 0.9599277, 0.9662606, 0.96932597, 0.97085454, 0.97160507, 0.97196277, 0.97212727,
+            0.97220942, 0.97224958, 0.97226762, 0.97227651, 0.97228024, 0.97228132
+        ],
+        // yellow
+        [
+            0.021052337, 0.021056463, 0.021074618, 0.021164906, 0.021502796, 0.02267388, 0.025823565, 0.033487939,
+            0.051906966, 0.10074901, 0.2391299, 0.53480431, 0.79780758, 0.91144989, 0.95379796, 0.97124162,
+            0.97930312, 0.98338012, 0.98546125, 0.98643505, 0.98673825, 0.98661788, 0.98627778, 0.98586059,
+            0.98547493, 0.98517693, 0.98497157, 0.9848463, 0.98477535, 0.98473807, 0.98471965, 0.98471102,
+            0.98470668, 0.98470455, 0.9847036, 0.98470312, 0.98470293, 0.98470287
+        ],
+        // red
+        [
+            0.031560574, 0.031552072, 0.031514822, 0.031331804, 0.030672986, 0.028648048, 0.024645041, 0.019296075,
+            0.014206661, 0.010294261, 0.0076191461, 0.0058980411, 0.0048233248, 0.0042298748, 0.0040599171, 0.0043533696,
+            0.0053434426, 0.0076917201, 0.01359698, 0.031697544, 0.1078612, 0.4638126, 0.84705541, 0.94318541,
+            0.96886215, 0.97803067, 0.98204364, 0.98392362, 0.98484548, 0.98529428, 0.9855073, 0.98560507,
+            0.98565385, 0.98567769, 0.98568839, 0.98569366, 0.98569588, 0.98569652
+        ],
+        // green
+        [
+            0.0095560748, 0.009558158, 0.0095673245, 0.0096129126, 0.009783709, 0.010378623, 0.012002645, 0.016097772,
+            0.02670619, 0.059555544, 0.18603983, 0.57057982, 0.86146777, 0.94587909, 0.97046549, 0.97841363,
+            0.97958903, 0.97553354, 0.96228876, 0.92312157, 0.79343402, 0.45927014, 0.1855741, 0.088177496,
+            0.054363023, 0.040628845, 0.03422152, 0.031118579, 0.02957089, 0.028810874, 0.028448627, 0.02828203,
+            0.028198838, 0.028158166, 0.028139891, 0.02813089, 0.028127109, 0.028126013
+        ],
+        // blue
+        [
+            0.97940475, 0.97940071, 0.9793829, 0.97929436, 0.97896301, 0.97781447, 0.97472432, 0.96719848,
+            0.94907966, 0.90085013, 0.76315045, 0.46592217, 0.20126328, 0.087752441, 0.045717679, 0.028470605,
+            0.020527177, 0.016530279, 0.014513511, 0.013600351, 0.013360426, 0.013548894, 0.013959436, 0.014443426,
+            0.014885444, 0.01522543, 0.015459285, 0.015601803, 0.015682487, 0.015724876, 0.015745811, 0.015755612,
+            0.015760544, 0.015762964, 0.015764053, 0.015764589, 0.015764815, 0.01576488
+        ]
+    ];
+    // The CIE 1931 2° observer weighted by D65: the XYZ of a reflectance spectrum, white at Y = 1
+    var PAINT_OBSERVER = [
+        // X
+        [
+            0.000064691999, 0.0002194099, 0.0011205744, 0.0037666134, 0.011880554, 0.023286442,
+            0.034559418, 0.03722379, 0.032418376, 0.021233206, 0.010490991, 0.0032958376,
+            0.00050703516, 0.00094867421, 0.0062737181, 0.016864624, 0.028689649, 0.042674812,
+            0.056254748, 0.069470397, 0.083053152, 0.086126096, 0.090466138, 0.085003865,
+            0.070906669, 0.050628892, 0.035473962, 0.02146821, 0.012516457, 0.0068045816,
+            0.0034645658, 0.0014976098, 0.00076970048, 0.00040736806, 0.0001690104, 0.000095224515,
+            0.000049030987, 0.000019996149
+        ],
+        // Y
+        [
+            0.0000018442894, 0.0000062053236, 0.000031009605, 0.00010474838, 0.00035364053, 0.00095147141,
+            0.0022822632, 0.004207329, 0.0066887984, 0.009888396, 0.015249451, 0.021418311,
+            0.03342293, 0.051310013, 0.070402084, 0.087838707, 0.094249054, 0.09795667,
+            0.094152186, 0.086781024, 0.078856534, 0.063526703, 0.053741417, 0.042646064,
+            0.031617349, 0.020885206, 0.01386011, 0.0081026402, 0.0046301023, 0.00249138,
+            0.0012593034, 0.00054164652, 0.00027795289, 0.00014710807, 0.000061032747, 0.000034387323,
+            0.000017705986, 0.0000072209749
+        ],
+        // Z
+        [
+            0.00030501715, 0.0010368067, 0.0053131363, 0.017954393, 0.057077582, 0.11365162,
+            0.17335873, 0.19620658, 0.18608237, 0.13995048, 0.089174529, 0.047896211,
+            0.028145625, 0.016137662, 0.0077591019, 0.0042961484, 0.0020055092, 0.00086147111,
+            0.00036903872, 0.00019142873, 0.00014955559, 0.000092310929, 0.000068134918, 0.000028826366,
+            0.000015767182, 0.0000039406041, 0.0000015840126, 0, 0, 0,
+            0, 0, 0, 0, 0, 0,
+            0, 0
+        ]
+    ];
+
+    function channelsOf(raw) {
+        return [raw >> 16 & 255, raw >> 8 & 255, raw & 255];
+    }
+
+    function rawFromRgb(rgb) {
+        return (rgb.r << 16) | (rgb.g << 8) | rgb.b;
+    }
+
+    // Difference from hue1 to hue2 in degrees, the shorter or the longer way
+    function hueDelta(hue1, hue2, longer) {
+        var delta = hue2 - hue1;
+        if (delta > 180) delta -= 360;
+        else if (delta < -180) delta += 360;
+        if (longer && delta !== 0) delta = delta > 0 ? delta - 360 : delta + 360;
+        return delta;
+    }
+
+    // Reflectance -> absorption / scattering ratio and back
+    function kubelkaMunk(reflectance) {
+        return (1 - reflectance) * (1 - reflectance) / (2 * reflectance);
+    }
+
+    function reflectanceOf(ks) {
+        return 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+    }
+
+    // Linear RGB -> reflectance spectrum: the gray part as white, what two channels share as cyan,
+    // magenta or yellow, the rest as red, green or blue
+    function spectrumOf(linrgb) {
+        var white = Math.min(linrgb[0], linrgb[1], linrgb[2]);
+        var r = linrgb[0] - white, g = linrgb[1] - white, b = linrgb[2] - white;
+        var weights = [
+            white,
+            Math.min(g, b),
+            Math.min(r, b),
+            Math.min(r, g),
+            Math.max(0, Math.min(r - b, r - g)),
+            Math.max(0, Math.min(g - b, g - r)),
+            Math.max(0, Math.min(b - g, b - r))
+        ];
+        var spectrum = [];
+        for (var i = 0; i < PAINT_OBSERVER[0].length; i++) {
+            var reflectance = 0;
+            for (var j = 0; j < weights.length; j++) reflectance += weights[j] * PAINT_SPECTRA[j][i];
+            // No reflectance at all would make K/S infinite
+            spectrum.push(Math.max(Number.EPSILON, reflectance));
+        }
+        return spectrum;
+    }
+
+    function xyzOfSpectrum(spectrum) {
+        return PAINT_OBSERVER.map(function(observer) {
+            var sum = 0;
+            for (var i = 0; i < spectrum.length; i++) sum += observer[i] * spectrum[i];
+            return sum;
+        });
+    }
+
+    function mixPaints(rgb1, rgb2, amount) {
+        var spectrum1 = spectrumOf(rgb1.map(srgbToLinear)), spectrum2 = spectrumOf(rgb2.map(srgbToLinear));
+        // The darker color tints less, as a little black paint does not darken white much
+        var weight1 = (1 - amount) * (1 - amount) * Math.max(Number.EPSILON, xyzOfSpectrum(spectrum1)[1]);
+        var weight2 = amount * amount * Math.max(Number.EPSILON, xyzOfSpectrum(spectrum2)[1]);
+        var mixed = spectrum1.map(function(reflectance1, i) {
+            var ks = (kubelkaMunk(reflectance1) * weight1 + kubelkaMunk(spectrum2[i]) * weight2) / (weight1 + weight2);
+            return reflectanceOf(ks);
+        });
+        return rawFromRgb(rgbFromLinrgb(matrixMultiply(xyzOfSpectrum(mixed), XYZ_TO_SRGB)));
+    }
+
+    function interpolateColor(from, to, amount, space) {
+        amount = Math.max(0, Math.min(1, amount));
+        var rgb1 = channelsOf(from), rgb2 = channelsOf(to);
+        var lin1, lin2;
+        switch (space) {
+            case 'srgb':
+                return (rgb1[0] + (rgb2[0] - rgb1[0]) * amount) << 16 |
+                    (rgb1[1] + (rgb2[1] - rgb1[1]) * amount) << 8 |
+                    (rgb1[2] + (rgb2[2] - rgb1[2]) * amount);
+            case 'srgb-linear':
+                lin1 = rgb1.map(srgbToLinear);
+                lin2 = rgb2.map(srgbToLinear);
+                return rawFromRgb(rgbFromLinrgb([0, 1, 2].map(function(c) { return lerp(lin1[c], lin2[c], amount); })));
+            case 'oklab':
+                var lab1 = oklabFromRgb(rgb1[0], rgb1[1], rgb1[2]), lab2 = oklabFromRgb(rgb2[0], rgb2[1], rgb2[2]);
+                return rawFromRgb(rgbFromOklab(lerp(lab1.L, lab2.L, amount), lerp(lab1.a, lab2.a, amount), lerp(lab1.b, lab2.b, amount)));
+            case 'oklch':
+            case 'oklch-longer':
+                var lch1 = oklchFromOklab(oklabFromRgb(rgb1[0], rgb1[1], rgb1[2]));
+                var lch2 = oklchFromOklab(oklabFromRgb(rgb2[0], rgb2[1], rgb2[2]));
+                if (lch1.C < OKLCH_GRAY_CHROMA) lch1.h = lch2.h;
+                if (lch2.C < OKLCH_GRAY_CHROMA) lch2.h = lch1.h;
+                var oklchHue = lch1.h + hueDelta(lch1.h, lch2.h, space === 'oklch-longer') * amount;
+                return rawFromRgb(rgbFromOklch(lerp(lch1.L, lch2.L, amount), lerp(lch1.C, lch2.C, amount), sanitizeDegrees(oklchHue)));
+            case 'hct':
+                var hct1 = cam16FromInt(from), hct2 = cam16FromInt(to);
+                // CAM16 leaves a trace of chroma on grays
+                if (isGray(from)) hct1 = { h: hct2.h, c: 0, t: hct1.t };
+                if (isGray(to)) hct2 = { h: hct1.h, c: 0, t: hct2.t };
+                var hctHue = hct1.h + hueDelta(hct1.h, hct2.h, false) * amount;
+                return intFromHct(sanitizeDegrees(hctHue), lerp(hct1.c, hct2.c, amount), lerp(hct1.t, hct2.t, amount), GAMUT_PRESERVE_TONE);
+            case 'paint':
+                // The spectra reproduce the colors to within rounding; the ends stay exact
+                if (amount === 0) return from & 0xFFFFFF;
+                if (amount === 1) return to & 0xFFFFFF;
+                return mixPaints(rgb1, rgb2, amount);
+        }
+        throw new Error('Unknown interpolation space: ' + space);
+    }
+
+    // Color at amount (0-1) along a gradient of stops [{ position: 0-1, color: 0xRRGGBB }] sorted by
+    // position, each two neighbours interpolated in space. Before the first and after the last stop the
+    // gradient keeps their colors.
+    function gradientColor(stops, amount, space) {
+        if (!stops.length) throw new Error('A gradient needs at least one stop');
+        if (amount <= stops[0].position) return stops[0].color;
+        for (var i = 1; i < stops.length; i++) {
+            var from = stops[i - 1], to = stops[i];
+            if (amount > to.position) continue;
+            var span = to.position - from.position;
+            return span > 0 ? interpolateColor(from.color, to.color, (amount - from.position) / span, space) : to.color;
+        }
+        return stops[stops.length - 1].color;
+    }
+
+    // The stops of a gradient for formats and canvases that blend in sRGB only: outside srgb every
+    // segment is split into steps parts, so the sRGB blend follows the gradient in space.
+    function bakeGradient(stops, space, steps) {
+        if (INTERPOLATION_SPACES.indexOf(space) < 0) throw new Error('Unknown interpolation space: ' + space);
+        var baked = [];
+        for (var i = 0; i < stops.length; i++) {
+            var from = stops[i - 1], to = stops[i];
+            if (from && space !== 'srgb' && to.position > from.position) {
+                for (var j = 1; j < steps; j++) {
+                    var amount = j / steps;
+                    baked.push({
+                        position: from.position + (to.position - from.position) * amount,
+                        color: interpolateColor(from.color, to.color, amount, space)
+                    });
+                }
+            }
+            baked.push({ position: to.position, color: to.color });
+        }
+        return baked;
+    }
+
+    // =========================================================================================
+    // PART 10: HUE FAMILIES
+    // A rough name for the hue of a 0xRRGGBB color, for filtering lists of colors: the OKLCH hue falls
+    // in one of eight ranges (HUE_FAMILY_STARTS, pink wrapping around 0), and colors with less OKLCH
+    // chroma than NEUTRAL_CHROMA (grays, near-whites, near-blacks) are "neutral".
+    // =========================================================================================
+
+    var HUE_FAMILIES = ['red', 'orange', 'yellow', 'green', 'cyan', 'blue', 'purple', 'pink', 'neutral'];
+    var HUE_FAMILY_STARTS = [10, 45, 75, 120, 175, 230, 285, 320];
+    var NEUTRAL_CHROMA = 0.025;
+
+    function hueFamily(color) {
+        var lch = oklchFromOklab(oklabFromRgb(color >> 16 & 255, color >> 8 & 255, color & 255));
+        if (lch.C < NEUTRAL_CHROMA) return 'neutral';
+        for (var i = HUE_FAMILY_STARTS.length - 1; i >= 0; i--) {
+            if (lch.h >= HUE_FAMILY_STARTS[i]) return HUE_FAMILIES[i];
+        }
+        return 'pink';
+    }
+
+    return {
+        ColorBase: ColorBase,
+        RGB: RGB,
+        HSV: HSV,
+        CMYK: CMYK,
+        XYZ: XYZ,
+        LAB: LAB,
+        Hct: Hct,
+        RGBWheelColorSpace: RGBWheelColorSpace,
+        RYBWheelColorSpace: RYBWheelColorSpace,
+        PerceptualWheelColorSpace: PerceptualWheelColorSpace,
+        WHEEL_COLOR_SPACES: WHEEL_COLOR_SPACES,
+        createWheelColorSpace: createWheelColorSpace,
+        SCHEMES: SCHEMES,
+        SCHEME_NAMES: SCHEME_NAMES,
+        minSchemeAngle: minSchemeAngle,
+        restrainSchemeAngle: restrainSchemeAngle,
+        schemeAngles: schemeAngles,
+        schemeHues: schemeHues,
+        SCHEME_TEMPLATE_MODELS: SCHEME_TEMPLATE_MODELS,
+        schemeTemplateAngles: schemeTemplateAngles,
+        schemeTemplateColors: schemeTemplateColors,
+        WCAG_LEVELS: WCAG_LEVELS,
+        relativeLuminance: relativeLuminance,
+        wcagContrast: wcagContrast,
+        apcaContrast: apcaContrast,
+        meetsContrast: meetsContrast,
+        toneForContrast: toneForContrast,
+        Oklab: Oklab,
+        deltaE76: deltaE76,
+        deltaE2000: deltaE2000,
+        deltaEOK: deltaEOK,
+        NAMED_COLORS: NAMED_COLORS,
+        parseColor: parseColor,
+        INTERPOLATION_SPACES: INTERPOLATION_SPACES,
+        interpolateColor: interpolateColor,
+        gradientColor: gradientColor,
+        bakeGradient: bakeGradient,
+        HUE_FAMILIES: HUE_FAMILIES,
+        hueFamily: hueFamily
+    };
+});
@@ -0,0 +1,49 @@
+
+// ES module entry of the Coolorus color engine for Node; see colorengine.js.
+// import ColorEngine, { HSV, Hct, schemeHues } from './js/colorengine.mjs';
+
+import ColorEngine from './colorengine.js';
+
+export default ColorEngine;
+
+export const {
+    ColorBase,
+    RGB,
+    HSV,
+    CMYK,
+    XYZ,
+    LAB,
+    Hct,
+    Oklab,
+    RGBWheelColorSpace,
+    RYBWheelColorSpace,
+    PerceptualWheelColorSpace,
+    WHEEL_COLOR_SPACES,
+    createWheelColorSpace,
+    SCHEMES,
+    SCHEME_NAMES,
+    minSchemeAngle,
+    restrainSchemeAngle,
+    schemeAngles,
+    schemeHues,
+    SCHEME_TEMPLATE_MODELS,
+    schemeTemplateAngles,
+    schemeTemplateColors,
+    WCAG_LEVELS,
+    relativeLuminance,
+    wcagContrast,
+    apcaContrast,
+    meetsContrast,
+    toneForContrast,
+    deltaE76,
+    deltaE2000,
+    deltaEOK,
+    NAMED_COLORS,
+    parseColor,
+    INTERPOLATION_SPACES,
+    interpolateColor,
+    gradientColor,
+    bakeGradient,
+    HUE_FAMILIES,
+    hueFamily
+} = ColorEngine;
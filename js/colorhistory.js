@@ -0,0 +1,260 @@
+// Color History for Coolorus
+// A persistent, searchable log of the colors used, next to the History mixer of main.js (its last 32
+// colors, "colors_history"). Every color the history samples is recorded with the time and the name of
+// the active document (host.documentName, see hostadapters.js) in the panel settings ("history.records",
+// newest first); a color used again moves to the front. The log keeps "history.size" colors
+// (HISTORY_SIZES) besides the pinned ones, which also stay when it is cleared.
+// The flyout menu "Color History" opens the browser: text search of the hex, a hue family filter
+// (ColorEngine.hueFamily), pinned colors only; clicking a color makes it the active color.
+// Clearing the History mixer (right click) now also clears its saved colors.
+// Must be loaded after main.js, colorengine.js, output.js and host.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    if (!engine || !engine.hueFamily || typeof ColorHistory !== 'function' || typeof PhotoshopHostApp !== 'function' ||
+        !PhotoshopHostApp.registerMenuItem) return;
+
+    var RECORDS_SETTING = 'history.records';
+    var SIZE_SETTING = 'history.size';
+    var HISTORY_SIZES = [50, 100, 250, 500, 1000];
+    var DEFAULT_SIZE = 250;
+    // main.js keeps 32 colors in the History mixer
+    var MIXER_SIZE = 32;
+
+    var style = document.getElementById('colorhistory_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'colorhistory_style';
+        style.innerHTML = '' +
+            '#colorhistory .content { font-size: 10px; padding-bottom: 15px; }' +
+            '.colorhistory-title { margin-bottom: 8px; font-weight: bold; }' +
+            '.colorhistory-row { display: flex; align-items: center; margin-bottom: 4px; }' +
+            '.colorhistory-row > * { margin-right: 4px; }' +
+            '.colorhistory-row select, .colorhistory-row input[type=text] { flex: 1; min-width: 0; height: 16px; font-size: 10px; }' +
+            '#colorhistory_list { max-height: 180px; overflow-y: auto; margin-bottom: 4px; }' +
+            '.colorhistory-item { display: flex; align-items: center; padding: 1px 0; cursor: pointer; }' +
+            '.colorhistory-item:hover { background: rgba(128, 128, 128, .2); }' +
+            '.colorhistory-swatch { flex: none; width: 14px; height: 14px; margin-right: 4px; border: 1px solid rgba(0, 0, 0, .4); }' +
+            '.colorhistory-hex { flex: none; width: 48px; font-family: monospace; }' +
+            '.colorhistory-info { flex: 1; min-width: 0; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; opacity: .7; }' +
+            '.colorhistory-pin { flex: none; width: 16px; text-align: center; opacity: .5; }' +
+            '.colorhistory-pin.pinned { opacity: 1; }' +
+            '#colorhistory_empty { display: none; margin-bottom: 4px; opacity: .7; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    // ===========================================
+    // PART 1: RECORDS
+    // ===========================================
+    // { color: "rrggbb" as ColorBase.hex, time: ms since 1970 (0 if unknown), document, pinned }
+
+    function readRecord(json) {
+        if (!json || typeof json !== 'object' || !/^[0-9a-f]{6}$/.test(json.color)) return null;
+        return {
+            color: json.color,
+            time: typeof json.time === 'number' && isFinite(json.time) ? json.time : 0,
+            document: typeof json.document === 'string' ? json.document : '',
+            pinned: json.pinned === true
+        };
+    }
+
+    function getSize() {
+        var size = Settings.getGlobal(SIZE_SETTING);
+        return HISTORY_SIZES.indexOf(size) >= 0 ? size : DEFAULT_SIZE;
+    }
+
+    // The saved records, broken ones left out. Before the first record the colors of the History mixer
+    // are taken over, without time and document.
+    function getRecords() {
+        var saved = Settings.getGlobal(RECORDS_SETTING);
+        if (!Array.isArray(saved)) {
+            saved = String(Settings.getGlobal('colors_history') || '').split(',').map(function(hex) {
+                return { color: hex };
+            });
+        }
+        var records = [];
+        for (var i = 0; i < saved.length; i++) {
+            var record = readRecord(saved[i]);
+            if (record) records.push(record);
+        }
+        return records;
+    }
+
+    // Drops the oldest colors that are not pinned above the size
+    function setRecords(records) {
+        var kept = getSize();
+        Settings.setGlobal(RECORDS_SETTING, records.filter(function(record) {
+            return record.pinned || kept-- > 0;
+        }));
+    }
+
+    function addRecord(color) {
+        var records = getRecords();
+        var pinned = false;
+        for (var i = 0; i < records.length; i++) {
+            if (records[i].color !== color) continue;
+            pinned = records[i].pinned;
+            records.splice(i, 1);
+            break;
+        }
+        records.unshift({ color: color, time: Date.now(), document: window.coolorus.host.documentName || '', pinned: pinned });
+        setRecords(records);
+    }
+
+    function setPinned(color, pinned) {
+        setRecords(getRecords().map(function(record) {
+            if (record.color === color) record.pinned = pinned;
+            return record;
+        }));
+    }
+
+    // Keeps the pinned colors
+    function clearRecords() {
+        setRecords(getRecords().filter(function(record) {
+            return record.pinned;
+        }));
+    }
+
+    Settings.getChangedSignal(SIZE_SETTING).add(function() {
+        setRecords(getRecords());
+    });
+
+    // ===========================================
+    // PART 2: MIXER HISTORY
+    // ===========================================
+    // pushColor() is where main.js' history takes a color, unless the History mixer itself is being used.
+    // main.js saves the mixer colors on push only, so cleared colors came back with the next session.
+
+    var basePushColor = ColorHistory.prototype.pushColor;
+    ColorHistory.prototype.pushColor = function(color) {
+        basePushColor.call(this, color);
+        addRecord(color.hex);
+    };
+
+    var baseClear = ColorHistory.prototype.clear;
+    ColorHistory.prototype.clear = function() {
+        baseClear.call(this);
+        Settings.setGlobal('colors_history', this.serialize(MIXER_SIZE));
+    };
+
+    var baseClearCell = ColorHistory.prototype.clearCell;
+    ColorHistory.prototype.clearCell = function(index) {
+        baseClearCell.call(this, index);
+        Settings.setGlobal('colors_history', this.serialize(MIXER_SIZE));
+    };
+
+    // ===========================================
+    // PART 3: BROWSER
+    // ===========================================
+
+    var browser = null;
+
+    function createBrowser() {
+        var element = jQuery('<div class="popup" id="colorhistory"><div class="content">' +
+            '<ul class="controls"><li id="colorhistory-close"></li></ul></div></div>');
+        var content = element.children('.content');
+        content.append(jQuery('<div class="colorhistory-title" />').text(localize('colorhistory_title')));
+        var family = jQuery('<select id="colorhistory_family" />')
+            .append(jQuery('<option value="" />').text(localize('colorhistory_family_all')));
+        for (var i = 0; i < engine.HUE_FAMILIES.length; i++) {
+            family.append(jQuery('<option />').val(engine.HUE_FAMILIES[i]).text(localize('colorhistory_family_' + engine.HUE_FAMILIES[i])));
+        }
+        content.append(jQuery('<div class="colorhistory-row" />')
+            .append(jQuery('<input id="colorhistory_search" type="text" maxlength="7" />').attr('placeholder', localize('colorhistory_search')))
+            .append(family));
+        content.append(jQuery('<div class="colorhistory-row" />')
+            .append(jQuery('<label />')
+                .append(jQuery('<input id="colorhistory_pinned" type="checkbox" />'))
+                .append(document.createTextNode(' ' + localize('colorhistory_pinnedOnly')))));
+        content.append(jQuery('<div id="colorhistory_list" />'));
+        content.append(jQuery('<div id="colorhistory_empty" />').text(localize('colorhistory_empty')));
+        var size = jQuery('<select id="colorhistory_size" />');
+        for (i = 0; i < HISTORY_SIZES.length; i++) size.append(jQuery('<option />').val(HISTORY_SIZES[i]).text(HISTORY_SIZES[i]));
+        content.append(jQuery('<div class="colorhistory-row" />')
+            .append(jQuery('<label for="colorhistory_size" />').text(localize('colorhistory_size')))
+            .append(size)
+            .append(jQuery('<button id="colorhistory_clear" type="button" />').text(localize('colorhistory_clear'))
+                .attr('title', localize('colorhistory_clear_tooltip'))));
+        element.hide().appendTo('#content_container');
+
+        element.on('click', '#colorhistory-close', function() {
+            element.hide();
+        });
+        element.on('input change', '#colorhistory_search, #colorhistory_family, #colorhistory_pinned', showRecords);
+        element.on('change', '#colorhistory_size', function() {
+            Settings.setGlobal(SIZE_SETTING, parseInt(this.value));
+        });
+        element.on('click', '#colorhistory_clear', function() {
+            window.tracking.event('color history', 'clear');
+            clearRecords();
+        });
+        element.on('click', '.colorhistory-pin', function(event) {
+            event.stopPropagation();
+            var color = jQuery(this).closest('.colorhistory-item').attr('data-color');
+            setPinned(color, !jQuery(this).hasClass('pinned'));
+        });
+        element.on('click', '.colorhistory-item', function() {
+            window.tracking.event('color history', 'use');
+            window.coolorus.output.setColor('#' + jQuery(this).attr('data-color'), { commit: true, origin: 'history' });
+        });
+        return { element: element };
+    }
+
+    function openBrowser() {
+        if (!browser) browser = createBrowser();
+        browser.element.css('z-index', ++NEXT_POPUP_Z_INDEX).show();
+        showRecords();
+    }
+
+    // The search matches anywhere in the hex, with or without "#"
+    function filterRecords(records) {
+        var search = browser.element.find('#colorhistory_search').val().trim().toLowerCase().replace(/^#/, '');
+        var family = browser.element.find('#colorhistory_family').val();
+        var pinnedOnly = browser.element.find('#colorhistory_pinned').prop('checked');
+        return records.filter(function(record) {
+            return record.color.indexOf(search) >= 0 && (!pinnedOnly || record.pinned) &&
+                (!family || engine.hueFamily(parseInt(record.color, 16)) === family);
+        });
+    }
+
+    function describe(record) {
+        var parts = [];
+        if (record.time) parts.push(new Date(record.time).toLocaleString());
+        if (record.document) parts.push(record.document);
+        return parts.join(' · ');
+    }
+
+    function showRecords() {
+        var records = filterRecords(getRecords());
+        var list = browser.element.find('#colorhistory_list').empty();
+        for (var i = 0; i < records.length; i++) {
+            var info = describe(records[i]);
+            list.append(jQuery('<div class="colorhistory-item" />').attr('data-color', records[i].color)
+                .append(jQuery('<span class="colorhistory-swatch" />').css('background-color', '#' + records[i].color))
+                .append(jQuery('<span class="colorhistory-hex" />').text('#' + records[i].color.toUpperCase()))
+                .append(jQuery('<span class="colorhistory-info" />').text(info).attr('title', info))
+                .append(jQuery('<span class="colorhistory-pin" />').text(records[i].pinned ? '★' : '☆')
+                    .toggleClass('pinned', records[i].pinned).attr('title', localize('colorhistory_pin'))));
+        }
+        browser.element.find('#colorhistory_empty').toggle(!records.length);
+        browser.element.find('#colorhistory_size').val(getSize());
+    }
+
+    Settings.getChangedSignal(RECORDS_SETTING).add(function() {
+        if (browser && browser.element.css('display') != 'none') showRecords();
+    });
+
+    PhotoshopHostApp.registerMenuItem('colorHistory', openBrowser);
+
+    window.ColorHistoryLog = {
+        HISTORY_SIZES: HISTORY_SIZES,
+        getRecords: getRecords,
+        setPinned: setPinned,
+        clear: clearRecords,
+        open: openBrowser
+    };
+})();
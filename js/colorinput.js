@@ -0,0 +1,104 @@
+
+// Color Input for Coolorus
+// The hex field under the wheel takes any color typed or pasted into it, not only hex: CSS rgb(), hsl(),
+// hwb(), lab(), lch(), oklab(), oklch(), color(display-p3 ...) and the other color() spaces, named
+// colors and HCT triples as hct(hue chroma tone). As with hex, the color is previewed while typing and
+// committed on Enter, and the field then shows the hex of the result.
+// Text that is no color is not dropped silently: it stays in the field, which turns red, with the reason
+// below it. Colors outside sRGB are mapped into it, with a note saying so.
+// The parsing is ColorEngine.parseColor() (colorengine.js). Must be loaded after main.js and colorengine.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    var BaseHexInput = window.HexInput;
+    if (!engine || !engine.parseColor || typeof BaseHexInput !== 'function') return;
+
+    var style = document.getElementById('colorinput_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'colorinput_style';
+        style.innerHTML = '' +
+            '#hexInput.colorinput-invalid { color: #e25d5d; }' +
+            '#colorinput_message { position: absolute; left: 0; top: 100%; margin-top: 2px; padding: 1px 4px; display: none; ' +
+            'font-size: 9px; white-space: nowrap; color: #ddd; background: rgba(0, 0, 0, .8); border-radius: 2px; }' +
+            '#colorinput_message.error { color: #ff8080; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    // { rgb, inGamut } or { error }
+    function parse(text) {
+        try {
+            return engine.parseColor(text);
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    // ===========================================
+    // PART 1: FIELD
+    // ===========================================
+
+    function HexInput(field, color, output) {
+        BaseHexInput.call(this, field, color, output);
+        // main.js lets only hex digits through and stops at 7 characters
+        field.off('keypress').removeAttr('maxlength').attr('title', localize('colorinput_tooltip'));
+        this._message = jQuery('<div id="colorinput_message" />').insertAfter(field);
+        this._messageColor = null;
+    }
+    HexInput.prototype = BaseHexInput.prototype;
+
+    // Shown until the color changes to another one; text: null hides it
+    HexInput.prototype.showMessage = function(text, error) {
+        this._messageColor = text === null ? null : this._color.rawColor;
+        this._message.text(text || '').toggleClass('error', !!error).toggle(text !== null);
+        this.inputField.toggleClass('colorinput-invalid', !!error);
+    };
+
+    HexInput.prototype.previewColor = function(rgb) {
+        if (this._color.rawColor === rgb) return;
+        // Keeps the typed text in the field
+        this._ignoreNextOutputChange = true;
+        this._color.rawColor = rgb;
+    };
+
+    var baseHandleOutputColorChanged = HexInput.prototype.handleOutputColorChanged;
+    HexInput.prototype.handleOutputColorChanged = function() {
+        baseHandleOutputColorChanged.call(this);
+        if (this._message && this._messageColor !== null && this._color.rawColor !== this._messageColor) this.showMessage(null);
+    };
+
+    HexInput.prototype.handleValueFieldKeyUp = function() {
+        var result = parse(this.inputField.val());
+        // Half typed text is no color yet; the reason is given on Enter
+        this.inputField.toggleClass('colorinput-invalid', !!result.error);
+        if (result.error) return;
+        this._message.hide();
+        this.previewColor(result.rgb);
+    };
+
+    HexInput.prototype.handleValueFieldChange = function() {
+        BaseHexInput.fieldFocused = false;
+        var text = this.inputField.val();
+        var result = parse(text);
+        if (result.error) {
+            // Back to the committed color, the text kept for correcting
+            this.output.rollback();
+            this.inputField.val(text);
+            this.showMessage(localize('colorinput_invalid').split('%error%').join(result.error), true);
+            window.tracking.event('color input', 'invalid');
+        } else {
+            this.previewColor(result.rgb);
+            this.inputField.val(this._color.hex.toUpperCase());
+            this.output.commit();
+            this.showMessage(result.inGamut ? null : localize('colorinput_outOfGamut'));
+            if (!/^#?[0-9a-f]+$/i.test(text.trim())) window.tracking.event('color input', text.trim().split('(')[0].toLowerCase());
+        }
+        this.inputField.blur();
+    };
+
+    window.HexInput = HexInput;
+})();
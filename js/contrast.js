@@ -0,0 +1,159 @@
+
+// Contrast Readout for Coolorus
+// WCAG 2.1 contrast ratio and APCA lightness contrast (Lc) of the foreground color against the
+// background, in a picker row (pickerrows.js); flyout menu "Contrast Readout" turns it on.
+// AA / AAA turn green when the ratio passes for normal text and amber when it passes for large text
+// only. Fix moves the foreground along its HCT tone, hue and chroma kept, to the nearest tone that
+// meets the target chosen next to it. Previews (dragging on the wheel) are measured as well.
+// The math is in colorengine.js. Must be loaded after colorengine.js, host.js and pickerrows.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    if (!engine || !engine.toneForContrast || !window.PickerRows ||
+        typeof PhotoshopHostApp !== 'function' || !PhotoshopHostApp.registerMenuItem) return;
+
+    var READOUT_SETTING = 'contrastReadout';
+    var TARGET_SETTING = 'contrast.target';
+    var READOUT_HEIGHT = 18;
+
+    // Targets of Fix; the id is what the setting keeps
+    var TARGETS = [
+        { id: 'wcag:3', metric: 'wcag', value: engine.WCAG_LEVELS.AA_LARGE, label: '3:1' },
+        { id: 'wcag:4.5', metric: 'wcag', value: engine.WCAG_LEVELS.AA, label: '4.5:1' },
+        { id: 'wcag:7', metric: 'wcag', value: engine.WCAG_LEVELS.AAA, label: '7:1' },
+        { id: 'apca:45', metric: 'apca', value: 45, label: 'Lc 45' },
+        { id: 'apca:60', metric: 'apca', value: 60, label: 'Lc 60' },
+        { id: 'apca:75', metric: 'apca', value: 75, label: 'Lc 75' },
+        { id: 'apca:90', metric: 'apca', value: 90, label: 'Lc 90' }
+    ];
+    var DEFAULT_TARGET = 'wcag:4.5';
+
+    // AA / AAA: ratio for normal text, for large text
+    var LEVELS = {
+        AA: [engine.WCAG_LEVELS.AA, engine.WCAG_LEVELS.AA_LARGE],
+        AAA: [engine.WCAG_LEVELS.AAA, engine.WCAG_LEVELS.AAA_LARGE]
+    };
+
+    var style = document.getElementById('contrast_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'contrast_style';
+        style.innerHTML = '' +
+            '#picker_row_contrast > * { margin-right: 5px; }' +
+            '.contrast-sample { padding: 0 3px; line-height: 14px; font-weight: bold; border: 1px solid #000; border-radius: 2px; }' +
+            '.contrast-ratio { min-width: 38px; }' +
+            '.contrast-level { padding: 0 2px; line-height: 12px; font-size: 9px; border-radius: 2px; color: #999; background: #333; text-decoration: line-through; }' +
+            '.contrast-level.large { color: #000; background: #b08a30; text-decoration: none; }' +
+            '.contrast-level.pass { color: #000; background: #5fa85f; text-decoration: none; }' +
+            '.contrast-apca { flex: 1; min-width: 44px; }' +
+            '#contrast_fix { margin-right: 0; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    function findTarget(id) {
+        for (var i = 0; i < TARGETS.length; ++i) {
+            if (TARGETS[i].id === id) return TARGETS[i];
+        }
+        return null;
+    }
+
+    function currentTarget() {
+        return findTarget(Settings.getGlobal(TARGET_SETTING)) || findTarget(DEFAULT_TARGET);
+    }
+
+    // ===========================================
+    // PART 1: READOUT
+    // ===========================================
+
+    var readout = null;
+
+    function createReadout(element) {
+        readout = element;
+        readout.append(jQuery('<span class="contrast-sample">Aa</span>'));
+        readout.append(jQuery('<span class="contrast-ratio" />').attr('title', localize('contrast_ratio_tooltip')));
+        for (var level in LEVELS) readout.append(jQuery('<span class="contrast-level" />').attr('data-level', level).text(level));
+        readout.append(jQuery('<span class="contrast-apca" />').attr('title', localize('contrast_apca_tooltip')));
+        var select = jQuery('<select id="contrast_target" />').attr('title', localize('contrast_target_tooltip'));
+        for (var i = 0; i < TARGETS.length; ++i) select.append(jQuery('<option />').val(TARGETS[i].id).text(TARGETS[i].label));
+        readout.append(select);
+        readout.append(jQuery('<button id="contrast_fix" type="button" />').text(localize('contrast_fix')).attr('title', localize('contrast_fix_tooltip')));
+
+        select.on('change', function() {
+            Settings.setGlobal(TARGET_SETTING, select.val());
+            updateReadout();
+        });
+        readout.find('#contrast_fix').on('click', fixContrast);
+
+        var output = window.coolorus.output;
+        output.newForeground.changed.add(updateReadout);
+        output.newBackground.changed.add(updateReadout);
+    }
+
+    function updateReadout() {
+        if (!readout || !Settings.getGlobal(READOUT_SETTING)) return;
+        var output = window.coolorus.output;
+        var foreground = output.newForeground.rawColor;
+        var background = output.newBackground.rawColor;
+        // Never round up to a ratio that is not met
+        var ratio = Math.floor(engine.wcagContrast(foreground, background) * 100) / 100;
+        var target = currentTarget();
+
+        readout.find('.contrast-sample').css({ color: '#' + output.newForeground.hex, background: '#' + output.newBackground.hex });
+        readout.find('.contrast-ratio').text(ratio.toFixed(2) + ':1');
+        readout.find('.contrast-level').each(function() {
+            var limits = LEVELS[this.getAttribute('data-level')];
+            var state = ratio >= limits[0] ? 'pass' : ratio >= limits[1] ? 'large' : 'fail';
+            jQuery(this).toggleClass('pass', state === 'pass').toggleClass('large', state === 'large')
+                .attr('title', localize('contrast_level_' + state).split('%ratio%').join(limits[state === 'pass' ? 0 : 1] + ':1'));
+        });
+        readout.find('.contrast-apca').text('Lc ' + engine.apcaContrast(foreground, background).toFixed(1));
+        readout.find('#contrast_target').val(target.id);
+        readout.find('#contrast_fix').prop('disabled', engine.meetsContrast(foreground, background, target));
+    }
+
+    // ===========================================
+    // PART 2: FIX
+    // ===========================================
+
+    function fixContrast() {
+        var output = window.coolorus.output;
+        var target = currentTarget();
+        var color = engine.toneForContrast(output.newForeground.rawColor, output.newBackground.rawColor, target);
+        window.tracking.event('contrast', 'fix ' + target.id + (color === null ? ' failed' : ''));
+        if (color === null) {
+            window.coolorus.host.alert(localize('contrast_unreachable'));
+            return;
+        }
+        if (output.activePrimary) {
+            output.setColor(color, { origin: 'contrast' });
+        } else {
+            output.newForeground.copyFrom(RGB.fromRawColor(color));
+            output.commit();
+        }
+    }
+
+    // ===========================================
+    // PART 3: ROW
+    // ===========================================
+
+    PickerRows.register('contrast', {
+        height: READOUT_HEIGHT,
+        isVisible: function() {
+            return !!Settings.getGlobal(READOUT_SETTING);
+        },
+        create: createReadout,
+        update: updateReadout
+    });
+
+    Settings.getChangedSignal(READOUT_SETTING).add(function() {
+        window.tracking.event('settings', 'contrast readout ' + (Settings.getGlobal(READOUT_SETTING) ? 'on' : 'off'));
+        PickerRows.update();
+        window.coolorus.host.updateSettingsItems();
+    });
+
+    PhotoshopHostApp.registerMenuItem(READOUT_SETTING, Settings.toggleGlobal, Settings.getGlobal);
+})();
@@ -0,0 +1,542 @@
+
+// Mixer File Format v2 for Coolorus
+// Replaces the "v1;blender-0:...;selection:0,1" string written by MixersPanel.serializeModes() with a
+// JSON document that carries every mixer mode, swatch names, the gamut mask and the wheel settings.
+// v1 files (and the v1 mixer state saved in the panel settings) are migrated on load. A file is
+// validated completely before anything is applied; errors name the part of the file that failed.
+// The format is described in README.md ("混合器文件格式（.cool v2）").
+
+(function() {
+    if (typeof MixersPanel !== 'function') return;
+
+    var FORMAT = 'coolorus-mixer';
+    var VERSION = 2;
+    var MASK_IDS = ['triangle', 'rectangle', 'ellipse', 'diamond', 'doubleEllipse', 'custom'];
+    var SWATCH_MODELS = { RGB: 3, CMYK: 4, LAB: 3, Gray: 1 };
+    var SWATCH_TYPES = ['global', 'spot', 'process'];
+    var INTERPOLATION_SPACES = window.ColorEngine ? window.ColorEngine.INTERPOLATION_SPACES : ['srgb'];
+
+    // ===========================================
+    // PART 1: VALIDATION
+    // ===========================================
+    // Validation errors are Errors with a "part" naming where the file is broken, e.g.
+    // "modes[3].cells[2].swatch.values".
+
+    function fail(part, message) {
+        var error = new Error(message);
+        error.part = part;
+        throw error;
+    }
+
+    function rethrowLater(error) {
+        setTimeout(function() { throw error; }, 0);
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function checkObject(value, part) {
+        if (!isObject(value)) fail(part, 'expected an object');
+        return value;
+    }
+
+    function checkArray(value, part) {
+        if (!Array.isArray(value)) fail(part, 'expected a list');
+        return value;
+    }
+
+    function checkNumber(value, part, min, max) {
+        if (typeof value !== 'number' || !isFinite(value)) fail(part, 'expected a number');
+        if (value < min || value > max) fail(part, value + ' is outside ' + min + '..' + max);
+        return value;
+    }
+
+    function checkInteger(value, part, min, max) {
+        checkNumber(value, part, min, max);
+        if (Math.floor(value) !== value) fail(part, 'expected a whole number');
+        return value;
+    }
+
+    function checkBoolean(value, part) {
+        if (typeof value !== 'boolean') fail(part, 'expected true or false');
+        return value;
+    }
+
+    function checkString(value, part) {
+        if (typeof value !== 'string') fail(part, 'expected text');
+        return value;
+    }
+
+    // "#RRGGBB" or "RRGGBB" -> raw color
+    function checkColor(value, part) {
+        var match = typeof value === 'string' ? /^#?([0-9a-f]{6})$/i.exec(value) : null;
+        if (!match) fail(part, 'expected a color like "#ff8800"');
+        return parseInt(match[1], 16);
+    }
+
+    function colorToJSON(color) {
+        return '#' + color.hex.toLowerCase();
+    }
+
+    // ===========================================
+    // PART 2: MIXER MODES
+    // ===========================================
+    // A mode entry is { type: mode id, selected, num, autoSample, ...mode fields }.
+    // Codecs: write(mode, forFile) -> mode fields; read(json, part) -> validated value for apply(mode, value).
+    // Modes without a codec (other addons) store their v1 serialize() string as "data".
+
+    var codecs = {};
+
+    function registerMode(id, codec) {
+        codecs[id] = codec;
+    }
+
+    function readColors(json, part, max) {
+        var colors = checkArray(json, part);
+        if (colors.length > max) fail(part, 'more than ' + max + ' colors');
+        var raws = [];
+        for (var i = 0; i < colors.length; i++) raws.push(checkColor(colors[i], part + '[' + i + ']'));
+        return raws;
+    }
+
+    // The history itself is kept in "colors_history"; only files carry a copy
+    registerMode('history', {
+        write: function(mode, forFile) {
+            if (!forFile) return {};
+            var colors = window.coolorus.output.history.serialize().split(',');
+            return { colors: colors[0] ? colors.map(function(hex) { return '#' + hex.toLowerCase(); }) : [] };
+        },
+        read: function(json, part) {
+            return json.colors === undefined ? null : readColors(json.colors, part + '.colors', 32);
+        },
+        apply: function(mode, raws) {
+            if (!raws) return;
+            var history = window.coolorus.output.history;
+            history.deserialize(raws.map(function(raw) { return RGB.fromRawColor(raw).hex; }).join(','));
+            Settings.setGlobal('colors_history', history.serialize());
+        }
+    });
+
+    // interpolation: the color space of the blend (blender.js), "srgb" as main.js blends when missing
+    registerMode('blender', {
+        write: function(mode) {
+            return {
+                colors: [colorToJSON(mode._foregroundColor), colorToJSON(mode._backgroundColor)],
+                interpolation: mode.interpolation || 'srgb'
+            };
+        },
+        read: function(json, part) {
+            var raws = readColors(json.colors, part + '.colors', 2);
+            if (raws.length !== 2) fail(part + '.colors', 'expected the two blended colors');
+            var interpolation = json.interpolation === undefined ? 'srgb' : checkString(json.interpolation, part + '.interpolation');
+            if (INTERPOLATION_SPACES.indexOf(interpolation) < 0) fail(part + '.interpolation', 'unknown interpolation "' + interpolation + '"');
+            return { colors: raws, interpolation: interpolation };
+        },
+        apply: function(mode, value) {
+            mode._foregroundColor.rawColor = value.colors[0];
+            mode._backgroundColor.rawColor = value.colors[1];
+            mode.interpolation = value.interpolation;
+        }
+    });
+
+    registerMode('shadesandtones', {
+        write: function(mode) {
+            return { color: colorToJSON(mode._selectedColor) };
+        },
+        read: function(json, part) {
+            return checkColor(json.color, part + '.color');
+        },
+        apply: function(mode, raw) {
+            mode._selectedColor.rawColor = raw;
+        }
+    });
+
+    registerMode('scheme', {
+        write: function(mode) {
+            var colors = [];
+            for (var i = 0; i < mode._colors.length && i < mode.num; ++i) colors.push(colorToJSON(mode._colors[i]));
+            return { colors: colors };
+        },
+        read: function(json, part) {
+            return readColors(json.colors, part + '.colors', 31);
+        },
+        apply: function(mode, raws) {
+            mode._colors = raws.map(function(raw) { return RGB.fromRawColor(raw); });
+        }
+    });
+
+    // Cells are null (empty) or { color, swatch }; swatch is the record imported from a swatch file
+    // (see swatchfiles.js) with its name, group, color model, values and global / spot type.
+    registerMode('swatches', {
+        write: function(mode) {
+            var cells = [];
+            for (var i = 0; i < mode._data.length && i < mode.num; ++i) {
+                var color = mode._data[i];
+                cells.push(color ? (color.swatch ? { color: colorToJSON(color), swatch: color.swatch } : { color: colorToJSON(color) }) : null);
+            }
+            return { name: mode.paletteName || '', cells: cells };
+        },
+        read: function(json, part) {
+            var name = json.name === undefined ? '' : checkString(json.name, part + '.name');
+            var cells = checkArray(json.cells, part + '.cells');
+            if (cells.length > 31) fail(part + '.cells', 'more than 31 swatches');
+            var values = [];
+            for (var i = 0; i < cells.length; i++) {
+                var cellPart = part + '.cells[' + i + ']';
+                if (cells[i] === null) {
+                    values.push(null);
+                    continue;
+                }
+                checkObject(cells[i], cellPart);
+                values.push({
+                    raw: checkColor(cells[i].color, cellPart + '.color'),
+                    swatch: cells[i].swatch === undefined ? null : readSwatch(cells[i].swatch, cellPart + '.swatch')
+                });
+            }
+            return { name: name, cells: values };
+        },
+        apply: function(mode, value) {
+            mode.paletteName = value.name;
+            mode._data = value.cells.map(function(cell) {
+                if (!cell) return null;
+                var color = RGB.fromRawColor(cell.raw);
+                if (cell.swatch) color.swatch = cell.swatch;
+                return color;
+            });
+        }
+    });
+
+    function readSwatch(json, part) {
+        checkObject(json, part);
+        var model = checkString(json.model, part + '.model');
+        if (!SWATCH_MODELS[model]) fail(part + '.model', 'unknown color model "' + model + '"');
+        var values = checkArray(json.values, part + '.values');
+        if (values.length !== SWATCH_MODELS[model]) fail(part + '.values', model + ' needs ' + SWATCH_MODELS[model] + ' values');
+        for (var i = 0; i < values.length; i++) checkNumber(values[i], part + '.values[' + i + ']', -1000, 1000);
+        var type = json.type === undefined ? 'process' : checkString(json.type, part + '.type');
+        if (SWATCH_TYPES.indexOf(type) < 0) fail(part + '.type', 'expected ' + SWATCH_TYPES.join(', '));
+        return {
+            name: json.name === undefined ? '' : checkString(json.name, part + '.name'),
+            group: json.group === undefined ? '' : checkString(json.group, part + '.group'),
+            model: model,
+            values: values.slice(),
+            type: type
+        };
+    }
+
+    var legacyCodec = {
+        write: function(mode) {
+            return { data: mode.serialize() };
+        },
+        read: function(json, part) {
+            return checkString(json.data, part + '.data');
+        },
+        apply: function(mode, data) {
+            mode.deserialize(data);
+        }
+    };
+
+    function codecFor(id) {
+        return codecs.hasOwnProperty(id) ? codecs[id] : legacyCodec;
+    }
+
+    // ===========================================
+    // PART 3: GAMUT MASK, WHEEL AND OTHER PARTS
+    // ===========================================
+
+    function writeGamutMask() {
+        var masks = {};
+        for (var i = 0; i < MASK_IDS.length; i++) {
+            var state = Settings.getGlobal('gamut.mask.' + MASK_IDS[i]);
+            if (state) masks[MASK_IDS[i]] = state;
+        }
+        return {
+            enabled: !!Settings.getGlobal('gamut_mask'),
+            selected: parseInt(Settings.getGlobal('gamut.selected_mask')) || 0,
+            color: '#' + ((1 << 24) + (GamutMaskPanel.COLOR.rawColor & 0xFFFFFF)).toString(16).slice(1),
+            masks: masks
+        };
+    }
+
+    function readGamutMask(json, part) {
+        checkObject(json, part);
+        var value = {
+            enabled: checkBoolean(json.enabled, part + '.enabled'),
+            selected: checkInteger(json.selected, part + '.selected', 0, MASK_IDS.length - 1),
+            color: json.color === undefined ? null : checkColor(json.color, part + '.color'),
+            masks: {}
+        };
+        var masks = json.masks === undefined ? {} : checkObject(json.masks, part + '.masks');
+        for (var id in masks) {
+            if (!masks.hasOwnProperty(id)) continue;
+            var maskPart = part + '.masks.' + id;
+            if (MASK_IDS.indexOf(id) < 0) fail(maskPart, 'unknown gamut mask');
+            var mask = checkObject(masks[id], maskPart);
+            var points = checkArray(mask.points, maskPart + '.points');
+            for (var i = 0; i < points.length; i++) {
+                checkObject(points[i], maskPart + '.points[' + i + ']');
+                checkNumber(points[i].x, maskPart + '.points[' + i + '].x', -1000, 1000);
+                checkNumber(points[i].y, maskPart + '.points[' + i + '].y', -1000, 1000);
+            }
+            value.masks[id] = {
+                tx: checkNumber(mask.tx, maskPart + '.tx', -1000, 1000),
+                ty: checkNumber(mask.ty, maskPart + '.ty', -1000, 1000),
+                rotation: checkNumber(mask.rotation, maskPart + '.rotation', -1e6, 1e6),
+                points: points.map(function(point) { return { x: point.x, y: point.y }; })
+            };
+        }
+        return value;
+    }
+
+    function applyGamutMask(value) {
+        var picker = window.coolorus.picker;
+        var panel = picker && picker._gamutMask;
+        for (var id in value.masks) Settings.setGlobal('gamut.mask.' + id, value.masks[id]);
+        if (panel) {
+            for (var i = 0; i < panel._masks.items.length; ++i) {
+                var mask = panel._masks.items[i].data;
+                if (value.masks[mask.id]) mask.state = value.masks[mask.id];
+            }
+            panel._masks.selectedIndex = value.selected;
+        } else {
+            Settings.setGlobal('gamut.selected_mask', value.selected.toString());
+        }
+        if (value.color !== null) GamutMaskPanel.COLOR.rawColor = value.color;
+        if (!!Settings.getGlobal('gamut_mask') !== value.enabled) {
+            if (picker) picker.toggleGamutMasks();
+            else Settings.setGlobal('gamut_mask', value.enabled);
+        }
+    }
+
+    function writeWheel() {
+        return {
+            colorSpace: Settings.getGlobal('picker.color_space') || 0,
+            colorScheme: parseInt(Settings.getGlobal('picker.color_scheme')) || 0,
+            svShape: parseInt(Settings.getGlobal('picker.sv_shape')) || 0,
+            colorsIndex: Settings.getGlobal('wheel.colors_num_index') || 0,
+            hueOffset: Settings.getGlobal(Settings.HUE_OFFSET) || 0
+        };
+    }
+
+    function readWheel(json, part) {
+        checkObject(json, part);
+        return {
+            colorSpace: checkInteger(json.colorSpace, part + '.colorSpace', 0, 2),
+            colorScheme: checkInteger(json.colorScheme, part + '.colorScheme', 0, 5 + (window.SchemeTemplates ? SchemeTemplates.MAX_TEMPLATES : 0)),
+            svShape: checkInteger(json.svShape, part + '.svShape', 0, 1),
+            colorsIndex: checkInteger(json.colorsIndex, part + '.colorsIndex', 0, 5),
+            hueOffset: checkNumber(json.hueOffset, part + '.hueOffset', -360, 360)
+        };
+    }
+
+    function applyWheel(value) {
+        var picker = window.coolorus.picker;
+        var hueWheel = window.coolorus.hueWheel;
+        if (picker && value.colorSpace < picker._wheelColorSpaces.items.length) picker._wheelColorSpaces.selectedIndex = value.colorSpace;
+        if (hueWheel) {
+            if (value.colorScheme < hueWheel._schemes.items.length) hueWheel._schemes.selectedIndex = value.colorScheme;
+            hueWheel._centerPickerModes.selectedIndex = value.svShape;
+        }
+        if (window.coolorus.wheelPalette) window.coolorus.wheelPalette.colorsIndex = value.colorsIndex;
+        Settings.setGlobal(Settings.HUE_OFFSET, value.hueOffset);
+    }
+
+    // Top level fields of other addons, like "gamutMask" and "wheel" written to files only.
+    // Codecs: write() -> field value; read(json, part) -> validated value for apply(value).
+    // Parts are applied after the modes, before the gamut mask and the wheel.
+    var parts = {};
+
+    function registerPart(key, codec) {
+        parts[key] = codec;
+    }
+
+    // ===========================================
+    // PART 4: DOCUMENT
+    // ===========================================
+
+    // modeIds: the ids of the MixerTabs modes, in the order their selection indices refer to
+    function readDocument(json, modeIds) {
+        checkObject(json, 'file');
+        if (json.format !== FORMAT) fail('format', 'not a Coolorus mixer file');
+        checkInteger(json.version, 'version', 1, Infinity);
+        if (json.version > VERSION) fail('version', 'the file was saved by a newer version (' + json.version + ')');
+
+        var modes = checkArray(json.modes, 'modes');
+        var doc = { modes: [], parts: {}, gamutMask: null, wheel: null };
+        var seen = {};
+        for (var i = 0; i < modes.length; i++) {
+            var part = 'modes[' + i + ']';
+            var mode = checkObject(modes[i], part);
+            var type = checkString(mode.type, part + '.type');
+            if (modeIds.indexOf(type) < 0) fail(part + '.type', 'unknown mixer mode "' + type + '"');
+            if (seen[type]) fail(part + '.type', 'mixer mode "' + type + '" appears twice');
+            seen[type] = true;
+            doc.modes.push({
+                type: type,
+                selected: mode.selected === undefined ? false : checkBoolean(mode.selected, part + '.selected'),
+                num: mode.num === undefined ? null : checkInteger(mode.num, part + '.num', 3, 31),
+                autoSample: mode.autoSample === undefined ? false : checkBoolean(mode.autoSample, part + '.autoSample'),
+                value: codecFor(type).read(mode, part)
+            });
+        }
+        if (json.gamutMask !== undefined) doc.gamutMask = readGamutMask(json.gamutMask, 'gamutMask');
+        if (json.wheel !== undefined) doc.wheel = readWheel(json.wheel, 'wheel');
+        for (var key in parts) {
+            if (json[key] !== undefined) doc.parts[key] = parts[key].read(json[key], key);
+        }
+        return doc;
+    }
+
+    // v1: "v1;<mode>;<mode>;...;selection:0,1". Each mode is "<id>-0:<num>,<auto|manual>:<data>",
+    // the history mode an empty string. Only the modes of main.js are known by prefix; the others are
+    // handed to every mode's deserialize(), as v1 did.
+    var V1_MODES = {
+        'blender-0': 'blender',
+        'shades-and-tones-0': 'shadesandtones',
+        'swatches-0': 'swatches',
+        'scheme-mixer-0': 'scheme'
+    };
+
+    function migrateV1(text, modeIds) {
+        var segments = text.split(';');
+        if (segments[0] !== 'v1') fail('file', 'not a Coolorus mixer file');
+        var doc = { modes: [], legacy: [], parts: {}, gamutMask: null, wheel: null };
+        var selection = [];
+        for (var i = 1; i < segments.length; i++) {
+            var segment = segments[i];
+            var fields = segment.split(':');
+            var part = 'v1 ' + (fields[0] || 'history');
+            if (fields[0] === 'selection') {
+                selection = (fields[1] || '').split(',').map(Number);
+                continue;
+            }
+            var type = V1_MODES[fields[0]];
+            if (!type) {
+                if (segment) doc.legacy.push(segment);
+                continue;
+            }
+            var settings = (fields[1] || '').split(',');
+            var num = parseInt(settings[0]);
+            if (isNaN(num)) fail(part, 'missing the number of colors');
+            var colors = fields[2] ? fields[2].split(',') : [];
+            var value;
+            if (type === 'blender') {
+                value = codecs.blender.read({ colors: colors }, part);
+            } else if (type === 'shadesandtones') {
+                value = codecs.shadesandtones.read({ color: colors[0] }, part);
+            } else if (type === 'scheme') {
+                value = codecs.scheme.read({ colors: colors.filter(Boolean) }, part);
+            } else {
+                value = codecs.swatches.read({ cells: colors.map(function(hex) { return hex ? { color: hex } : null; }) }, part);
+            }
+            doc.modes.push({ type: type, selected: false, num: Math.max(3, Math.min(num, 31)), autoSample: settings[1] === 'auto', value: value });
+        }
+        for (var j = 0; j < doc.modes.length; j++) doc.modes[j].selected = selection.indexOf(modeIds.indexOf(doc.modes[j].type)) >= 0;
+        doc.selection = selection.filter(function(index) { return index >= 0 && index < modeIds.length; });
+        return doc;
+    }
+
+    function parseDocument(text, modeIds) {
+        if (typeof text !== 'string' || !text) fail('file', 'the file is empty');
+        text = text.replace(/^\uFEFF/, '');
+        if (text.charAt(0) !== '{') return migrateV1(text, modeIds);
+        var json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            fail('file', e.message);
+        }
+        return readDocument(json, modeIds);
+    }
+
+    // ===========================================
+    // PART 5: MIXERS PANEL
+    // ===========================================
+
+    function modeItems(panel) {
+        return panel._tabs._modesSelection.items;
+    }
+
+    function modeIdsOf(panel) {
+        return modeItems(panel).map(function(item) { return item.mode.id; });
+    }
+
+    // forFile: include the gamut mask, wheel settings and parts (not needed for the mixer state kept in the settings)
+    MixersPanel.prototype.serializeModes = function(forFile) {
+        var items = modeItems(this);
+        var modes = [];
+        var all = this._tabs.getAllModes();
+        for (var i = 0; i < all.length; ++i) {
+            var mode = all[i];
+            var entry = { type: mode.id, selected: false, num: mode.num, autoSample: !!mode._autoSample };
+            for (var j = 0; j < items.length; ++j) {
+                if (items[j].mode === mode) entry.selected = this._tabs.getSelectedIndices().indexOf(j) >= 0;
+            }
+            var fields = codecFor(mode.id).write(mode, forFile);
+            for (var key in fields) entry[key] = fields[key];
+            modes.push(entry);
+        }
+        var json = { format: FORMAT, version: VERSION, modes: modes };
+        if (forFile) {
+            json.gamutMask = writeGamutMask();
+            json.wheel = writeWheel();
+            for (var name in parts) json[name] = parts[name].write();
+        }
+        return JSON.stringify(json, null, forFile ? 2 : 0);
+    };
+
+    // Validates text completely, then applies it. Throws an Error with "part" when the file is invalid.
+    MixersPanel.prototype.importModes = function(text, track) {
+        var ids = modeIdsOf(this);
+        var doc = parseDocument(text, ids);
+        var items = modeItems(this);
+        var selection = doc.selection || [];
+        for (var i = 0; i < doc.modes.length; i++) {
+            var entry = doc.modes[i];
+            var index = ids.indexOf(entry.type);
+            var mode = items[index].mode;
+            if (entry.num !== null) AbstractMixerBar.prototype.deserialize.call(mode, entry.num + ',' + (entry.autoSample ? 'auto' : 'manual'));
+            codecFor(entry.type).apply(mode, entry.value);
+            mode.changed.dispatch();
+            if (entry.selected && selection.indexOf(index) < 0) selection.push(index);
+        }
+        for (var j = 0; doc.legacy && j < doc.legacy.length; j++) {
+            for (var k = 0; k < items.length; k++) items[k].mode.deserialize(doc.legacy[j]);
+        }
+        for (var key in doc.parts) parts[key].apply(doc.parts[key]);
+        if (doc.gamutMask) applyGamutMask(doc.gamutMask);
+        if (doc.wheel) applyWheel(doc.wheel);
+        if (selection.length) this._tabs.setSelectedIndices(selection.sort(function(a, b) { return a - b; }), track);
+        this._tabs.checkSelection();
+    };
+
+    // The saved mixer state is restored through here; a state that fails validation is ignored like
+    // main.js did and logged with the failing part. Anything else is a bug: it is rethrown once the panel
+    // is built, as mixers.js does for broken addon modes.
+    MixersPanel.prototype.deserializeModes = function(text, track) {
+        try {
+            if (text) this.importModes(text, track);
+        } catch (e) {
+            if (!e || !e.part) rethrowLater(e);
+            else console.warn('Coolorus: ignored the saved mixer state, ' + e.part + ': ' + e.message);
+        }
+        this._tabs.checkSelection();
+    };
+
+    window.CoolFile = {
+        VERSION: VERSION,
+        registerMode: registerMode,
+        registerPart: registerPart,
+        parse: parseDocument,
+        // For the read() of codecs in other files
+        fail: fail,
+        checkObject: checkObject,
+        checkArray: checkArray,
+        checkNumber: checkNumber,
+        checkString: checkString,
+        checkColor: checkColor,
+        // For undo.js: value as "gamutMask" of a file, after read
+        applyGamutMask: applyGamutMask
+    };
+})();
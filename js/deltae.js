@@ -0,0 +1,142 @@
+
+// Color Difference Readout for Coolorus
+// While "Compare New/Old Colors" is on, a picker row (pickerrows.js) shows how far the new color of the
+// output is from the old one: ΔE76, ΔE2000 and ΔEOK, and the change of every channel of the slider modes
+// selected in the Sliders panel, in the units the sliders show.
+// New and old are the two halves of the active output swatch: the previewed color against the committed
+// one while the color is being changed (dragging on the wheel or a slider), then the committed color
+// against the one before it, until the next change starts.
+// The math is in colorengine.js. Must be loaded after colorengine.js, output.js and pickerrows.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    if (!engine || !engine.deltaE2000 || !window.PickerRows || typeof SlidersPanel !== 'function') return;
+
+    var READOUT_HEIGHT = 18;
+    var DEGREE = String.fromCharCode(176);
+    var DELTA_E = String.fromCharCode(916) + 'E';
+
+    var style = document.getElementById('deltae_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'deltae_style';
+        style.innerHTML = '' +
+            '#picker_row_deltae > span { margin-right: 6px; }' +
+            '.deltae-value { display: inline-block; min-width: 26px; color: #fff; }' +
+            '.deltae-channels { flex: 1; margin-right: 0; overflow: hidden; text-overflow: ellipsis; opacity: .8; }' +
+            '.deltae-channel { margin-right: 4px; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    function formatDelta(value) {
+        return value > 0 ? '+' + value : value.toString();
+    }
+
+    // ===========================================
+    // PART 1: OLD AND NEW
+    // ===========================================
+
+    var readout = null;
+    var committed = null;
+    var oldColor = null;
+    var newColor = null;
+    var previewFrom = null;
+    var activePrimary = true;
+
+    function handleOutputColorChanged(event) {
+        var output = window.coolorus.output;
+        if (output.activePrimary !== activePrimary) {
+            // Switched between foreground and background, which is no change of a color
+            activePrimary = output.activePrimary;
+            committed = oldColor = newColor = output.activeColor.clone();
+            previewFrom = null;
+        } else if (!event.committed) {
+            if (!previewFrom) previewFrom = committed;
+            oldColor = previewFrom;
+            newColor = output.newActiveColor.clone();
+        } else {
+            oldColor = previewFrom || committed;
+            newColor = committed = output.activeColor.clone();
+            previewFrom = null;
+        }
+        updateReadout();
+    }
+
+    // ===========================================
+    // PART 2: READOUT
+    // ===========================================
+
+    // Value of the slider for a color, as the slider shows it
+    function sliderValue(slider, color) {
+        var probe = Object.create(slider);
+        probe.color = slider.color.clone();
+        probe.color.copyFrom(color);
+        return Number(probe.getFormattedValue());
+    }
+
+    // [{ name, delta }] for the sliders shown in the Sliders panel
+    function channelDeltas() {
+        var panels = window.coolorus.panels;
+        var sliders = panels && panels.sliders ? panels.sliders._sliders : [];
+        return sliders.map(function(slider) {
+            var delta = sliderValue(slider, newColor) - sliderValue(slider, oldColor);
+            // The short way around the hue circle
+            if (slider.unit === DEGREE) delta = ((delta % 360) + 540) % 360 - 180;
+            return { name: slider.name, delta: delta };
+        });
+    }
+
+    function createReadout(element) {
+        readout = element;
+        var output = window.coolorus.output;
+        activePrimary = output.activePrimary;
+        committed = oldColor = newColor = output.activeColor.clone();
+        output.colorChanged.add(handleOutputColorChanged);
+
+        readout.attr('title', localize('deltae_tooltip'));
+        readout.append(jQuery('<span />').text(DELTA_E + '76 ').append('<span class="deltae-value deltae-76" />'));
+        readout.append(jQuery('<span />').text(DELTA_E + '00 ').append('<span class="deltae-value deltae-2000" />'));
+        readout.append(jQuery('<span />').text(DELTA_E + 'ok ').append('<span class="deltae-value deltae-ok" />'));
+        readout.append(jQuery('<span class="deltae-channels" />').attr('title', localize('deltae_channels_tooltip')));
+    }
+
+    function updateReadout() {
+        if (!readout || !Settings.getGlobal(Settings.COMPARE_OUTPUT_COLORS)) return;
+        var from = oldColor.rawColor;
+        var to = newColor.rawColor;
+        readout.find('.deltae-76').text(engine.deltaE76(from, to).toFixed(2));
+        readout.find('.deltae-2000').text(engine.deltaE2000(from, to).toFixed(2));
+        readout.find('.deltae-ok').text(engine.deltaEOK(from, to).toFixed(3));
+
+        var channels = readout.find('.deltae-channels').empty();
+        channelDeltas().forEach(function(channel) {
+            channels.append(jQuery('<span class="deltae-channel" />').text(channel.name + ' ' + formatDelta(channel.delta)));
+        });
+    }
+
+    // The channels follow the selected slider modes
+    var baseSetSliders = SlidersPanel.prototype.setSliders;
+    SlidersPanel.prototype.setSliders = function(sliders) {
+        baseSetSliders.call(this, sliders);
+        updateReadout();
+    };
+
+    // ===========================================
+    // PART 3: ROW
+    // ===========================================
+
+    PickerRows.register('deltae', {
+        height: READOUT_HEIGHT,
+        isVisible: function() {
+            return !!Settings.getGlobal(Settings.COMPARE_OUTPUT_COLORS);
+        },
+        create: createReadout,
+        update: updateReadout
+    });
+
+    Settings.getChangedSignal(Settings.COMPARE_OUTPUT_COLORS).add(PickerRows.update);
+})();
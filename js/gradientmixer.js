@@ -0,0 +1,498 @@
+
+// Gradient Mixer for Coolorus
+// A mixer mode with a gradient of 2 to 16 color stops, blended in one of the spaces of the Blender
+// (ColorEngine.INTERPOLATION_SPACES), picked like the other mixer bars.
+// Stops are the handles along the bottom of the bar: drag one to move it, drag it off the bar or
+// alt-click it to delete it, double-click it to give it the active color. Double-click the bar to add
+// a stop, or drop a color on it (onto a stop to recolor that stop). Sample sets the first and the last
+// stop to the foreground and background colors.
+// The flyout menu exports the gradient as a Photoshop gradient (.grd), a CSS linear-gradient() and an
+// SVG linearGradient. These blend in sRGB, so other spaces are written with stops in between.
+// The stops are saved with the other mixer state and in .cool files ("stops", see coolfile.js).
+// Must be loaded after main.js, colorengine.js, host.js, coolfile.js, swatchfiles.js and mixers.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    if (typeof AbstractMixerBar !== 'function' || !engine || !engine.gradientColor || !window.MixerTabs || !MixerTabs.registerMode ||
+        !window.CoolFile || !window.SwatchFiles || typeof PhotoshopHostApp !== 'function' || !PhotoshopHostApp.registerMenuItem) return;
+
+    var MODE_ID = 'gradient';
+    var MIN_STOPS = 2;
+    var MAX_STOPS = 16;
+    var DEFAULT_STOPS = [{ position: 0, color: 0xEE4A10 }, { position: 1, color: 0x78EE10 }];
+    var DEFAULT_INTERPOLATION = 'srgb';
+    // Parts of every segment outside sRGB, on the canvas and in the exported files
+    var DRAW_STEPS = 16;
+    var EXPORT_STEPS = 8;
+    // A color dropped this close to a stop recolors it
+    var DROP_DISTANCE = 0.03;
+    // Pixels a stop is dragged off the bar to delete it
+    var REMOVE_DISTANCE = 20;
+    // Photoshop gradient locations run from 0 to 4096
+    var GRD_LOCATIONS = 4096;
+
+    var style = document.getElementById('gradientmixer_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'gradientmixer_style';
+        style.innerHTML = '' +
+            '.mixer-gradient-interpolation { position: absolute; top: 0; left: calc(50% + 10px); height: 11px; padding: 0; ' +
+            'font-size: 9px; line-height: 10px; background: transparent; color: inherit; border: none; outline: none; cursor: pointer; }' +
+            '.mixer-gradient-interpolation option { background: #333; color: #ddd; }' +
+            '.mixer-gradient-stops { position: absolute; height: 0; }' +
+            '.mixer-gradient-stop { position: absolute; top: -9px; width: 5px; height: 7px; margin-left: -4px; ' +
+            'border: 1px solid #000; box-shadow: inset 0 0 0 1px rgba(255, 255, 255, .8); cursor: ew-resize; }' +
+            '.mixer-gradient-stop.removing { opacity: .3; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    function clamp(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+
+    function hexOf(raw) {
+        return '#' + ((1 << 24) + raw).toString(16).slice(1);
+    }
+
+    function sortStops(stops) {
+        // Array.prototype.sort is not stable everywhere; equal positions keep their order
+        return stops.map(function(stop, index) { return { stop: stop, index: index }; })
+            .sort(function(a, b) { return a.stop.position - b.stop.position || a.index - b.index; })
+            .map(function(item) { return item.stop; });
+    }
+
+    // ===========================================
+    // PART 1: MODE
+    // ===========================================
+
+    var currentMode = null;
+
+    function GradientMode() {
+        this._stops = DEFAULT_STOPS.map(function(stop) { return { position: stop.position, color: stop.color }; });
+        this.interpolation = DEFAULT_INTERPOLATION;
+        this._drag = null;
+        AbstractMixerBar.call(this, MODE_ID, true);
+
+        var select = jQuery('<select class="mixer-gradient-interpolation" />').attr('title', localize('gradient_interpolation_tooltip'));
+        engine.INTERPOLATION_SPACES.forEach(function(space) {
+            select.append(jQuery('<option />').val(space).text(localize('blender_interpolation_' + space.replace(/-/g, '_'))));
+        });
+        this.viewHTML.find('#mixers_' + MODE_ID + '_title').append(select);
+        this._stopsView = jQuery('<div class="mixer-gradient-stops" />').attr('title', localize('gradient_stop_tooltip'));
+        this.viewHTML.append(this._stopsView);
+        this.viewHTML.find('#' + this.canvasId).attr('title', localize('gradient_bar_tooltip'));
+
+        // viewHTML is detached with jQuery.empty() when the mixer selection changes, so delegate like initNumButtons does
+        var bar = '#mixers_' + MODE_ID + '_bar ';
+        $(document).on('change', bar + '.mixer-gradient-interpolation', this.handleInterpolationChange.bind(this));
+        $(document).on('mousedown', bar + '.mixer-gradient-stop', this.handleStopMouseDown.bind(this));
+        $(document).on('dblclick', bar + '.mixer-gradient-stop', this.handleStopDoubleClick.bind(this));
+        $(document).on('dblclick', '#' + this.canvasId, this.handleBarDoubleClick.bind(this));
+        this._handleDragMoveDelegate = this.handleDragMove.bind(this);
+        this._handleDragEndDelegate = this.handleDragEnd.bind(this);
+
+        this.changed.add(this.updateInterpolationSelect, this);
+        this.updateInterpolationSelect();
+        currentMode = this;
+    }
+
+    GradientMode.prototype = Object.create(AbstractMixerBar.prototype);
+    GradientMode.prototype.constructor = GradientMode;
+
+    GradientMode.prototype.getColor = function(t) {
+        return RGB.fromRawColor(engine.gradientColor(this._stops, clamp(t), this.interpolation));
+    };
+
+    GradientMode.prototype.draw = function(g, width, height) {
+        g.clear();
+        g.setStrokeStyle(0, 0, 0);
+        if (this.isContinous()) {
+            var baked = engine.bakeGradient(this._stops, this.interpolation, DRAW_STEPS);
+            g.beginLinearGradientFill(
+                baked.map(function(stop) { return hexOf(stop.color); }),
+                baked.map(function(stop) { return stop.position; }),
+                0, 0, width, 0);
+            g.drawRect(0, 0, width, height);
+            g.endFill();
+        } else {
+            this.drawBlocks(g, width, height);
+        }
+        this.updateStopHandles(width, height);
+    };
+
+    // Copies of the stops, sorted by position
+    GradientMode.prototype.getStops = function() {
+        return this._stops.map(function(stop) { return { position: stop.position, color: stop.color }; });
+    };
+
+    // stops: [{ position: 0-1, color: 0xRRGGBB }], MIN_STOPS to MAX_STOPS of them
+    GradientMode.prototype.setStops = function(stops) {
+        if (stops.length < MIN_STOPS || stops.length > MAX_STOPS) throw new Error('A gradient has ' + MIN_STOPS + ' to ' + MAX_STOPS + ' stops');
+        this._stops = sortStops(stops.map(function(stop) { return { position: clamp(stop.position), color: stop.color }; }));
+        this.changed.dispatch();
+    };
+
+    // -> the new stop, or null when the gradient has MAX_STOPS already
+    GradientMode.prototype.addStop = function(position, color) {
+        if (this._stops.length >= MAX_STOPS) return null;
+        var stop = { position: clamp(position), color: color };
+        this._stops = sortStops(this._stops.concat([stop]));
+        this.changed.dispatch();
+        return stop;
+    };
+
+    GradientMode.prototype.removeStop = function(stop) {
+        var index = this._stops.indexOf(stop);
+        if (index < 0 || this._stops.length <= MIN_STOPS) return false;
+        this._stops.splice(index, 1);
+        this.changed.dispatch();
+        return true;
+    };
+
+    GradientMode.prototype.setStopColor = function(stop, color) {
+        if (this._stops.indexOf(stop) < 0 || stop.color === color) return;
+        stop.color = color;
+        this.changed.dispatch();
+    };
+
+    // The stop within DROP_DISTANCE of position, the nearest one if several are
+    GradientMode.prototype.stopNear = function(position) {
+        var nearest = null;
+        for (var i = 0; i < this._stops.length; i++) {
+            var distance = Math.abs(this._stops[i].position - position);
+            if (distance <= DROP_DISTANCE && (!nearest || distance < Math.abs(nearest.position - position))) nearest = this._stops[i];
+        }
+        return nearest;
+    };
+
+    GradientMode.prototype.setInterpolation = function(space) {
+        if (engine.INTERPOLATION_SPACES.indexOf(space) < 0 || space === this.interpolation) return;
+        this.interpolation = space;
+        this.changed.dispatch();
+    };
+
+    GradientMode.prototype.updateInterpolationSelect = function() {
+        this.viewHTML.find('.mixer-gradient-interpolation').val(this.interpolation);
+    };
+
+    GradientMode.prototype.handleInterpolationChange = function(e) {
+        this.setInterpolation($(e.currentTarget).val());
+        window.tracking.event('mixers', MODE_ID + ' interpolation: ' + this.interpolation);
+    };
+
+    GradientMode.prototype.handleConfigModeChanged = function() {
+        AbstractMixerBar.prototype.handleConfigModeChanged.call(this);
+        var configMode = !!Settings.getGlobal(Settings.CONFIGURATION_MODE);
+        this.viewHTML.find('.mixer-gradient-interpolation').toggle(!configMode);
+        this._stopsView.toggle(!configMode);
+    };
+
+    GradientMode.prototype.sample = function() {
+        var host = window.coolorus.host;
+        this._stops[0].color = host.foregroundColor.rawColor;
+        this._stops[this._stops.length - 1].color = host.backgroundColor.rawColor;
+        this.changed.dispatch();
+    };
+
+    GradientMode.prototype.handleColorDrop = function(color, percent) {
+        AbstractMixerBar.prototype.handleColorDrop.call(this, color, percent);
+        var stop = this.stopNear(percent);
+        if (stop) this.setStopColor(stop, color.rawColor);
+        else this.addStop(percent, color.rawColor);
+    };
+
+    // The v1 mixer string; files and the panel settings use the codec below
+    GradientMode.prototype.serialize = function() {
+        var stops = this._stops.map(function(stop) { return stop.position + '@' + hexOf(stop.color).slice(1); });
+        return ['gradient-0', AbstractMixerBar.prototype.serialize.call(this), [this.interpolation].concat(stops).join(',')].join(':');
+    };
+
+    GradientMode.prototype.deserialize = function(data) {
+        var parts = data.split(':');
+        if (parts[0] !== 'gradient-0') return;
+        AbstractMixerBar.prototype.deserialize.call(this, parts[1]);
+        var values = (parts[2] || '').split(',');
+        var stops = values.slice(1).map(function(value) {
+            var fields = value.split('@');
+            return { position: parseFloat(fields[0]), color: parseInt(fields[1], 16) };
+        }).filter(function(stop) { return !isNaN(stop.position) && !isNaN(stop.color); });
+        if (engine.INTERPOLATION_SPACES.indexOf(values[0]) >= 0) this.interpolation = values[0];
+        if (stops.length >= MIN_STOPS && stops.length <= MAX_STOPS) this._stops = sortStops(stops);
+        this.changed.dispatch();
+    };
+
+    // ===========================================
+    // PART 2: STOP HANDLES
+    // ===========================================
+
+    GradientMode.prototype.updateStopHandles = function(width, height) {
+        var canvas = this.viewHTML.find('#' + this.canvasId);
+        var offset = canvas.length ? canvas.position() : { left: 0, top: 0 };
+        // The color bar starts at (1, 3) in the canvas, see AbstractColorBar
+        this._stopsView.css({ left: (offset.left + 1) + 'px', top: (offset.top + 3 + height) + 'px', width: width + 'px' });
+        this._stopsView.empty();
+        var drag = this._drag;
+        for (var i = 0; i < this._stops.length; i++) {
+            var stop = this._stops[i];
+            this._stopsView.append(jQuery('<div class="mixer-gradient-stop" />')
+                .attr('data-index', i)
+                .css({ left: Math.round(stop.position * width) + 'px', background: hexOf(stop.color) })
+                .toggleClass('removing', !!drag && drag.stop === stop && drag.removing));
+        }
+    };
+
+    GradientMode.prototype.stopOfHandle = function(e) {
+        return this._stops[parseInt($(e.currentTarget).attr('data-index'))] || null;
+    };
+
+    GradientMode.prototype.handleStopMouseDown = function(e) {
+        if (Settings.getGlobal(Settings.CONFIGURATION_MODE) || e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        var stop = this.stopOfHandle(e);
+        if (!stop) return;
+        if (e.altKey) {
+            if (this.removeStop(stop)) window.tracking.event('mixers', MODE_ID + ' remove stop');
+            return;
+        }
+        this._drag = { stop: stop, x: e.pageX, y: e.pageY, position: stop.position, moved: false, removing: false };
+        $(document).on('mousemove', this._handleDragMoveDelegate).on('mouseup', this._handleDragEndDelegate);
+    };
+
+    GradientMode.prototype.handleDragMove = function(e) {
+        var drag = this._drag;
+        if (!drag || !this.colorBarWidth) return;
+        drag.moved = true;
+        drag.stop.position = clamp(drag.position + (e.pageX - drag.x) / this.colorBarWidth);
+        drag.removing = this._stops.length > MIN_STOPS && Math.abs(e.pageY - drag.y) > REMOVE_DISTANCE;
+        this._stops = sortStops(this._stops);
+        // The move is one change, dispatched on mouse up
+        this.render();
+    };
+
+    GradientMode.prototype.handleDragEnd = function() {
+        var drag = this._drag;
+        $(document).off('mousemove', this._handleDragMoveDelegate).off('mouseup', this._handleDragEndDelegate);
+        this._drag = null;
+        if (!drag || !drag.moved) return;
+        if (drag.removing) {
+            this.removeStop(drag.stop);
+            window.tracking.event('mixers', MODE_ID + ' remove stop');
+        } else {
+            this.changed.dispatch();
+        }
+    };
+
+    GradientMode.prototype.handleStopDoubleClick = function(e) {
+        if (Settings.getGlobal(Settings.CONFIGURATION_MODE)) return;
+        var stop = this.stopOfHandle(e);
+        if (stop) this.setStopColor(stop, window.coolorus.output.activeColor.rawColor);
+    };
+
+    GradientMode.prototype.handleBarDoubleClick = function(e) {
+        if (Settings.getGlobal(Settings.CONFIGURATION_MODE) || !this.colorBarWidth) return;
+        var canvas = $(e.currentTarget);
+        var position = clamp((e.pageX - canvas.offset().left - 1) / this.colorBarWidth);
+        if (this.stopNear(position)) return;
+        if (this.addStop(position, this.getColor(position).rawColor)) window.tracking.event('mixers', MODE_ID + ' add stop');
+    };
+
+    // ===========================================
+    // PART 3: MIXER STATE AND .COOL FILES
+    // ===========================================
+    // "stops": [{ "position": 0-1, "color": "#rrggbb" }], "interpolation" as for the blender
+
+    CoolFile.registerMode(MODE_ID, {
+        write: function(mode) {
+            return {
+                stops: mode._stops.map(function(stop) { return { position: stop.position, color: hexOf(stop.color) }; }),
+                interpolation: mode.interpolation
+            };
+        },
+        read: function(json, part) {
+            var stops = CoolFile.checkArray(json.stops, part + '.stops');
+            if (stops.length < MIN_STOPS || stops.length > MAX_STOPS) CoolFile.fail(part + '.stops', 'expected ' + MIN_STOPS + ' to ' + MAX_STOPS + ' stops');
+            var values = [];
+            for (var i = 0; i < stops.length; i++) {
+                var stopPart = part + '.stops[' + i + ']';
+                CoolFile.checkObject(stops[i], stopPart);
+                values.push({
+                    position: CoolFile.checkNumber(stops[i].position, stopPart + '.position', 0, 1),
+                    color: CoolFile.checkColor(stops[i].color, stopPart + '.color')
+                });
+            }
+            var interpolation = json.interpolation === undefined ? DEFAULT_INTERPOLATION : CoolFile.checkString(json.interpolation, part + '.interpolation');
+            if (engine.INTERPOLATION_SPACES.indexOf(interpolation) < 0) CoolFile.fail(part + '.interpolation', 'unknown interpolation "' + interpolation + '"');
+            return { stops: sortStops(values), interpolation: interpolation };
+        },
+        apply: function(mode, value) {
+            mode._stops = value.stops;
+            mode.interpolation = value.interpolation;
+        }
+    });
+
+    // ===========================================
+    // PART 4: EXPORT
+    // ===========================================
+
+    function percent(position) {
+        return +(position * 100).toFixed(2) + '%';
+    }
+
+    function toCss(stops, interpolation) {
+        var colors = stops.map(function(stop) { return hexOf(stop.color) + ' ' + percent(stop.position); });
+        return [
+            '/* Coolorus gradient, interpolated in ' + interpolation + ' */',
+            ':root {',
+            '    --coolorus-gradient: linear-gradient(90deg, ' + colors.join(', ') + ');',
+            '}',
+            ''
+        ].join('\n');
+    }
+
+    function toSvg(stops, interpolation) {
+        var lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!-- Coolorus gradient, interpolated in ' + interpolation + ' -->',
+            '<svg xmlns="http://www.w3.org/2000/svg" width="256" height="32" viewBox="0 0 256 32">',
+            '    <defs>',
+            '        <linearGradient id="coolorus-gradient" x1="0" y1="0" x2="1" y2="0">'
+        ];
+        stops.forEach(function(stop) {
+            lines.push('            <stop offset="' + percent(stop.position) + '" stop-color="' + hexOf(stop.color) + '"/>');
+        });
+        lines.push(
+            '        </linearGradient>',
+            '    </defs>',
+            '    <rect width="256" height="32" fill="url(#coolorus-gradient)"/>',
+            '</svg>',
+            '');
+        return lines.join('\n');
+    }
+
+    // Photoshop gradient file, version 5: "8BGR", the version and one action descriptor with the list of
+    // gradients ("GrdL"). Descriptor values are written from [type, ...data]:
+    // ['Objc', name, class, [[key, value], ...]], ['VlLs', [value, ...]], ['TEXT', text], ['doub', number],
+    // ['long', integer], ['enum', type, value], ['UntF', unit, number]
+
+    function writeKey(writer, key) {
+        // Four character keys are written with a zero length
+        writer.u32(key.length === 4 ? 0 : key.length);
+        writer.ascii(key);
+    }
+
+    function writeUnicode(writer, text) {
+        writer.u32(text.length + 1);
+        writer.utf16(text);
+        writer.u16(0);
+    }
+
+    function writeDescriptor(writer, name, classId, items) {
+        writeUnicode(writer, name);
+        writeKey(writer, classId);
+        writer.u32(items.length);
+        items.forEach(function(item) {
+            writeKey(writer, item[0]);
+            writeValue(writer, item[1]);
+        });
+    }
+
+    function writeValue(writer, value) {
+        writer.ascii(value[0]);
+        switch (value[0]) {
+            case 'Objc':
+                writeDescriptor(writer, value[1], value[2], value[3]);
+                break;
+            case 'VlLs':
+                writer.u32(value[1].length);
+                value[1].forEach(function(item) { writeValue(writer, item); });
+                break;
+            case 'TEXT':
+                writeUnicode(writer, value[1]);
+                break;
+            case 'doub':
+                writer.f64(value[1]);
+                break;
+            case 'long':
+                writer.u32(value[1]);
+                break;
+            case 'enum':
+                writeKey(writer, value[1]);
+                writeKey(writer, value[2]);
+                break;
+            case 'UntF':
+                writer.ascii(value[1]);
+                writer.f64(value[2]);
+                break;
+        }
+    }
+
+    function toGrd(stops, interpolation, name) {
+        var colorStops = stops.map(function(stop) {
+            var rgb = RGB.fromRawColor(stop.color);
+            return ['Objc', '', 'Clrt', [
+                ['Clr ', ['Objc', '', 'RGBC', [['Rd  ', ['doub', rgb.r]], ['Grn ', ['doub', rgb.g]], ['Bl  ', ['doub', rgb.b]]]]],
+                ['Type', ['enum', 'Clry', 'UsrS']],
+                ['Lctn', ['long', Math.round(stop.position * GRD_LOCATIONS)]],
+                ['Mdpn', ['long', 50]]
+            ]];
+        });
+        var opacityStops = [0, GRD_LOCATIONS].map(function(location) {
+            return ['Objc', '', 'TrnS', [
+                ['Opct', ['UntF', '#Prc', 100]],
+                ['Lctn', ['long', location]],
+                ['Mdpn', ['long', 50]]
+            ]];
+        });
+        var gradient = ['Objc', '', 'Grdn', [
+            ['Grad', ['Objc', 'Gradient', 'Grdn', [
+                ['Nm  ', ['TEXT', name]],
+                ['GrdF', ['enum', 'GrdF', 'CstS']],
+                ['Intr', ['doub', GRD_LOCATIONS]],
+                ['Clrs', ['VlLs', colorStops]],
+                ['Trns', ['VlLs', opacityStops]]
+            ]]]
+        ]];
+
+        var writer = new SwatchFiles.Writer();
+        writer.ascii('8BGR');
+        writer.u16(5);
+        writer.u32(16);
+        writeDescriptor(writer, '', 'null', [['GrdL', ['VlLs', [gradient]]]]);
+        return writer.result();
+    }
+
+    var FORMATS = {
+        grd: { extension: 'grd', fileName: 'coolorus_gradient.grd', write: toGrd },
+        css: { extension: 'css', fileName: 'coolorus_gradient.css', write: toCss },
+        svg: { extension: 'svg', fileName: 'coolorus_gradient.svg', write: toSvg }
+    };
+
+    function exportGradient(format) {
+        var host = window.coolorus.host;
+        if (CONFIG_WEB_PREVIEW) {
+            host.alert(localize('error_optionNotAvailable'));
+            return;
+        }
+        // The mixer modes are made with the mixers panel
+        if (!currentMode) {
+            host.alert(localize('gradient_unavailable'));
+            return;
+        }
+        var writer = FORMATS[format];
+        window.tracking.event('mixers', MODE_ID + ' export ' + format);
+        var stops = engine.bakeGradient(currentMode.getStops(), currentMode.interpolation, EXPORT_STEPS);
+        host.toFile(writer.write(stops, currentMode.interpolation, localize('gradient_name')), localize('gradient_save'), [writer.extension], writer.fileName);
+    }
+
+    PhotoshopHostApp.registerMenuItem('exportGradientGrd', function() { exportGradient('grd'); });
+    PhotoshopHostApp.registerMenuItem('exportGradientCss', function() { exportGradient('css'); });
+    PhotoshopHostApp.registerMenuItem('exportGradientSvg', function() { exportGradient('svg'); });
+
+    window.GradientMode = GradientMode;
+    MixerTabs.registerMode(function() { return new GradientMode(); });
+})();
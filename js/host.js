@@ -0,0 +1,95 @@
+
+// Host Extensions for Coolorus
+// Additions to the PhotoshopHostApp contract that addons rely on:
+// file dialogs, a default file name for toFile(), text and binary file access and extra items in the
+// panel flyout menu.
+
+(function() {
+    if (typeof PhotoshopHostApp !== 'function') return;
+
+    // openFileDialog(title, extensions, retry) -> path, or null when cancelled
+    // retry: optional, runs the action again when the file arrives later (the browser preview host of
+    // previewhost.js uploads it); the action then gets the file from this call
+    PhotoshopHostApp.prototype.openFileDialog = function(title, extensions, retry) {
+        var result = window.cep.fs.showOpenDialogEx(false, false, title, '', extensions || []);
+        if (result.err != window.cep.fs.NO_ERROR || !result.data || !result.data.length) return null;
+        return result.data.toString();
+    };
+
+    // saveFileDialog(title, extensions, defaultName) -> path, or null when cancelled
+    // main.js always proposes "coolorus_mixers.cool" in the save dialog.
+    PhotoshopHostApp.prototype.saveFileDialog = function(title, extensions, defaultName) {
+        var result = window.cep.fs.showSaveDialogEx(title, '', extensions || [], defaultName || 'coolorus_mixers.cool');
+        if (result.err != window.cep.fs.NO_ERROR || !result.data) return null;
+        return result.data.toString();
+    };
+
+    // toFile(content, title, extensions, defaultName)
+    // content: a string, written as UTF-8, or a Uint8Array
+    PhotoshopHostApp.prototype.toFile = function(content, title, extensions, defaultName) {
+        var path = this.saveFileDialog(title, extensions, defaultName);
+        return path ? this.writeFile(path, content) : false;
+    };
+
+    PhotoshopHostApp.prototype.writeFile = function(path, content) {
+        return typeof content === 'string' ? this.writeTextFile(path, content) : this.writeBinaryFile(path, content);
+    };
+
+    PhotoshopHostApp.prototype.readTextFile = function(path) {
+        var result = window.cep.fs.readFile(path, cep.encoding.UTF8);
+        return result.err == window.cep.fs.NO_ERROR ? result.data : null;
+    };
+
+    PhotoshopHostApp.prototype.writeTextFile = function(path, content) {
+        return window.cep.fs.writeFile(path, content, cep.encoding.UTF8).err == window.cep.fs.NO_ERROR;
+    };
+
+    // readBinaryFile(path) -> Uint8Array, or null when the file cannot be read
+    PhotoshopHostApp.prototype.readBinaryFile = function(path) {
+        var result = window.cep.fs.readFile(path, cep.encoding.Base64);
+        if (result.err != window.cep.fs.NO_ERROR) return null;
+        var binary = atob(result.data);
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    };
+
+    // writeBinaryFile(path, bytes: Uint8Array) -> success
+    PhotoshopHostApp.prototype.writeBinaryFile = function(path, bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return window.cep.fs.writeFile(path, btoa(binary), cep.encoding.Base64).err == window.cep.fs.NO_ERROR;
+    };
+
+    // fromBinaryFile(title, extensions, retry) -> { path, bytes }, or null when cancelled / unreadable
+    PhotoshopHostApp.prototype.fromBinaryFile = function(title, extensions, retry) {
+        var path = this.openFileDialog(title, extensions, retry);
+        var bytes = path ? this.readBinaryFile(path) : null;
+        return bytes ? { path: path, bytes: bytes } : null;
+    };
+
+    // --- Flyout Menu ---
+    // Items registered here get their own section right before "Hints & Tips".
+    // The label is the localized "menu_<id>" string, like the built-in items. checked(id), when given,
+    // shows a check mark; call host.updateSettingsItems() when its value changes.
+
+    var menuItems = [];
+
+    PhotoshopHostApp.registerMenuItem = function(id, handler, checked) {
+        menuItems.push({ id: id, handler: handler, checked: checked });
+    };
+
+    var baseCreateMenuItem = PhotoshopHostApp.prototype.createMenuItem;
+    PhotoshopHostApp.prototype.createMenuItem = function(id, changed, checked, enabled) {
+        var xml = baseCreateMenuItem.call(this, id, changed, checked, enabled);
+        if (id !== 'hints' || !menuItems.length) return xml;
+
+        var items = '';
+        for (var i = 0; i < menuItems.length; i++) {
+            items += baseCreateMenuItem.call(this, menuItems[i].id, menuItems[i].handler, menuItems[i].checked);
+        }
+        return items + '<MenuItem Label="---" />' + xml;
+    };
+})();
@@ -0,0 +1,291 @@
+
+// Host Adapters for Coolorus
+// Host color sync: instead of pulling the foreground / background colors, every host application reports
+// them with a com.coolorus.colorChanged CSXS event dispatched from jsx/events.jsx. The host applies them
+// and dispatches host.colorChanged(origin), the one signal for every color change: origin is "host" for
+// colors reported by the host application and "panel" for colors the panel sets.
+// main.js creates a PhotoshopHostApp, whose color writes call the Photoshop-only coolorus3 functions of
+// jsx/PHXS.jsx. This file makes "new PhotoshopHostApp()" return an adapter for the host application
+// the panel runs in, with the same contract (foreground / background colors, settings, file dialogs):
+// - Illustrator (ILST): fill and stroke, jsx/ILST.jsx
+// - InDesign (IDSN): fill and stroke of the selection, jsx/IDSN.jsx
+// - After Effects (AEFT): the active output color is the selected color property, jsx/AEFT.jsx
+// - a plain browser page (PREVIEW): the in-memory mock host of previewhost.js; ?host=none keeps main.js'
+//   own preview mode
+// Colors are sent in the document color mode (RGB or CMYK, converted by the CMYK class and with it the
+// ICC profile of the CMYK sliders). All adapter ExtendScript calls go through host.bridge, which tests
+// can replace with a mock: { call: function(method, args, callback) }; host events can be simulated
+// with host.handleHostColorEvent({ data: "RGB|rgb:255,0,0|" }). host.documentName is the name of the
+// active document from the last color event, empty without one.
+// Must be loaded after main.js and before host.js.
+
+(function() {
+    var BasePhotoshopHostApp = window.PhotoshopHostApp;
+    if (typeof BasePhotoshopHostApp !== 'function') return;
+
+    var COLOR_EVENT = 'com.coolorus.colorChanged';
+    // Illustrator and After Effects have no color change events for scripts; their host scripts are asked
+    // to report the colors this often and only send an event when they changed
+    var POLL_INTERVAL = 500;
+
+    // ===========================================
+    // PART 1: EXTENDSCRIPT BRIDGE
+    // ===========================================
+
+    function ExtendScriptBridge(cs) {
+        this.cs = cs;
+    }
+
+    ExtendScriptBridge.prototype.load = function(file) {
+        this.cs.evalScript(evalFileScript(file));
+    };
+
+    // Calls coolorus3.<method>(args...) with string / number arguments; callback(result or null on error)
+    ExtendScriptBridge.prototype.call = function(method, args, callback) {
+        var script = 'coolorus3.' + method + '(' + args.map(function(arg) { return JSON.stringify(arg); }).join(', ') + ')';
+        this.cs.evalScript(script, callback ? function(result) {
+            callback(result === 'EvalScript error.' ? null : result);
+        } : undefined);
+    };
+
+    // ===========================================
+    // PART 2: COLOR SPECS
+    // ===========================================
+    // The JSX side exchanges colors as "rgb:r,g,b" (0-255), "cmyk:c,m,y,k" (0-100), "gray:k" (0-100 ink)
+    // or "lab:l,a,b"; an empty string means no color (none, gradient, pattern).
+
+    function clamp255(value) {
+        return Math.max(0, Math.min(255, Math.round(value)));
+    }
+
+    function parseColorSpec(spec) {
+        var match = /^(rgb|cmyk|gray|lab):(.*)$/.exec(spec || '');
+        if (!match) return null;
+        var v = match[2].split(',').map(Number);
+        for (var i = 0; i < v.length; i++) {
+            if (isNaN(v[i])) return null;
+        }
+        switch (match[1]) {
+            case 'rgb':
+                return clamp255(v[0]) << 16 | clamp255(v[1]) << 8 | clamp255(v[2]);
+            case 'cmyk':
+                return new CMYK(v[0] / 100, v[1] / 100, v[2] / 100, v[3] / 100).rawColor & 0xFFFFFF;
+            case 'gray':
+                var level = clamp255(255 * (1 - v[0] / 100));
+                return level << 16 | level << 8 | level;
+            case 'lab':
+                var rgb = Icc.xyzToSrgb(Icc.labToXyz(v));
+                return clamp255(rgb[0]) << 16 | clamp255(rgb[1]) << 8 | clamp255(rgb[2]);
+        }
+        return null;
+    }
+
+    // mode: the document color mode, "RGB" or "CMYK"
+    function formatColorSpec(raw, mode) {
+        raw = raw & 0xFFFFFF;
+        if (mode === 'CMYK') {
+            var cmyk = CMYK.fromRawColor(raw);
+            return 'cmyk:' + [cmyk.c, cmyk.m, cmyk.y, cmyk.k].map(function(v) { return Math.round(v * 100); }).join(',');
+        }
+        return 'rgb:' + [raw >> 16 & 255, raw >> 8 & 255, raw & 255].join(',');
+    }
+
+    // ===========================================
+    // PART 3: HOST COLOR EVENTS
+    // ===========================================
+
+    function evalFileScript(file) {
+        var path = new CSInterface().getSystemPath(SystemPath.EXTENSION) + '/jsx/' + file;
+        return '$.evalFile(' + JSON.stringify(path.replace(/\\/g, '/')) + ')';
+    }
+
+    // Called after the base constructor, which creates the colors but initializes asynchronously
+    function initColorSync(host) {
+        host.colorChanged = new signals.Signal();
+        host.documentColorMode = 'RGB';
+        host.documentName = '';
+        host._receivingHostColors = false;
+        var panelChanged = function() {
+            if (!host._receivingHostColors) host.colorChanged.dispatch('panel');
+        };
+        // Low priority: the panel (output, swatches) has seen the change when the signal goes out
+        host.foregroundColor.changed.add(panelChanged, null, -1);
+        host.backgroundColor.changed.add(panelChanged, null, -1);
+    }
+
+    var baseInitialize = BasePhotoshopHostApp.prototype._initialize;
+
+    BasePhotoshopHostApp.prototype._initialize = function() {
+        // Queued before the first updateColors() of the base implementation
+        this.evalScript(evalFileScript('events.jsx'));
+        this.cs.addEventListener(COLOR_EVENT, this.handleHostColorEvent.bind(this));
+        baseInitialize.call(this);
+    };
+
+    // Asks the host to report its colors; also called on the Photoshop events main.js registers for
+    BasePhotoshopHostApp.prototype.updateColors = function() {
+        this.evalScript('coolorus3events.notifyPhotoshopColors()');
+    };
+
+    // event.data: "<RGB|CMYK>|<foreground spec>|<background spec>|<document name>"; the document name may
+    // contain "|" and is missing in events of older host scripts
+    BasePhotoshopHostApp.prototype.handleHostColorEvent = function(event) {
+        var parts = String(event.data).split('|');
+        if (parts.length < 3) return;
+        this.documentColorMode = parts[0] === 'CMYK' ? 'CMYK' : 'RGB';
+        this.documentName = parts.slice(3).join('|');
+        this.receiveHostColors(parseColorSpec(parts[1]), parseColorSpec(parts[2]));
+    };
+
+    // Sets the colors reported by the host without writing them back; null keeps a color
+    BasePhotoshopHostApp.prototype.receiveHostColors = function(foreground, background) {
+        this._receivingHostColors = true;
+        var changed = this.applyHostColor(this.foregroundColor, this.handlePrimaryChangedDelegate, foreground);
+        changed = this.applyHostColor(this.backgroundColor, this.handleSecondaryChangedDelegate, background) || changed;
+        this._receivingHostColors = false;
+        if (changed) this.colorChanged.dispatch('host');
+    };
+
+    BasePhotoshopHostApp.prototype.applyHostColor = function(color, delegate, raw) {
+        if (raw === null || (color.rawColor & 0xFFFFFF) === raw) return false;
+        // No write-back delegates in preview mode
+        if (delegate) color.changed.remove(delegate);
+        color.rawColor = raw;
+        if (delegate) color.changed.add(delegate);
+        return true;
+    };
+
+    // ===========================================
+    // PART 4: ADAPTERS
+    // ===========================================
+
+    // Shared by the host adapters; subclasses set scriptFile, productCode and pollsColors.
+    function ExtendScriptHostApp(onInit) {
+        if (window.__adobe_cep__) {
+            this.bridge = new ExtendScriptBridge(new CSInterface());
+            // Queued before main.js asks the host for its settings
+            this.bridge.load(this.scriptFile);
+        }
+        BasePhotoshopHostApp.call(this, onInit);
+        initColorSync(this);
+    }
+
+    ExtendScriptHostApp.prototype = Object.create(BasePhotoshopHostApp.prototype);
+    ExtendScriptHostApp.prototype.constructor = ExtendScriptHostApp;
+    ExtendScriptHostApp.prototype.pollsColors = false;
+
+    ExtendScriptHostApp.prototype._initialize = function() {
+        BasePhotoshopHostApp.prototype._initialize.call(this);
+        if (this.pollsColors) this._pollTimer = setInterval(this.pollColors.bind(this), POLL_INTERVAL);
+    };
+
+    ExtendScriptHostApp.prototype.pollColors = function() {
+        if (this.bridge) this.bridge.call('notifyColors', [false]);
+    };
+
+    ExtendScriptHostApp.prototype.updateColors = function() {
+        if (this.bridge) this.bridge.call('notifyColors', [true]);
+    };
+
+    ExtendScriptHostApp.prototype.handlePrimaryChanged = function() {
+        this.writeColor('setFill', this.foregroundColor);
+    };
+
+    ExtendScriptHostApp.prototype.handleSecondaryChanged = function() {
+        this.writeColor('setStroke', this.backgroundColor);
+    };
+
+    // The host script reports the stored color back, which may differ after rounding or conversion
+    ExtendScriptHostApp.prototype.writeColor = function(method, color) {
+        if (this.bridge) this.bridge.call(method, [formatColorSpec(color.rawColor, this.documentColorMode)]);
+    };
+
+    function IllustratorHostApp(onInit) {
+        ExtendScriptHostApp.call(this, onInit);
+    }
+
+    IllustratorHostApp.prototype = Object.create(ExtendScriptHostApp.prototype);
+    IllustratorHostApp.prototype.constructor = IllustratorHostApp;
+    IllustratorHostApp.prototype.scriptFile = 'ILST.jsx';
+    IllustratorHostApp.prototype.productCode = 'AI';
+    IllustratorHostApp.prototype.pollsColors = true;
+
+    function InDesignHostApp(onInit) {
+        ExtendScriptHostApp.call(this, onInit);
+    }
+
+    InDesignHostApp.prototype = Object.create(ExtendScriptHostApp.prototype);
+    InDesignHostApp.prototype.constructor = InDesignHostApp;
+    InDesignHostApp.prototype.scriptFile = 'IDSN.jsx';
+    InDesignHostApp.prototype.productCode = 'ID';
+
+    // After Effects has one color target, the selected color property (solid, shape fill / stroke, text
+    // fill or effect color parameter), which is read into and written from the active output color.
+    function AfterEffectsHostApp(onInit) {
+        ExtendScriptHostApp.call(this, onInit);
+    }
+
+    AfterEffectsHostApp.prototype = Object.create(ExtendScriptHostApp.prototype);
+    AfterEffectsHostApp.prototype.constructor = AfterEffectsHostApp;
+    AfterEffectsHostApp.prototype.scriptFile = 'AEFT.jsx';
+    AfterEffectsHostApp.prototype.productCode = 'AE';
+    AfterEffectsHostApp.prototype.pollsColors = true;
+
+    AfterEffectsHostApp.prototype.isActiveColor = function(primary) {
+        var output = window.coolorus.output;
+        return output ? output.activePrimary === primary : primary;
+    };
+
+    // AEFT.jsx reports the selected property as the foreground color; it goes to the active color
+    AfterEffectsHostApp.prototype.receiveHostColors = function(color) {
+        if (this.isActiveColor(true)) ExtendScriptHostApp.prototype.receiveHostColors.call(this, color, null);
+        else ExtendScriptHostApp.prototype.receiveHostColors.call(this, null, color);
+    };
+
+    AfterEffectsHostApp.prototype.handlePrimaryChanged = function() {
+        if (this.isActiveColor(true)) this.writeColor('setColor', this.foregroundColor);
+    };
+
+    AfterEffectsHostApp.prototype.handleSecondaryChanged = function() {
+        if (this.isActiveColor(false)) this.writeColor('setColor', this.backgroundColor);
+    };
+
+    // ===========================================
+    // PART 5: HOST SELECTION
+    // ===========================================
+
+    var adapters = {
+        ILST: IllustratorHostApp,
+        IDSN: InDesignHostApp,
+        AEFT: AfterEffectsHostApp
+    };
+
+    function hostAppName() {
+        if (window.__adobe_cep__) return new CSInterface().hostEnvironment.appName;
+        var match = /[?&]host=([^&]*)/.exec(window.location.search);
+        return match ? decodeURIComponent(match[1]).toUpperCase() : 'PREVIEW';
+    }
+
+    function PhotoshopHostApp(onInit) {
+        var Adapter = adapters[hostAppName()];
+        if (Adapter) return new Adapter(onInit);
+        BasePhotoshopHostApp.call(this, onInit);
+        initColorSync(this);
+    }
+    PhotoshopHostApp.prototype = BasePhotoshopHostApp.prototype;
+
+    window.PhotoshopHostApp = PhotoshopHostApp;
+    window.HostAdapters = {
+        COLOR_EVENT: COLOR_EVENT,
+        adapters: adapters,
+        PhotoshopHostApp: BasePhotoshopHostApp,
+        initColorSync: initColorSync,
+        ExtendScriptBridge: ExtendScriptBridge,
+        ExtendScriptHostApp: ExtendScriptHostApp,
+        IllustratorHostApp: IllustratorHostApp,
+        InDesignHostApp: InDesignHostApp,
+        AfterEffectsHostApp: AfterEffectsHostApp,
+        parseColorSpec: parseColorSpec,
+        formatColorSpec: formatColorSpec
+    };
+})();
@@ -0,0 +1,449 @@
+
+// ICC Profile Support for Coolorus
+// Minimal ICC v2/v4 reader: profile header, description and the AToB / BToA transforms
+// (lut8 'mft1', lut16 'mft2', lutAtoB 'mAB ', lutBtoA 'mBA ') with Lab or XYZ PCS.
+// Enough to convert between sRGB and an output (CMYK) profile with the relative colorimetric intent.
+
+(function() {
+
+    // --- Binary Reading ---
+
+    function Reader(bytes) {
+        this.bytes = bytes;
+    }
+
+    Reader.prototype = {
+        u8: function(offset) {
+            this.check(offset, 1);
+            return this.bytes[offset];
+        },
+        u16: function(offset) {
+            this.check(offset, 2);
+            return (this.bytes[offset] << 8) | this.bytes[offset + 1];
+        },
+        u32: function(offset) {
+            this.check(offset, 4);
+            return ((this.bytes[offset] << 24) >>> 0) + (this.bytes[offset + 1] << 16) + (this.bytes[offset + 2] << 8) + this.bytes[offset + 3];
+        },
+        s15Fixed16: function(offset) {
+            var value = this.u32(offset);
+            if (value >= 0x80000000) value -= 0x100000000;
+            return value / 65536;
+        },
+        sig: function(offset) {
+            this.check(offset, 4);
+            return String.fromCharCode(this.bytes[offset], this.bytes[offset + 1], this.bytes[offset + 2], this.bytes[offset + 3]);
+        },
+        check: function(offset, length) {
+            if (offset < 0 || offset + length > this.bytes.length) throw new Error('ICC profile is truncated');
+        }
+    };
+
+    // --- Curves ---
+    // Each curve maps 0-1 to 0-1; null is the identity.
+
+    function tableCurve(table) {
+        var last = table.length - 1;
+        return function(x) {
+            var pos = Math.max(0, Math.min(1, x)) * last;
+            var i = Math.min(Math.floor(pos), last - 1);
+            if (i < 0) return table[0];
+            return table[i] + (table[i + 1] - table[i]) * (pos - i);
+        };
+    }
+
+    // 'curv' or 'para' at offset; returns { curve, size } (size is 4-byte aligned)
+    function readCurve(r, offset) {
+        var type = r.sig(offset);
+        if (type === 'curv') {
+            var count = r.u32(offset + 8);
+            var size = 12 + count * 2;
+            if (count === 0) return { curve: null, size: align(size) };
+            if (count === 1) {
+                var gamma = r.u16(offset + 12) / 256;
+                return { curve: function(x) { return Math.pow(Math.max(0, x), gamma); }, size: align(size) };
+            }
+            var table = [];
+            for (var i = 0; i < count; i++) table.push(r.u16(offset + 12 + i * 2) / 65535);
+            return { curve: tableCurve(table), size: align(size) };
+        }
+        if (type === 'para') {
+            var func = r.u16(offset + 8);
+            var counts = [1, 3, 4, 5, 7];
+            if (func >= counts.length) throw new Error('Unsupported parametric curve type ' + func);
+            var p = [];
+            for (var j = 0; j < counts[func]; j++) p.push(r.s15Fixed16(offset + 12 + j * 4));
+            return { curve: parametricCurve(func, p), size: align(12 + counts[func] * 4) };
+        }
+        throw new Error('Unsupported curve type "' + type + '"');
+    }
+
+    function parametricCurve(func, p) {
+        var g = p[0], a = p[1], b = p[2], c = p[3], d = p[4], e = p[5], f = p[6];
+        return function(x) {
+            switch (func) {
+                case 0: return Math.pow(Math.max(0, x), g);
+                case 1: return x >= -b / a ? Math.pow(Math.max(0, a * x + b), g) : 0;
+                case 2: return x >= -b / a ? Math.pow(Math.max(0, a * x + b), g) + c : c;
+                case 3: return x >= d ? Math.pow(Math.max(0, a * x + b), g) : c * x;
+                default: return x >= d ? Math.pow(Math.max(0, a * x + b), g) + e : c * x + f;
+            }
+        };
+    }
+
+    function readCurves(r, offset, count) {
+        var curves = [];
+        for (var i = 0; i < count; i++) {
+            var result = readCurve(r, offset);
+            curves.push(result.curve);
+            offset += result.size;
+        }
+        return curves;
+    }
+
+    function align(size) {
+        return (size + 3) & ~3;
+    }
+
+    function applyCurves(curves, values) {
+        if (!curves) return values;
+        var out = [];
+        for (var i = 0; i < values.length; i++) out.push(curves[i] ? curves[i](values[i]) : values[i]);
+        return out;
+    }
+
+    // --- CLUT ---
+    // Multilinear interpolation; the first input channel varies slowest.
+
+    function Clut(grid, outputs, data) {
+        this.grid = grid;
+        this.outputs = outputs;
+        this.data = data;
+        this.strides = [];
+        var stride = outputs;
+        for (var i = grid.length - 1; i >= 0; i--) {
+            this.strides[i] = stride;
+            stride *= grid[i];
+        }
+        if (data.length < stride) throw new Error('ICC color lookup table is truncated');
+    }
+
+    Clut.prototype.lookup = function(values) {
+        var n = this.grid.length;
+        var base = 0, fractions = [], steps = [];
+        for (var i = 0; i < n; i++) {
+            var pos = Math.max(0, Math.min(1, values[i])) * (this.grid[i] - 1);
+            var index = Math.min(Math.floor(pos), this.grid[i] - 2);
+            if (index < 0) index = 0;
+            fractions.push(this.grid[i] > 1 ? pos - index : 0);
+            steps.push(this.grid[i] > 1 ? this.strides[i] : 0);
+            base += index * this.strides[i];
+        }
+        var out = [];
+        for (var o = 0; o < this.outputs; o++) out.push(0);
+        for (var corner = 0; corner < (1 << n); corner++) {
+            var weight = 1, offset = base;
+            for (var d = 0; d < n; d++) {
+                if (corner & (1 << (n - 1 - d))) {
+                    weight *= fractions[d];
+                    offset += steps[d];
+                } else {
+                    weight *= 1 - fractions[d];
+                }
+            }
+            if (weight === 0) continue;
+            for (o = 0; o < this.outputs; o++) out[o] += weight * this.data[offset + o];
+        }
+        return out;
+    };
+
+    function readTable(r, offset, count, precision) {
+        var table = [];
+        for (var i = 0; i < count; i++) {
+            table.push(precision === 1 ? r.u8(offset + i) / 255 : r.u16(offset + i * 2) / 65535);
+        }
+        return table;
+    }
+
+    function power(base, exponent) {
+        var result = 1;
+        for (var i = 0; i < exponent; i++) result *= base;
+        return result;
+    }
+
+    // --- Lut Tags ---
+    // Each returns { inputs, outputs, pcsEncoding, apply(values 0-1) -> values 0-1 }.
+    // pcsEncoding tells how 0-1 PCS values map to Lab (legacy 16-bit lut16 Lab uses 0xFF00 for L=100).
+
+    function readLut16or8(r, offset, type) {
+        var inputs = r.u8(offset + 8), outputs = r.u8(offset + 9), gridPoints = r.u8(offset + 10);
+        var matrix = [];
+        for (var i = 0; i < 9; i++) matrix.push(r.s15Fixed16(offset + 12 + i * 4));
+        var precision = type === 'mft1' ? 1 : 2;
+        var inEntries = 256, outEntries = 256, pos = offset + 48;
+        if (precision === 2) {
+            inEntries = r.u16(offset + 48);
+            outEntries = r.u16(offset + 50);
+            pos = offset + 52;
+        }
+        var inCurves = [], outCurves = [], c;
+        for (c = 0; c < inputs; c++) {
+            inCurves.push(tableCurve(readTable(r, pos, inEntries, precision)));
+            pos += inEntries * precision;
+        }
+        var grid = [];
+        for (c = 0; c < inputs; c++) grid.push(gridPoints);
+        var clutSize = power(gridPoints, inputs) * outputs;
+        var clut = new Clut(grid, outputs, readTable(r, pos, clutSize, precision));
+        pos += clutSize * precision;
+        for (c = 0; c < outputs; c++) {
+            outCurves.push(tableCurve(readTable(r, pos, outEntries, precision)));
+            pos += outEntries * precision;
+        }
+        var isIdentity = matrix.join() === '1,0,0,0,1,0,0,0,1';
+        return {
+            inputs: inputs,
+            outputs: outputs,
+            pcsEncoding: precision === 2 ? 'legacy16' : 'v4',
+            matrix: isIdentity ? null : matrix,
+            apply: function(values) {
+                return applyCurves(outCurves, clut.lookup(applyCurves(inCurves, values)));
+            }
+        };
+    }
+
+    function readLutAB(r, offset, type) {
+        var inputs = r.u8(offset + 8), outputs = r.u8(offset + 9);
+        var bOffset = r.u32(offset + 12), matrixOffset = r.u32(offset + 16), mOffset = r.u32(offset + 20),
+            clutOffset = r.u32(offset + 24), aOffset = r.u32(offset + 28);
+        var toPcs = type === 'mAB ';
+        // A curves sit on the device side, B curves on the PCS side
+        var aCurves = aOffset ? readCurves(r, offset + aOffset, toPcs ? inputs : outputs) : null;
+        var bCurves = bOffset ? readCurves(r, offset + bOffset, toPcs ? outputs : inputs) : null;
+        var mCurves = mOffset ? readCurves(r, offset + mOffset, 3) : null;
+        var matrix = null;
+        if (matrixOffset) {
+            matrix = [];
+            for (var i = 0; i < 12; i++) matrix.push(r.s15Fixed16(offset + matrixOffset + i * 4));
+        }
+        var clut = null;
+        if (clutOffset) {
+            var clutInputs = toPcs ? inputs : 3, clutOutputs = toPcs ? 3 : outputs;
+            var grid = [];
+            for (var g = 0; g < clutInputs; g++) grid.push(r.u8(offset + clutOffset + g));
+            var precision = r.u8(offset + clutOffset + 16);
+            var count = clutOutputs;
+            for (g = 0; g < grid.length; g++) count *= grid[g];
+            clut = new Clut(grid, clutOutputs, readTable(r, offset + clutOffset + 20, count, precision));
+        }
+
+        function applyMatrix(values) {
+            if (!matrix) return values;
+            var out = [];
+            for (var row = 0; row < 3; row++) {
+                out.push(matrix[row * 3] * values[0] + matrix[row * 3 + 1] * values[1] + matrix[row * 3 + 2] * values[2] + matrix[9 + row]);
+            }
+            return out;
+        }
+
+        return {
+            inputs: inputs,
+            outputs: outputs,
+            pcsEncoding: 'v4',
+            matrix: null,
+            apply: toPcs ? function(values) {
+                values = applyCurves(aCurves, values);
+                if (clut) values = clut.lookup(values);
+                return applyCurves(bCurves, applyMatrix(applyCurves(mCurves, values)));
+            } : function(values) {
+                values = applyCurves(mCurves, applyMatrix(applyCurves(bCurves, values)));
+                if (clut) values = clut.lookup(values);
+                return applyCurves(aCurves, values);
+            }
+        };
+    }
+
+    function readLut(r, offset) {
+        var type = r.sig(offset);
+        if (type === 'mft1' || type === 'mft2') return readLut16or8(r, offset, type);
+        if (type === 'mAB ' || type === 'mBA ') return readLutAB(r, offset, type);
+        throw new Error('Unsupported transform type "' + type + '"');
+    }
+
+    function readDescription(r, offset) {
+        var type = r.sig(offset), i, text = '';
+        if (type === 'desc') {
+            var length = r.u32(offset + 8);
+            for (i = 0; i < length; i++) {
+                var code = r.u8(offset + 12 + i);
+                if (!code) break;
+                text += String.fromCharCode(code);
+            }
+            return text;
+        }
+        if (type === 'mluc') {
+            var size = r.u32(offset + 28), start = offset + r.u32(offset + 32);
+            for (i = 0; i + 1 < size; i += 2) text += String.fromCharCode(r.u16(start + i));
+            return text;
+        }
+        return '';
+    }
+
+    // --- PCS ---
+    // sRGB <-> XYZ (D50, Bradford adapted) <-> Lab (D50)
+
+    var D50 = [0.9642, 1.0, 0.8249];
+
+    function srgbToXyz(rgb) {
+        var l = [];
+        for (var i = 0; i < 3; i++) {
+            var c = rgb[i] / 255;
+            l.push(c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+        }
+        return [
+            0.4360747 * l[0] + 0.3850649 * l[1] + 0.1430804 * l[2],
+            0.2225045 * l[0] + 0.7168786 * l[1] + 0.0606169 * l[2],
+            0.0139322 * l[0] + 0.0971045 * l[1] + 0.7141733 * l[2]
+        ];
+    }
+
+    // Clipped to 0-255, unrounded
+    function xyzToSrgb(xyz) {
+        var l = [
+            3.1338561 * xyz[0] - 1.6168667 * xyz[1] - 0.4906146 * xyz[2],
+            -0.9787684 * xyz[0] + 1.9161415 * xyz[1] + 0.0334540 * xyz[2],
+            0.0719453 * xyz[0] - 0.2289914 * xyz[1] + 1.4052427 * xyz[2]
+        ];
+        var rgb = [];
+        for (var i = 0; i < 3; i++) {
+            var c = Math.max(0, Math.min(1, l[i]));
+            rgb.push(255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055));
+        }
+        return rgb;
+    }
+
+    function labF(t) {
+        return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+    }
+
+    function labInvf(t) {
+        return t * t * t > 216 / 24389 ? t * t * t : (116 * t - 16) / (24389 / 27);
+    }
+
+    function xyzToLab(xyz) {
+        var fx = labF(xyz[0] / D50[0]), fy = labF(xyz[1] / D50[1]), fz = labF(xyz[2] / D50[2]);
+        return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+    }
+
+    function labToXyz(lab) {
+        var fy = (lab[0] + 16) / 116;
+        return [D50[0] * labInvf(fy + lab[1] / 500), D50[1] * labInvf(fy), D50[2] * labInvf(fy - lab[2] / 200)];
+    }
+
+    function encodePcs(profile, lut, xyz) {
+        if (profile.pcs === 'XYZ ') {
+            var scale = 32768 / 65535;
+            var values = [xyz[0] * scale, xyz[1] * scale, xyz[2] * scale];
+            if (lut.matrix) values = multiply(lut.matrix, values);
+            return values;
+        }
+        var lab = xyzToLab(xyz);
+        var legacy = lut.pcsEncoding === 'legacy16' ? 65280 / 65535 : 1;
+        return [lab[0] / 100 * legacy, (lab[1] + 128) / 255 * legacy, (lab[2] + 128) / 255 * legacy];
+    }
+
+    function decodePcs(profile, lut, values) {
+        if (profile.pcs === 'XYZ ') {
+            var scale = 65535 / 32768;
+            return [values[0] * scale, values[1] * scale, values[2] * scale];
+        }
+        var legacy = lut.pcsEncoding === 'legacy16' ? 65535 / 65280 : 1;
+        return labToXyz([values[0] * legacy * 100, values[1] * legacy * 255 - 128, values[2] * legacy * 255 - 128]);
+    }
+
+    function multiply(m, v) {
+        return [
+            m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+            m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+            m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+        ];
+    }
+
+    // --- Profile ---
+
+    function IccProfile(bytes) {
+        var r = new Reader(bytes);
+        if (bytes.length < 132 || r.sig(36) !== 'acsp') throw new Error('Not an ICC profile');
+        this.version = r.u8(8) + '.' + (r.u8(9) >> 4);
+        this.deviceClass = r.sig(12);
+        this.colorSpace = r.sig(16);
+        this.pcs = r.sig(20);
+        if (this.pcs !== 'Lab ' && this.pcs !== 'XYZ ') throw new Error('Unsupported PCS "' + this.pcs + '"');
+
+        var tags = {};
+        var count = r.u32(128);
+        for (var i = 0; i < count; i++) {
+            var entry = 132 + i * 12;
+            tags[r.sig(entry)] = r.u32(entry + 4);
+        }
+        this.description = tags.desc ? readDescription(r, tags.desc) : '';
+
+        // Relative colorimetric (tag 1) with the perceptual tables (tag 0) as fallback
+        var toPcs = tags.A2B1 || tags.A2B0, fromPcs = tags.B2A1 || tags.B2A0;
+        if (!toPcs || !fromPcs) throw new Error('The profile has no AToB / BToA transforms');
+        this._toPcs = readLut(r, toPcs);
+        this._fromPcs = readLut(r, fromPcs);
+        this.channels = this._toPcs.inputs;
+        if (this._fromPcs.outputs !== this.channels || this._toPcs.outputs !== 3 || this._fromPcs.inputs !== 3) {
+            throw new Error('The profile transforms have unexpected channel counts');
+        }
+
+        // Black point compensation (Photoshop's default for relative colorimetric)
+        this._blackY = 0;
+        this._blackY = Math.max(0, Math.min(0.5, this.deviceToXyz(this.xyzToDevice([0, 0, 0]))[1]));
+    }
+
+    IccProfile.prototype = {
+        // device values (0-1 per channel) -> XYZ D50
+        deviceToXyz: function(device) {
+            return decodePcs(this, this._toPcs, this._toPcs.apply(device));
+        },
+        xyzToDevice: function(xyz) {
+            return this._fromPcs.apply(encodePcs(this, this._fromPcs, xyz));
+        },
+        // [r, g, b] 0-255 -> device values 0-1
+        fromRgb: function(rgb) {
+            var xyz = srgbToXyz(rgb), k = this._blackY;
+            return clamp01(this.xyzToDevice([xyz[0] * (1 - k) + D50[0] * k, xyz[1] * (1 - k) + k, xyz[2] * (1 - k) + D50[2] * k]));
+        },
+        // device values 0-1 -> [r, g, b] 0-255 (clipped, unrounded)
+        toRgb: function(device) {
+            var xyz = this.deviceToXyz(device), k = this._blackY;
+            return xyzToSrgb([(xyz[0] - D50[0] * k) / (1 - k), (xyz[1] - k) / (1 - k), (xyz[2] - D50[2] * k) / (1 - k)]);
+        },
+        // CIE76 distance between the color and its round trip through the profile
+        gamutError: function(rgb) {
+            var device = this.fromRgb(rgb);
+            var back = this.toRgb(device);
+            var a = xyzToLab(srgbToXyz(rgb)), b = xyzToLab(srgbToXyz(back));
+            return Math.sqrt((a[0] - b[0]) * (a[0] - b[0]) + (a[1] - b[1]) * (a[1] - b[1]) + (a[2] - b[2]) * (a[2] - b[2]));
+        }
+    };
+
+    function clamp01(values) {
+        var out = [];
+        for (var i = 0; i < values.length; i++) out.push(Math.max(0, Math.min(1, values[i])));
+        return out;
+    }
+
+    window.Icc = {
+        // bytes: Uint8Array. Throws an Error describing what is wrong with the profile.
+        parse: function(bytes) {
+            return new IccProfile(bytes);
+        },
+        srgbToXyz: srgbToXyz,
+        xyzToSrgb: xyzToSrgb,
+        xyzToLab: xyzToLab,
+        labToXyz: labToXyz
+    };
+})();
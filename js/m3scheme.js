@@ -0,0 +1,153 @@
+
+// Material 3 Scheme Export for Coolorus
+// Treats the active color as a seed and exports the Material 3 light and dark color schemes as JSON,
+// CSS custom properties or Android colors.xml. The schemes are the Tonal Spot dynamic schemes
+// (SchemeTonalSpot of Material Color Utilities, standard contrast): its palettes and its role tones.
+// The commands live in the panel flyout menu (see host.js).
+
+(function() {
+    if (!window.Hct || typeof PhotoshopHostApp !== 'function' || !PhotoshopHostApp.registerMenuItem) return;
+
+    // [role, palette, light tone, dark tone] of MaterialDynamicColors for Tonal Spot
+    var ROLES = [
+        ['primary', 'primary', 40, 80],
+        ['onPrimary', 'primary', 100, 20],
+        ['primaryContainer', 'primary', 90, 30],
+        ['onPrimaryContainer', 'primary', 30, 90],
+        ['inversePrimary', 'primary', 80, 40],
+        ['secondary', 'secondary', 40, 80],
+        ['onSecondary', 'secondary', 100, 20],
+        ['secondaryContainer', 'secondary', 90, 30],
+        ['onSecondaryContainer', 'secondary', 30, 90],
+        ['tertiary', 'tertiary', 40, 80],
+        ['onTertiary', 'tertiary', 100, 20],
+        ['tertiaryContainer', 'tertiary', 90, 30],
+        ['onTertiaryContainer', 'tertiary', 30, 90],
+        ['error', 'error', 40, 80],
+        ['onError', 'error', 100, 20],
+        ['errorContainer', 'error', 90, 30],
+        ['onErrorContainer', 'error', 30, 90],
+        ['background', 'neutral', 98, 6],
+        ['onBackground', 'neutral', 10, 90],
+        ['surface', 'neutral', 98, 6],
+        ['onSurface', 'neutral', 10, 90],
+        ['surfaceDim', 'neutral', 87, 6],
+        ['surfaceBright', 'neutral', 98, 24],
+        ['surfaceContainerLowest', 'neutral', 100, 4],
+        ['surfaceContainerLow', 'neutral', 96, 10],
+        ['surfaceContainer', 'neutral', 94, 12],
+        ['surfaceContainerHigh', 'neutral', 92, 17],
+        ['surfaceContainerHighest', 'neutral', 90, 22],
+        ['surfaceVariant', 'neutralVariant', 90, 30],
+        ['onSurfaceVariant', 'neutralVariant', 30, 80],
+        ['inverseSurface', 'neutral', 20, 90],
+        ['inverseOnSurface', 'neutral', 95, 20],
+        ['outline', 'neutralVariant', 50, 60],
+        ['outlineVariant', 'neutralVariant', 80, 30],
+        ['shadow', 'neutral', 0, 0],
+        ['scrim', 'neutral', 0, 0]
+    ];
+    var PALETTES = ['primary', 'secondary', 'tertiary', 'error', 'neutral', 'neutralVariant'];
+
+    var FORMATS = {
+        json: { extension: 'json', fileName: 'material_theme.json', write: toJSON },
+        css: { extension: 'css', fileName: 'material_theme.css', write: toCSS },
+        android: { extension: 'xml', fileName: 'colors.xml', write: toAndroidXml }
+    };
+
+    function hexFromInt(argb) {
+        return '#' + ((1 << 24) + (argb & 0xFFFFFF)).toString(16).slice(1).toUpperCase();
+    }
+
+    // onPrimaryContainer -> on-primary-container
+    function kebabCase(name) {
+        return name.replace(/[A-Z]/g, function(c) { return '-' + c.toLowerCase(); });
+    }
+
+    // SchemeTonalSpot's palettes: unlike CorePalette.of(), primary keeps chroma 36 whatever the seed's
+    function tonalSpotPalettes(seed) {
+        var hue = Hct.fromInt(seed).h;
+        return {
+            primary: Hct.tonalPalette(hue, 36),
+            secondary: Hct.tonalPalette(hue, 16),
+            tertiary: Hct.tonalPalette(hue + 60, 24),
+            neutral: Hct.tonalPalette(hue, 6),
+            neutralVariant: Hct.tonalPalette(hue, 8),
+            error: Hct.tonalPalette(25, 84)
+        };
+    }
+
+    function fromSeed(seed) {
+        seed = seed & 0xFFFFFF;
+        var core = tonalSpotPalettes(seed);
+        var scheme = { seed: hexFromInt(seed), light: {}, dark: {}, palettes: {} };
+        for (var i = 0; i < ROLES.length; i++) {
+            var palette = core[ROLES[i][1]];
+            scheme.light[ROLES[i][0]] = hexFromInt(palette.tone(ROLES[i][2]));
+            scheme.dark[ROLES[i][0]] = hexFromInt(palette.tone(ROLES[i][3]));
+        }
+        for (var j = 0; j < PALETTES.length; j++) {
+            var tones = {};
+            for (var k = 0; k < Hct.PALETTE_TONES.length; k++) {
+                tones[Hct.PALETTE_TONES[k]] = hexFromInt(core[PALETTES[j]].tone(Hct.PALETTE_TONES[k]));
+            }
+            scheme.palettes[PALETTES[j]] = tones;
+        }
+        return scheme;
+    }
+
+    function toJSON(scheme) {
+        return JSON.stringify({
+            seed: scheme.seed,
+            schemes: { light: scheme.light, dark: scheme.dark },
+            palettes: scheme.palettes
+        }, null, 2);
+    }
+
+    function toCSS(scheme) {
+        var lines = ['/* Material 3 color scheme, seed ' + scheme.seed + ' */', ':root {'];
+        for (var role in scheme.light) lines.push('  --md-sys-color-' + kebabCase(role) + ': ' + scheme.light[role] + ';');
+        lines.push('}', '', '@media (prefers-color-scheme: dark) {', '  :root {');
+        for (role in scheme.dark) lines.push('    --md-sys-color-' + kebabCase(role) + ': ' + scheme.dark[role] + ';');
+        lines.push('  }', '}', '');
+        return lines.join('\n');
+    }
+
+    function toAndroidXml(scheme) {
+        var lines = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<!-- Material 3 color scheme, seed ' + scheme.seed + ' -->',
+            '<resources>',
+            '    <color name="seed">' + scheme.seed + '</color>'
+        ];
+        for (var role in scheme.light) lines.push('    <color name="md_theme_light_' + role + '">' + scheme.light[role] + '</color>');
+        for (role in scheme.dark) lines.push('    <color name="md_theme_dark_' + role + '">' + scheme.dark[role] + '</color>');
+        lines.push('</resources>', '');
+        return lines.join('\n');
+    }
+
+    function exportActiveColor(format) {
+        var host = window.coolorus.host;
+        if (CONFIG_WEB_PREVIEW) {
+            host.alert(window.coolorus.getLocalizedString('error_optionNotAvailable'));
+            return;
+        }
+        var writer = FORMATS[format];
+        window.tracking.event('m3 scheme', 'export ' + format);
+        var scheme = fromSeed(window.coolorus.output.activeColor.rawColor);
+        host.toFile(writer.write(scheme), window.coolorus.getLocalizedString('m3scheme_save'), [writer.extension], writer.fileName);
+    }
+
+    PhotoshopHostApp.registerMenuItem('exportM3SchemeJson', function() { exportActiveColor('json'); });
+    PhotoshopHostApp.registerMenuItem('exportM3SchemeCss', function() { exportActiveColor('css'); });
+    PhotoshopHostApp.registerMenuItem('exportM3SchemeAndroid', function() { exportActiveColor('android'); });
+
+    window.M3Scheme = {
+        fromSeed: fromSeed,
+        tonalSpotPalettes: tonalSpotPalettes,
+        toJSON: toJSON,
+        toCSS: toCSS,
+        toAndroidXml: toAndroidXml,
+        exportActiveColor: exportActiveColor
+    };
+})();
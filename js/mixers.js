@@ -0,0 +1,44 @@
+
+// Mixer Mode Registry for Coolorus
+// Lets addon files append their own AbstractMixerBar modes to the mixer tabs (the dots under the mixers),
+// next to the built-in History / Blender / Shades & Tones / Swatches / Scheme modes.
+// Must be loaded after main.js and before any addon that calls MixerTabs.registerMode().
+
+(function() {
+    var BaseMixerTabs = window.MixerTabs;
+    if (typeof BaseMixerTabs !== 'function') return;
+
+    var factories = [];
+
+    function rethrowLater(error) {
+        setTimeout(function() { throw error; }, 0);
+    }
+
+    function MixerTabs(canvas) {
+        BaseMixerTabs.call(this, canvas);
+        if (!factories.length) return;
+
+        for (var i = 0; i < factories.length; i++) {
+            try {
+                this.addMode(factories[i]());
+            } catch (e) {
+                // A broken addon mode must not take the other mixers down; report it once the panel is built.
+                rethrowLater(e);
+            }
+        }
+
+        // The saved order is applied by the base constructor before addon modes exist; apply it again.
+        var order = Settings.getGlobal('panels.mixer.order');
+        if (order && Array.isArray(order)) this._order.setOrder(order);
+        this.updateTabs();
+    }
+    MixerTabs.prototype = BaseMixerTabs.prototype;
+
+    // factory: function() { return new SomeMixerMode(); }
+    // Called once per MixerTabs, after window.coolorus is ready.
+    MixerTabs.registerMode = function(factory) {
+        factories.push(factory);
+    };
+
+    window.MixerTabs = MixerTabs;
+})();
@@ -0,0 +1,55 @@
+
+// Node Modules Stub for Coolorus
+// main.js bundles universal-analytics, which calls require("async"), require("node-uuid") and
+// require("url") while main.js loads, and the host asks require("getmac") for a device id. CEP panels get
+// Node's require(); a plain browser page has none, and main.js stopped at the first call. Outside a CEP
+// host this defines window.require with just what main.js uses of these modules:
+// - async.whilst(): ends at once, so tracking calls are never sent from a browser page
+// - node-uuid.v4(): a random version 4 UUID (the tracking client id)
+// - url.parse(): protocol, host, hostname, port, pathname, search and hash of an absolute URL
+// - anything else, getmac included, is null, which main.js treats as a missing module
+// Must be loaded before main.js.
+
+(function() {
+    if (window.__adobe_cep__ || typeof window.require === 'function') return;
+
+    function v4() {
+        var hex = '';
+        for (var i = 0; i < 32; i++) {
+            var digit = Math.floor(Math.random() * 16);
+            if (i == 12) digit = 4;
+            else if (i == 16) digit = 8 | digit & 3;
+            hex += digit.toString(16);
+        }
+        return hex.substr(0, 8) + '-' + hex.substr(8, 4) + '-' + hex.substr(12, 4) + '-' + hex.substr(16, 4) + '-' + hex.substr(20);
+    }
+
+    function parse(url) {
+        var link = document.createElement('a');
+        link.href = url;
+        return {
+            href: link.href,
+            protocol: link.protocol,
+            host: link.host,
+            hostname: link.hostname,
+            port: link.port || null,
+            pathname: link.pathname,
+            search: link.search || null,
+            hash: link.hash || null
+        };
+    }
+
+    var modules = {
+        'async': {
+            whilst: function(test, iteratee, callback) {
+                if (callback) callback(null);
+            }
+        },
+        'node-uuid': { v4: v4 },
+        'url': { parse: parse }
+    };
+
+    window.require = function(name) {
+        return modules.hasOwnProperty(name) ? modules[name] : null;
+    };
+})();
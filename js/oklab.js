@@ -0,0 +1,91 @@
+
+// OKLCH / OKLab Mode Addon for Coolorus
+// Björn Ottosson's OKLab, as used by CSS Color 4 oklab() / oklch(); the math is ColorEngine.Oklab
+// (colorengine.js).
+// L is shown in percent (0-100) like CSS; C, a and b use the CSS reference range (100% = 0.4).
+// Both are slider modes registered with SlidersPanel.registerMode() (slidermodes.js); out-of-gamut values
+// keep L and h and have their chroma reduced to the sRGB boundary when applied.
+
+(function() {
+    var engine = window.ColorEngine;
+    if (!engine) return;
+
+    var Oklab = engine.Oklab;
+    var CHROMA_MAX = Oklab.CHROMA_MAX;
+    var oklabFromRgb = Oklab.fromRgb;
+    var rgbFromOklab = Oklab.toRgb;
+    var lchFromLab = Oklab.lchFromLab;
+    var labFromLch = Oklab.labFromLch;
+    var inGamutOklab = Oklab.inGamut;
+
+    // =========================================================================================
+    // PART 1: OKLAB
+    // =========================================================================================
+
+    // Shared with the other addons
+    window.Oklab = Oklab;
+
+    // =========================================================================================
+    // PART 2: SLIDER MODES
+    // =========================================================================================
+
+    if (typeof SlidersPanel !== 'function' || !SlidersPanel.registerMode) return;
+
+    // C, a and b are shown in percent of CHROMA_MAX, the CSS reference range
+    var PERCENT = 100 / CHROMA_MAX;
+
+    function inGamutLab(lab) {
+        return inGamutOklab(lab.L, lab.a, lab.b);
+    }
+
+    function labFromOklchValues(values) {
+        return labFromLch(values.L / 100, values.C / PERCENT, values.H);
+    }
+
+    function labFromOklabValues(values) {
+        return { L: values.L / 100, a: values.a / PERCENT, b: values.b / PERCENT };
+    }
+
+    SlidersPanel.registerMode('oklch', {
+        label: 'OKLCH',
+        channels: [
+            { key: 'L', min: 0, max: 100, unit: '%' },
+            { key: 'C', min: 0, max: 100, unit: '%' },
+            { key: 'H', min: 0, max: 360, unit: String.fromCharCode(176) }
+        ],
+        fromRgb: function(rgb, previous) {
+            var lch = lchFromLab(oklabFromRgb(rgb.r, rgb.g, rgb.b));
+            // Grays have no hue; keep the one the user was working with
+            var hue = lch.C < 0.0005 && previous ? previous.H : lch.h;
+            return { L: lch.L * 100, C: lch.C * PERCENT, H: hue };
+        },
+        toRgb: function(values) {
+            var lab = labFromOklchValues(values);
+            return rgbFromOklab(lab.L, lab.a, lab.b);
+        },
+        inGamut: function(values) {
+            return inGamutLab(labFromOklchValues(values));
+        }
+    });
+
+    SlidersPanel.registerMode('oklab', {
+        label: 'OKLab',
+        channels: [
+            { key: 'L', min: 0, max: 100, unit: '%' },
+            { key: 'a', name: 'A', min: -100, max: 100, unit: '%' },
+            { key: 'b', name: 'B', min: -100, max: 100, unit: '%' }
+        ],
+        fromRgb: function(rgb) {
+            var lab = oklabFromRgb(rgb.r, rgb.g, rgb.b);
+            return { L: lab.L * 100, a: lab.a * PERCENT, b: lab.b * PERCENT };
+        },
+        toRgb: function(values) {
+            var lab = labFromOklabValues(values);
+            return rgbFromOklab(lab.L, lab.a, lab.b);
+        },
+        inGamut: function(values) {
+            return inGamutLab(labFromOklabValues(values));
+        }
+    });
+
+})();
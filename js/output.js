@@ -0,0 +1,155 @@
+
+// Output API for Coolorus
+// A supported way for addons (slider modes, mixers) to read and set the active output color instead of
+// writing #hexInput and faking key events. On window.coolorus.output:
+// - getColor(committed): { r, g, b } (0-255 with fractions) of the shown active color, previews
+//   included, or of the committed host color when committed is true
+// - setColor(color, options): color is { r, g, b } (0-255, fractions kept), { h, s, v } (0-360, 0-1),
+//   0xRRGGBB, "#RRGGBB" or any other text ColorEngine.parseColor() reads, or a Coolorus color; options
+//   { commit, origin }. The color is committed unless commit is false; with commit: false it is only
+//   previewed in the output swatch, like while dragging on the wheel, and commit() and rollback() then
+//   keep or discard it. origin defaults to "api".
+// - colorChanged: signal dispatched with { color, hex, committed, origin } for every change of the active
+//   color. origin is the one passed to setColor, "host" for colors reported by the host application or
+//   "panel" for the panel's own widgets, so an addon can skip its own changes.
+// Colors stay HSV with floating point components inside the panel; only the host gets 8-bit values.
+// Must be loaded after main.js, colorengine.js and hostadapters.js.
+
+(function() {
+    var BaseColorOutput = window.ColorOutput;
+    if (typeof BaseColorOutput !== 'function') return;
+    var engine = window.ColorEngine;
+
+    // ===========================================
+    // PART 1: COLOR VALUES
+    // ===========================================
+
+    function clamp(value, max) {
+        return Math.max(0, Math.min(max, value));
+    }
+
+    function rgbFromHsv(h, s, v) {
+        var c = v * s;
+        var hh = (((h % 360) + 360) % 360) / 60;
+        var x = c * (1 - Math.abs(hh % 2 - 1));
+        var m = v - c;
+        var rgb = hh < 1 ? [c, x, 0] : hh < 2 ? [x, c, 0] : hh < 3 ? [0, c, x] :
+            hh < 4 ? [0, x, c] : hh < 5 ? [x, 0, c] : [c, 0, x];
+        return { r: (rgb[0] + m) * 255, g: (rgb[1] + m) * 255, b: (rgb[2] + m) * 255 };
+    }
+
+    // hue: kept for grays, which have none
+    function hsvFromRgb(r, g, b, hue) {
+        r /= 255; g /= 255; b /= 255;
+        var max = Math.max(r, g, b);
+        var d = max - Math.min(r, g, b);
+        if (d === 0) return { h: hue, s: 0, v: max };
+        var h = max === r ? (g - b) / d : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+        return { h: (h * 60 + 360) % 360, s: d / max, v: max };
+    }
+
+    function rgbOf(color) {
+        return color instanceof HSV ? rgbFromHsv(color.h, color.s, color.v) :
+            { r: color.rawColor >> 16 & 255, g: color.rawColor >> 8 & 255, b: color.rawColor & 255 };
+    }
+
+    function isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    // Sets an HSV color from any of the accepted color values
+    function assignColor(target, color) {
+        if (color instanceof ColorBase) {
+            target.copyFrom(color);
+            return;
+        }
+        if (typeof color === 'string') {
+            if (engine && engine.parseColor) {
+                color = engine.parseColor(color).rgb;
+            } else {
+                var match = /^#?([0-9a-f]{6})$/i.exec(color.trim());
+                if (!match) throw new Error('Invalid color: ' + color);
+                color = parseInt(match[1], 16);
+            }
+        }
+        if (isNumber(color)) {
+            color = { r: color >> 16 & 255, g: color >> 8 & 255, b: color & 255 };
+        }
+        if (color && isNumber(color.h) && isNumber(color.s) && isNumber(color.v)) {
+            target.setComponents(((color.h % 360) + 360) % 360, clamp(color.s, 1), clamp(color.v, 1));
+            return;
+        }
+        if (!color || !isNumber(color.r) || !isNumber(color.g) || !isNumber(color.b)) {
+            throw new Error('Invalid color: ' + JSON.stringify(color));
+        }
+        var hsv = hsvFromRgb(clamp(color.r, 255), clamp(color.g, 255), clamp(color.b, 255), target.h);
+        target.setComponents(hsv.h, hsv.s, hsv.v);
+    }
+
+    // ===========================================
+    // PART 2: OUTPUT API
+    // ===========================================
+
+    function ColorOutput(host) {
+        BaseColorOutput.call(this, host);
+        this.colorChanged = new signals.Signal();
+        this._origin = null;
+        this._updatingActiveColor = false;
+        // Low priority: the output and the hex input are up to date when listeners run
+        this.newActiveColor.changed.add(this.handlePreviewColorChange, this, -1);
+        this.activeColor.changed.add(this.handleCommittedColorChange, this, -1);
+    }
+    ColorOutput.prototype = BaseColorOutput.prototype;
+
+    var baseUpdateActiveColor = ColorOutput.prototype.updateActiveColor;
+
+    // Resets the preview to the committed color; that is no preview change of its own
+    ColorOutput.prototype.updateActiveColor = function() {
+        this._updatingActiveColor = true;
+        try {
+            baseUpdateActiveColor.call(this);
+        } finally {
+            this._updatingActiveColor = false;
+        }
+    };
+
+    ColorOutput.prototype.getColor = function(committed) {
+        return rgbOf(committed ? this.activeColor : this.newActiveColor);
+    };
+
+    ColorOutput.prototype.setColor = function(color, options) {
+        options = options || {};
+        var previousOrigin = this._origin;
+        this._origin = options.origin || 'api';
+        try {
+            assignColor(this.newActiveColor, color);
+            if (options.commit !== false) this.commit();
+        } finally {
+            this._origin = previousOrigin;
+        }
+    };
+
+    ColorOutput.prototype.changeOrigin = function() {
+        if (this._origin) return this._origin;
+        return this.host._receivingHostColors ? 'host' : 'panel';
+    };
+
+    ColorOutput.prototype.dispatchColorChange = function(color, committed) {
+        this.colorChanged.dispatch({
+            color: rgbOf(color),
+            hex: color.hex,
+            committed: committed,
+            origin: this.changeOrigin()
+        });
+    };
+
+    ColorOutput.prototype.handlePreviewColorChange = function() {
+        if (!this._updatingActiveColor) this.dispatchColorChange(this.newActiveColor, false);
+    };
+
+    ColorOutput.prototype.handleCommittedColorChange = function() {
+        this.dispatchColorChange(this.activeColor, true);
+    };
+
+    window.ColorOutput = ColorOutput;
+})();
@@ -0,0 +1,295 @@
+
+// Palette Formats for Coolorus
+// More file formats for the Swatches mixer, registered with SwatchFiles.registerFormat() (swatchfiles.js):
+// GIMP / Krita (.gpl), Procreate (.swatches), Paint.NET (.txt), hex lists (.hex) and CSS (.css).
+// These formats only store sRGB, so CMYK / LAB / Gray swatches are converted on save.
+
+(function() {
+    if (!window.SwatchFiles) return;
+
+    function swatchFromRaw(raw, name) {
+        var swatch = SwatchFiles.swatchFromColor(RGB.fromRawColor(raw & 0xFFFFFF));
+        if (name) swatch.name = name;
+        return swatch;
+    }
+
+    function hexFromRaw(raw) {
+        return ((1 << 24) + (raw & 0xFFFFFF)).toString(16).slice(1).toUpperCase();
+    }
+
+    function requireSwatches(swatches, format) {
+        if (!swatches.length) throw new Error('No colors found in the ' + format + ' file');
+        return swatches;
+    }
+
+    // ===========================================
+    // PART 1: GIMP / KRITA (.gpl)
+    // ===========================================
+    // "GIMP Palette", optional "Name:" and "Columns:" lines, "#" comments, then "R G B name" lines.
+
+    function parseGpl(bytes) {
+        var lines = SwatchFiles.decodeText(bytes).split(/\r\n|\r|\n/);
+        if (lines[0].trim() !== 'GIMP Palette') throw new Error('Not a GIMP palette');
+        var name = '';
+        var swatches = [];
+        for (var i = 1; i < lines.length; i++) {
+            var line = lines[i].trim();
+            var header = /^Name:\s*(.*)$/.exec(line);
+            if (header) {
+                name = header[1];
+                continue;
+            }
+            var color = /^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+            if (!color) continue;
+            var raw = Math.min(255, +color[1]) << 16 | Math.min(255, +color[2]) << 8 | Math.min(255, +color[3]);
+            swatches.push(swatchFromRaw(raw, color[4].trim()));
+        }
+        return { name: name, swatches: requireSwatches(swatches, 'GIMP') };
+    }
+
+    function pad(value) {
+        return ('   ' + value).slice(-3);
+    }
+
+    function writeGpl(swatches, name) {
+        var lines = ['GIMP Palette', 'Name: ' + (name || 'Coolorus'), 'Columns: 0', '#'];
+        for (var i = 0; i < swatches.length; i++) {
+            var raw = SwatchFiles.rawFromSwatch(swatches[i]);
+            lines.push(pad(raw >> 16 & 255) + ' ' + pad(raw >> 8 & 255) + ' ' + pad(raw & 255) + '\t' + swatches[i].name);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    // ===========================================
+    // PART 2: PROCREATE (.swatches)
+    // ===========================================
+    // A zip archive holding Swatches.json:
+    // [{ "name": ..., "swatches": [{ "hue", "saturation", "brightness" (0-1), "alpha", "colorSpace": 0 } or null] }]
+
+    var PROCREATE_ENTRY = 'Swatches.json';
+
+    var crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = [];
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                crcTable.push(c >>> 0);
+            }
+        }
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function encodeUtf8(text) {
+        var binary = unescape(encodeURIComponent(text));
+        var bytes = new Uint8Array(binary.length);
+        for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    // Deflated entries need zlib from the CEP Node.js context
+    function inflateRaw(bytes) {
+        var zlib = typeof window.require === 'function' ? window.require('zlib') : null;
+        if (!zlib) throw new Error('Compressed archives cannot be read here');
+        return new Uint8Array(zlib.inflateRawSync(bytes));
+    }
+
+    // Returns the contents of the first entry whose file name is name, or null
+    function readZipEntry(bytes, name) {
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        var end = -1;
+        for (var i = bytes.length - 22; i >= 0 && i >= bytes.length - 22 - 0xFFFF; i--) {
+            if (view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('Not a zip archive');
+        var count = view.getUint16(end + 10, true);
+        var pos = view.getUint32(end + 16, true);
+        for (var entry = 0; entry < count; entry++) {
+            if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014B50) throw new Error('Corrupted zip directory');
+            var method = view.getUint16(pos + 10, true);
+            var size = view.getUint32(pos + 20, true);
+            var nameLength = view.getUint16(pos + 28, true);
+            var entryName = SwatchFiles.decodeText(bytes.subarray(pos + 46, pos + 46 + nameLength));
+            var local = view.getUint32(pos + 42, true);
+            pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+            if (entryName.replace(/^.*\//, '') !== name) continue;
+
+            var start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            if (start + size > bytes.length) throw new Error('Zip entry ' + entryName + ' is truncated');
+            var data = bytes.subarray(start, start + size);
+            if (method === 0) return data;
+            if (method === 8) return inflateRaw(data);
+            throw new Error('Unsupported zip compression ' + method);
+        }
+        return null;
+    }
+
+    // A zip archive with one stored (uncompressed) entry
+    function writeZip(name, data) {
+        var nameBytes = encodeUtf8(name);
+        var crc = crc32(data);
+        var localSize = 30 + nameBytes.length;
+        var centralSize = 46 + nameBytes.length;
+        var bytes = new Uint8Array(localSize + data.length + centralSize + 22);
+        var view = new DataView(bytes.buffer);
+
+        view.setUint32(0, 0x04034B50, true);
+        view.setUint16(4, 20, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, data.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, nameBytes.length, true);
+        bytes.set(nameBytes, 30);
+        bytes.set(data, localSize);
+
+        var central = localSize + data.length;
+        view.setUint32(central, 0x02014B50, true);
+        view.setUint16(central + 4, 20, true);
+        view.setUint16(central + 6, 20, true);
+        view.setUint32(central + 16, crc, true);
+        view.setUint32(central + 20, data.length, true);
+        view.setUint32(central + 24, data.length, true);
+        view.setUint16(central + 28, nameBytes.length, true);
+        bytes.set(nameBytes, central + 46);
+
+        var end = central + centralSize;
+        view.setUint32(end, 0x06054B50, true);
+        view.setUint16(end + 8, 1, true);
+        view.setUint16(end + 10, 1, true);
+        view.setUint32(end + 12, centralSize, true);
+        view.setUint32(end + 16, central, true);
+        return bytes;
+    }
+
+    function parseProcreate(bytes) {
+        var json = readZipEntry(bytes, PROCREATE_ENTRY);
+        if (!json) throw new Error(PROCREATE_ENTRY + ' not found');
+        var palette = JSON.parse(SwatchFiles.decodeText(json));
+        if (Array.isArray(palette)) palette = palette[0];
+        if (!palette || !Array.isArray(palette.swatches)) throw new Error('No swatches in ' + PROCREATE_ENTRY);
+        var swatches = [];
+        for (var i = 0; i < palette.swatches.length; i++) {
+            var color = palette.swatches[i];
+            if (!color) continue;
+            swatches.push(swatchFromRaw(new HSV(360 * color.hue, color.saturation, color.brightness).rawColor));
+        }
+        return { name: palette.name || '', swatches: requireSwatches(swatches, 'Procreate') };
+    }
+
+    function writeProcreate(swatches, name) {
+        var colors = [];
+        for (var i = 0; i < swatches.length; i++) {
+            var hsv = HSV.fromRawColor(SwatchFiles.rawFromSwatch(swatches[i]));
+            colors.push({ hue: hsv.h / 360, saturation: hsv.s, brightness: hsv.v, alpha: 1, colorSpace: 0 });
+        }
+        var json = JSON.stringify([{ name: name || 'Coolorus', swatches: colors }]);
+        return writeZip(PROCREATE_ENTRY, encodeUtf8(json));
+    }
+
+    // ===========================================
+    // PART 3: PAINT.NET (.txt) AND HEX LISTS (.hex)
+    // ===========================================
+    // Paint.NET: ";" comments and one AARRGGBB color per line. Plain RRGGBB lines are accepted too,
+    // so .txt hex lists load as well. Hex lists (.hex, as on Lospec) are RRGGBB lines.
+
+    function parseHexLines(bytes, format) {
+        var lines = SwatchFiles.decodeText(bytes).split(/\r\n|\r|\n/);
+        var swatches = [];
+        for (var i = 0; i < lines.length; i++) {
+            var line = lines[i].trim();
+            if (!line || line.charAt(0) === ';') continue;
+            var color = /^#?(?:[0-9a-f]{2})?([0-9a-f]{6})$/i.exec(line);
+            if (!color) throw new Error('Line ' + (i + 1) + ' is not a color: ' + line);
+            swatches.push(swatchFromRaw(parseInt(color[1], 16)));
+        }
+        return requireSwatches(swatches, format);
+    }
+
+    function parsePaintNet(bytes) {
+        var name = /^;\s*Palette Name:\s*(.*)$/m.exec(SwatchFiles.decodeText(bytes));
+        return { name: name ? name[1].trim() : '', swatches: parseHexLines(bytes, 'Paint.NET') };
+    }
+
+    function writePaintNet(swatches, name) {
+        var lines = [';paint.net Palette File', ';Palette Name: ' + (name || 'Coolorus'), ';Colors: ' + swatches.length];
+        for (var i = 0; i < swatches.length; i++) lines.push('FF' + hexFromRaw(SwatchFiles.rawFromSwatch(swatches[i])));
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    function writeHexList(swatches) {
+        var lines = [];
+        for (var i = 0; i < swatches.length; i++) lines.push(hexFromRaw(SwatchFiles.rawFromSwatch(swatches[i])).toLowerCase());
+        return lines.join('\n') + '\n';
+    }
+
+    // ===========================================
+    // PART 4: CSS (.css)
+    // ===========================================
+    // Every #hex and rgb() / rgba() color in the file, named after the custom property it is assigned to.
+    // Saved as custom properties on :root.
+
+    var CSS_COLOR = /(?:--([\w-]+)\s*:\s*)?(#[0-9a-f]{3,8}\b|rgba?\(\s*[^)]*\))/gi;
+
+    function rawFromCssColor(text) {
+        var hex = /^#([0-9a-f]+)$/i.exec(text);
+        if (hex) {
+            var digits = hex[1];
+            if (digits.length === 3 || digits.length === 4) digits = digits.replace(/(.)/g, '$1$1');
+            if (digits.length !== 6 && digits.length !== 8) return null;
+            return parseInt(digits.slice(0, 6), 16);
+        }
+        var channels = text.replace(/^rgba?\(|\)$/gi, '').split(/[\s,\/]+/);
+        if (channels.length < 3) return null;
+        var raw = 0;
+        for (var i = 0; i < 3; i++) {
+            var value = parseFloat(channels[i]);
+            if (isNaN(value)) return null;
+            if (/%$/.test(channels[i])) value *= 2.55;
+            raw = raw << 8 | Math.round(Math.max(0, Math.min(255, value)));
+        }
+        return raw;
+    }
+
+    function parseCss(bytes) {
+        var text = SwatchFiles.decodeText(bytes).replace(/\/\*[\s\S]*?\*\//g, '');
+        var swatches = [];
+        var match;
+        CSS_COLOR.lastIndex = 0;
+        while ((match = CSS_COLOR.exec(text))) {
+            var raw = rawFromCssColor(match[2]);
+            if (raw !== null) swatches.push(swatchFromRaw(raw, match[1] || ''));
+        }
+        return requireSwatches(swatches, 'CSS');
+    }
+
+    // "Pantone 300 C" -> "pantone-300-c"
+    function cssIdentifier(name) {
+        return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    function writeCss(swatches, name) {
+        var lines = ['/* ' + (name || 'Coolorus').replace(/\*\//g, '') + ' */', ':root {'];
+        var used = {};
+        for (var i = 0; i < swatches.length; i++) {
+            var id = cssIdentifier(swatches[i].name);
+            if (!id || /^\d/.test(id) || used[id]) id = 'color-' + (i + 1);
+            used[id] = true;
+            lines.push('  --' + id + ': #' + hexFromRaw(SwatchFiles.rawFromSwatch(swatches[i])).toLowerCase() + ';');
+        }
+        lines.push('}', '');
+        return lines.join('\n');
+    }
+
+    SwatchFiles.registerFormat({ id: 'gpl', extensions: ['gpl'], read: parseGpl, write: writeGpl });
+    SwatchFiles.registerFormat({ id: 'procreate', extensions: ['swatches'], read: parseProcreate, write: writeProcreate });
+    SwatchFiles.registerFormat({ id: 'paint.net', extensions: ['txt'], read: parsePaintNet, write: writePaintNet });
+    SwatchFiles.registerFormat({ id: 'hex', extensions: ['hex'], read: function(bytes) { return parseHexLines(bytes, 'hex'); }, write: writeHexList });
+    SwatchFiles.registerFormat({ id: 'css', extensions: ['css'], read: parseCss, write: writeCss });
+})();
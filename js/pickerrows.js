@@ -0,0 +1,99 @@
+
+// Picker Rows for Coolorus
+// Lets addons show a row of HTML between the picker and the panels, for readouts and small tools. Rows
+// stack in registration order, are hidden in configuration mode and count towards the panels' minimum
+// height, so Picker.updateSize() leaves room for them even when the panels are hidden.
+// PickerRows.register(id, row), row being:
+// - height: in pixels
+// - isVisible(): whether the row is shown; call PickerRows.update() when the answer changes
+// - create(element): fills the row element (#picker_row_<id>, a flex box) the first time it is shown
+// - update(element): optional, refreshes the content; called whenever the rows are laid out
+// Must be loaded after main.js.
+
+(function() {
+    if (typeof Panels !== 'function') return;
+
+    var rows = [];
+
+    var style = document.getElementById('pickerrows_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'pickerrows_style';
+        style.innerHTML = '' +
+            '.picker-row { position: absolute; display: none; box-sizing: border-box; padding: 1px 6px; align-items: center; ' +
+            'font-size: 10px; color: #ccc; white-space: nowrap; overflow: hidden; }' +
+            '.picker-row select { height: 14px; font-size: 10px; padding: 0; background: #222; color: #ccc; border: 1px solid #000; outline: none; }' +
+            '.picker-row button { height: 14px; padding: 0 4px; font-size: 10px; line-height: 12px; }';
+        document.head.appendChild(style);
+    }
+
+    function isShown(row) {
+        return !Settings.getGlobal(Settings.CONFIGURATION_MODE) && !!row.isVisible();
+    }
+
+    function rowsHeight() {
+        var height = 0;
+        for (var i = 0; i < rows.length; ++i) {
+            if (isShown(rows[i])) height += rows[i].height;
+        }
+        return height;
+    }
+
+    // Rows from the top of the panels area (y) down; returns their height
+    function layoutRows(x, y, width) {
+        var top = y;
+        for (var i = 0; i < rows.length; ++i) {
+            var row = rows[i];
+            var shown = isShown(row);
+            if (!row.element) {
+                if (!shown) continue;
+                row.element = jQuery('<div class="picker-row" />').attr('id', 'picker_row_' + row.id).appendTo('#picker');
+                row.create(row.element);
+            }
+            row.element.css({ left: x + 'px', top: top + 'px', width: width + 'px', height: row.height + 'px', display: shown ? 'flex' : 'none' });
+            if (!shown) continue;
+            if (row.update) row.update(row.element);
+            top += row.height;
+        }
+        return top - y;
+    }
+
+    // ===========================================
+    // PART 1: PANELS LAYOUT
+    // ===========================================
+
+    Panels.prototype.updateLayout = function() {
+        this.minimumSize.x = 0;
+        this.minimumSize.y = (this._visible ? 25 + this.currentContent.minimumSize.y : 0) + rowsHeight();
+        this.minimumSizeChanged.dispatch();
+    };
+
+    Panels.prototype.hide = function() {
+        this._visible = false;
+        $('#panels').hide();
+        this.updateLayout();
+    };
+
+    var baseSetAvailableSpace = Panels.prototype.setAvailableSpace;
+    Panels.prototype.setAvailableSpace = function(x, y, width, height) {
+        var offset = layoutRows(x, y, width);
+        baseSetAvailableSpace.call(this, x, y + offset, width, height - offset);
+    };
+
+    // ===========================================
+    // PART 2: REGISTRY
+    // ===========================================
+
+    window.PickerRows = {
+        // row: see the header comment
+        register: function(id, row) {
+            row.id = id;
+            rows.push(row);
+        },
+
+        // Lays the rows out again after a row was shown or hidden
+        update: function() {
+            if (window.coolorus.panels) window.coolorus.panels.updateLayout();
+        }
+    };
+})();
@@ -0,0 +1,264 @@
+
+// Browser Preview Host for Coolorus
+// A mock host application for running the panel in a plain browser page (served over http, e.g.
+// "python -m http.server" in this folder) for development and automated UI tests. Outside a CEP host
+// hostadapters.js picks it by default; open index.html?host=none for main.js' own preview mode instead.
+// - foreground / background colors live in memory; setHostColors(foreground, background) changes them
+//   like the user would in the host application (origin "host")
+// - settings are kept in memory for the session
+// - save dialogs download the file (the name is asked for with prompt()), open dialogs upload one. An
+//   upload arrives after the action asked for it, so the action is run again through the retry callback
+//   of openFileDialog() / fromBinaryFile() and then gets the uploaded file
+// - the panel flyout menu is a select in the lower right corner; clickMenuItem(id) runs an item
+// Tests can preset the state with window.COOLORUS_PREVIEW = { foreground, background, documentColorMode,
+// documentName, settings, files } before the page loads (colors as "#RRGGBB" or 0xRRGGBB, settings as saved in
+// "settings.global", files as { name: string or Uint8Array }), or with ?fg=RRGGBB&bg=RRGGBB, and answer
+// dialogs ahead with queueFile(name, content) and queueSaveName(name). Saved files are kept in host.files.
+// Must be loaded after hostadapters.js and host.js.
+
+(function() {
+    // main.js' PhotoshopHostApp; window.PhotoshopHostApp picks the adapter and would come back here
+    var BasePhotoshopHostApp = window.HostAdapters && HostAdapters.PhotoshopHostApp;
+    if (typeof BasePhotoshopHostApp !== 'function' || !BasePhotoshopHostApp.prototype.openFileDialog) return;
+
+    // Paths of the in-memory files
+    var PATH_PREFIX = 'preview:/';
+    var DEFAULT_FILE_NAME = 'coolorus_mixers.cool';
+
+    var style = document.getElementById('previewhost_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'previewhost_style';
+        style.innerHTML = '' +
+            '#previewhost_menu { position: fixed; right: 2px; bottom: 2px; z-index: 10000; width: 18px; height: 16px; opacity: 0.6; ' +
+            'background: #222; color: #ccc; border: 1px solid #000; font-size: 10px; cursor: pointer; }' +
+            '#previewhost_menu:hover { opacity: 1; }';
+        document.head.appendChild(style);
+    }
+
+    // ===========================================
+    // PART 1: CONFIGURATION
+    // ===========================================
+
+    function queryParameter(name) {
+        var match = new RegExp('[?&]' + name + '=([^&]*)').exec(window.location.search);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    // "#RRGGBB", "RRGGBB" or 0xRRGGBB -> 0xRRGGBB, null for anything else
+    function parseRaw(color) {
+        if (typeof color === 'number' && isFinite(color)) return color & 0xFFFFFF;
+        var match = /^#?([0-9a-f]{6})$/i.exec(String(color || '').trim());
+        return match ? parseInt(match[1], 16) : null;
+    }
+
+    function previewConfig() {
+        var config = window.COOLORUS_PREVIEW || {};
+        return {
+            foreground: parseRaw(queryParameter('fg') || config.foreground),
+            background: parseRaw(queryParameter('bg') || config.background),
+            documentColorMode: config.documentColorMode === 'CMYK' ? 'CMYK' : 'RGB',
+            documentName: String(config.documentName || ''),
+            settings: config.settings || null,
+            files: config.files || {}
+        };
+    }
+
+    function fileName(path) {
+        return path.replace(/^.*[\/\\]/, '');
+    }
+
+    function extensionOf(name) {
+        var match = /\.([^.\/\\]*)$/.exec(name);
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    // ===========================================
+    // PART 2: PREVIEW HOST
+    // ===========================================
+
+    function PreviewHostApp(onInit) {
+        var config = previewConfig();
+        var host = this;
+        // Without __adobe_cep__ main.js keeps the settings in memory and loads the messages itself
+        BasePhotoshopHostApp.call(this, function() {
+            onInit();
+            // Like the first color report of a real host, which arrives after the panel has set itself up
+            host.receiveHostColors(config.foreground, config.background);
+        });
+        if (config.settings) this._storage['settings.global'] = JSON.parse(JSON.stringify(config.settings));
+        HostAdapters.initColorSync(this);
+        this.documentColorMode = config.documentColorMode;
+        this.documentName = config.documentName;
+        this.files = {};
+        for (var name in config.files) this.files[PATH_PREFIX + name] = config.files[name];
+        this._queuedFiles = [];
+        this._queuedSaveNames = [];
+    }
+
+    PreviewHostApp.prototype = Object.create(BasePhotoshopHostApp.prototype);
+    PreviewHostApp.prototype.constructor = PreviewHostApp;
+    PreviewHostApp.prototype.isPreview = true;
+
+    // Colors as "#RRGGBB" or 0xRRGGBB; null keeps a color
+    PreviewHostApp.prototype.setHostColors = function(foreground, background) {
+        this.receiveHostColors(parseRaw(foreground), parseRaw(background));
+    };
+
+    // --- Files ---
+
+    // Adds a file and makes it the answer of the next open dialog; returns its path
+    PreviewHostApp.prototype.queueFile = function(name, content) {
+        var path = PATH_PREFIX + name;
+        this.files[path] = content;
+        this._queuedFiles.push(path);
+        return path;
+    };
+
+    // The answer of the next save dialog
+    PreviewHostApp.prototype.queueSaveName = function(name) {
+        this._queuedSaveNames.push(name);
+    };
+
+    // Returns the next queued file, otherwise asks for an upload and returns null; retry runs the action
+    // again once the upload is there
+    PreviewHostApp.prototype.openFileDialog = function(title, extensions, retry) {
+        if (this._queuedFiles.length) return this._queuedFiles.shift();
+        this.uploadFile(extensions, retry);
+        return null;
+    };
+
+    PreviewHostApp.prototype.uploadFile = function(extensions, retry) {
+        var host = this;
+        var input = document.createElement('input');
+        input.type = 'file';
+        input.accept = (extensions || []).map(function(extension) { return '.' + extension; }).join(',');
+        input.addEventListener('change', function() {
+            var file = input.files && input.files[0];
+            if (!file) return;
+            var reader = new FileReader();
+            reader.onload = function() {
+                host.queueFile(file.name, new Uint8Array(reader.result));
+                if (retry) retry();
+            };
+            reader.readAsArrayBuffer(file);
+        });
+        input.click();
+    };
+
+    // A file name with one of the extensions; the default name of main.js is for mixers only
+    PreviewHostApp.prototype.saveFileDialog = function(title, extensions, defaultName) {
+        extensions = extensions || [];
+        var name = defaultName || DEFAULT_FILE_NAME;
+        if (extensions.length && extensions.indexOf(extensionOf(name)) < 0) {
+            name = name.replace(/\.[^.]*$/, '') + '.' + extensions[0];
+        }
+        name = this._queuedSaveNames.length ? this._queuedSaveNames.shift() : window.prompt(title, name);
+        if (!name) return null;
+        if (extensions.length && extensions.indexOf(extensionOf(name)) < 0) name += '.' + extensions[0];
+        return PATH_PREFIX + fileName(name);
+    };
+
+    PreviewHostApp.prototype.readTextFile = function(path) {
+        var content = this.files[path];
+        if (content === undefined) return null;
+        return typeof content === 'string' ? content : new TextDecoder('utf-8').decode(content);
+    };
+
+    PreviewHostApp.prototype.writeTextFile = function(path, content) {
+        this.files[path] = content;
+        this.download(path, content, 'text/plain;charset=utf-8');
+        return true;
+    };
+
+    PreviewHostApp.prototype.readBinaryFile = function(path) {
+        var content = this.files[path];
+        if (content === undefined) return null;
+        return typeof content === 'string' ? new TextEncoder().encode(content) : content;
+    };
+
+    PreviewHostApp.prototype.writeBinaryFile = function(path, bytes) {
+        this.files[path] = bytes;
+        this.download(path, bytes, 'application/octet-stream');
+        return true;
+    };
+
+    PreviewHostApp.prototype.download = function(path, content, type) {
+        if (!window.URL || !URL.createObjectURL || typeof Blob !== 'function') return;
+        var url = URL.createObjectURL(new Blob([content], { type: type }));
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = fileName(path);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(function() { URL.revokeObjectURL(url); }, 1000);
+    };
+
+    // main.js' own file functions, for callers that do not go through host.js
+    PreviewHostApp.prototype.toFile = function(content, title, extensions, defaultName) {
+        var path = this.saveFileDialog(title, extensions, defaultName);
+        return path ? this.writeFile(path, content) : false;
+    };
+
+    PreviewHostApp.prototype.fromFile = function(title, extensions) {
+        var path = this.openFileDialog(title, extensions);
+        return path ? this.readTextFile(path) : null;
+    };
+
+    PreviewHostApp.prototype.openUrl = function(url) {
+        window.open(url, '_blank');
+    };
+
+    // --- Flyout Menu ---
+    // main.js builds the menu only with a CSInterface; this one takes the menu XML for the select
+
+    PreviewHostApp.prototype.initPanelMenu = function() {
+        var host = this;
+        this.cs = {
+            setPanelFlyoutMenu: function(xml) { host._menuXml = xml; },
+            addEventListener: function() {}
+        };
+        try {
+            BasePhotoshopHostApp.prototype.initPanelMenu.call(this);
+        } finally {
+            this.cs = null;
+        }
+        if (this._menuXml) this.updateSettingsItems();
+    };
+
+    PreviewHostApp.prototype.updateSettingsItems = function() {
+        var host = this;
+        var menu = jQuery('#previewhost_menu');
+        if (!menu.length) {
+            menu = jQuery('<select id="previewhost_menu" />').appendTo(document.body);
+            menu.on('change', function() {
+                var id = menu.val();
+                menu.val('');
+                if (id) host.clickMenuItem(id);
+            });
+        }
+        menu.empty().append(jQuery('<option value="" />').text(String.fromCharCode(9776)));
+        jQuery(jQuery.parseXML(this._menuXml)).find('MenuItem').each(function() {
+            var id = this.getAttribute('Id');
+            var option = jQuery('<option />');
+            if (!id) {
+                menu.append(option.val('').prop('disabled', true).text('--------'));
+                return;
+            }
+            var item = host._menuId2getter[id];
+            var checked = item.checked ? item.checked(id) : false;
+            var enabled = item.enabled ? item.enabled(id) : true;
+            menu.append(option.val(id).prop('disabled', !enabled).text((checked ? String.fromCharCode(10003) + ' ' : '') + this.getAttribute('Label')));
+        });
+        menu.val('');
+    };
+
+    PreviewHostApp.prototype.clickMenuItem = function(id) {
+        this.flyoutMenuClickedHandler({ data: { menuId: id } });
+        this.updateSettingsItems();
+    };
+
+    HostAdapters.adapters.PREVIEW = PreviewHostApp;
+    HostAdapters.PreviewHostApp = PreviewHostApp;
+})();
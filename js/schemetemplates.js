@@ -0,0 +1,439 @@
+// Color Scheme Templates for Coolorus
+// User defined color schemes next to the six built-in ones: a template is a name, a model and up to 7
+// colors besides the main color, each at an angle from the main color with saturation / brightness
+// (HSV, percent points) or HCT chroma / tone offsets. The offsets apply to the scheme colors the
+// Scheme mixer samples (ColorEngine.schemeTemplateColors); the wheel shows the hues.
+// Templates get scheme buttons on the free arc left of the built-in ones; dragging one of their
+// samplers turns the whole template. The flyout menu "Color Scheme Templates" opens the editor.
+// Templates are kept in the panel settings ("scheme.templates") and in .cool files ("schemeTemplates",
+// see coolfile.js); "picker.color_scheme" counts them after the built-in schemes (6-9).
+// Must be loaded after main.js, colorengine.js, host.js and coolfile.js.
+
+(function() {
+    var engine = window.ColorEngine;
+    if (!engine || !engine.schemeTemplateColors || typeof HueWheel !== 'function' || typeof AbstractColorScheme !== 'function' ||
+        !window.CoolFile || !CoolFile.registerPart || typeof PhotoshopHostApp !== 'function' || !PhotoshopHostApp.registerMenuItem) return;
+
+    var TEMPLATES_SETTING = 'scheme.templates';
+    var MAX_TEMPLATES = 4;
+    var MAX_SLOTS = 7;
+    var MAX_NAME_LENGTH = 32;
+    var BUILT_IN_SCHEMES = engine.SCHEME_NAMES.length;
+    // Button spots, continuing the arc of the built-in scheme buttons to the left
+    var BUTTON_POSITIONS = [[-17.7, -43.5], [-27, -38.4], [-35, -31.3], [-41.2, -22.6]];
+    var ICON_RADIUS = 3;
+    // Offset fields of a slot per model and their limits
+    var OFFSETS = { hsv: ['saturation', 'brightness'], hct: ['chroma', 'tone'] };
+    var OFFSET_LIMITS = { saturation: 100, brightness: 100, chroma: engine.Hct.CHROMA_MAX, tone: 100 };
+
+    var fail = CoolFile.fail;
+    var checkObject = CoolFile.checkObject;
+    var checkArray = CoolFile.checkArray;
+    var checkNumber = CoolFile.checkNumber;
+    var checkString = CoolFile.checkString;
+
+    var style = document.getElementById('schemetemplates_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'schemetemplates_style';
+        style.innerHTML = '' +
+            '#schemetemplates .content { font-size: 10px; padding-bottom: 15px; }' +
+            '.schemetemplates-title { margin-bottom: 8px; font-weight: bold; }' +
+            '.schemetemplates-row { display: flex; align-items: center; margin-bottom: 4px; }' +
+            '.schemetemplates-row > * { margin-right: 4px; }' +
+            '.schemetemplates-row > label { min-width: 34px; }' +
+            '.schemetemplates-row select, .schemetemplates-row input { flex: 1; min-width: 0; height: 16px; font-size: 10px; }' +
+            '#schemetemplates_slots { width: 100%; margin-bottom: 4px; border-collapse: collapse; }' +
+            '#schemetemplates_slots th { font-weight: normal; text-align: left; opacity: .7; }' +
+            '#schemetemplates_slots input { width: 100%; box-sizing: border-box; height: 16px; font-size: 10px; }' +
+            '#schemetemplates input.invalid { outline: 1px solid #d9534f; }' +
+            '#schemetemplates_message { display: none; margin-bottom: 4px; color: #e8847f; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    // ===========================================
+    // PART 1: TEMPLATES
+    // ===========================================
+    // { name, model: 'hsv' | 'hct', slots: [{ angle, saturation, brightness } | { angle, chroma, tone }] }
+    // Validation errors are those of coolfile.js, with the "part" of the template that is wrong.
+
+    function readTemplate(json, part) {
+        checkObject(json, part);
+        var name = checkString(json.name, part + '.name').trim();
+        if (!name) fail(part + '.name', 'the name is empty');
+        if (name.length > MAX_NAME_LENGTH) fail(part + '.name', 'longer than ' + MAX_NAME_LENGTH + ' characters');
+        var model = checkString(json.model, part + '.model');
+        if (!OFFSETS.hasOwnProperty(model)) fail(part + '.model', 'unknown model "' + model + '"');
+        var slots = checkArray(json.slots, part + '.slots');
+        if (!slots.length) fail(part + '.slots', 'expected at least one color besides the main color');
+        if (slots.length > MAX_SLOTS) fail(part + '.slots', 'more than ' + MAX_SLOTS + ' colors');
+
+        var template = { name: name, model: model, slots: [] };
+        for (var i = 0; i < slots.length; i++) {
+            var slotPart = part + '.slots[' + i + ']';
+            var slot = checkObject(slots[i], slotPart);
+            var value = { angle: checkNumber(slot.angle, slotPart + '.angle', -180, 180) };
+            for (var j = 0; j < OFFSETS[model].length; j++) {
+                var key = OFFSETS[model][j];
+                value[key] = slot[key] === undefined ? 0 : checkNumber(slot[key], slotPart + '.' + key, -OFFSET_LIMITS[key], OFFSET_LIMITS[key]);
+            }
+            template.slots.push(value);
+        }
+        return template;
+    }
+
+    function readTemplates(json, part) {
+        checkArray(json, part);
+        if (json.length > MAX_TEMPLATES) fail(part, 'more than ' + MAX_TEMPLATES + ' templates');
+        return json.map(function(template, index) {
+            return readTemplate(template, part + '[' + index + ']');
+        });
+    }
+
+    // The saved templates; broken ones are left out
+    function getTemplates() {
+        var saved = Settings.getGlobal(TEMPLATES_SETTING);
+        var templates = [];
+        for (var i = 0; Array.isArray(saved) && i < saved.length && templates.length < MAX_TEMPLATES; i++) {
+            try {
+                templates.push(readTemplate(saved[i], TEMPLATES_SETTING + '[' + i + ']'));
+            } catch (e) {}
+        }
+        return templates;
+    }
+
+    function setTemplates(templates) {
+        Settings.setGlobal(TEMPLATES_SETTING, templates.map(function(template) {
+            return readTemplate(template, 'template');
+        }));
+    }
+
+    // ===========================================
+    // PART 2: WHEEL SCHEME
+    // ===========================================
+
+    function TemplateScheme(template) {
+        AbstractColorScheme.call(this, 'template', template.slots.length);
+        this.template = template;
+        this.toolTipData = template.name;
+    }
+
+    TemplateScheme.prototype = Object.create(AbstractColorScheme.prototype);
+    TemplateScheme.prototype.constructor = TemplateScheme;
+
+    Object.defineProperty(TemplateScheme.prototype, 'angles', {
+        get: function() {
+            return [this.mainSampler.angle].concat(this.samplers.map(function(sampler) { return sampler.angle; }));
+        }
+    });
+
+    // The slot angles are fixed: a dragged satellite moves the main sampler, the others follow it
+    TemplateScheme.prototype.samplerChanged = function(sampler) {
+        var slots = this.template.slots;
+        var index = this.samplers.indexOf(sampler);
+        if (index >= 0) this.mainSampler.angleeee = sampler.angle - slots[index].angle;
+        for (var i = 0; i < this.samplers.length; ++i) {
+            if (i != index) this.samplers[i].angleeee = this.mainSampler.angle + slots[i].angle;
+        }
+    };
+
+    // main.js defines schemeColors as a non-configurable getter, so the wheel gets one of its own
+    var baseSchemeColors = Object.getOwnPropertyDescriptor(HueWheel.prototype, 'schemeColors').get;
+
+    function schemeColors() {
+        if (!(this._scheme instanceof TemplateScheme)) return baseSchemeColors.call(this);
+        var color = this._color;
+        return engine.schemeTemplateColors(this._scheme.template, color, this._mainSampler.data.angle, this._wheelPalette).map(function(hsv) {
+            var schemeColor = color.clone();
+            schemeColor.setComponents(hsv.h, hsv.s, hsv.v);
+            return schemeColor;
+        });
+    }
+
+    // ===========================================
+    // PART 3: BUTTONS
+    // ===========================================
+    // main.js creates the built-in buttons in initColorSchemes() and then restores "picker.color_scheme",
+    // which is where the first scheme change arrives. The template buttons are added at that point,
+    // before a saved index above the built-in schemes is resolved.
+
+    function drawIcon(button) {
+        var theme = window.coolorus.theme;
+        var slots = button.data.template.slots;
+        var graphics = button.icon.graphics.clear();
+        graphics.beginFill(button.selected ? theme.schemeIconColorActive : theme.schemeIconColor).drawCircle(0, 0, ICON_RADIUS).endFill();
+        graphics.beginFill(button.selected ? theme.schemeIconColorChildActive : theme.schemeIconColorChild);
+        graphics.drawCircle(0, -ICON_RADIUS * 0.6, 0.8);
+        for (var i = 0; i < slots.length; ++i) {
+            var angle = slots[i].angle * Math.PI / 180;
+            graphics.drawCircle(ICON_RADIUS * 0.6 * Math.sin(angle), -ICON_RADIUS * 0.6 * Math.cos(angle), 0.55);
+        }
+        graphics.endFill();
+    }
+
+    function drawIcons(wheel) {
+        for (var i = 0; i < wheel._templateButtons.length; ++i) drawIcon(wheel._templateButtons[i]);
+        window.coolorus.redraw();
+    }
+
+    function addButtons(wheel) {
+        var templates = getTemplates();
+        for (var i = 0; i < templates.length; ++i) {
+            var view = new SmartButton(BUTTON_POSITIONS[i][0], BUTTON_POSITIONS[i][1], wheel.view);
+            var button = new SelectableButton(view, new TemplateScheme(templates[i]));
+            button.icon = view.addChild(new createjs.Shape);
+            wheel._schemes.add(button);
+            wheel._templateButtons.push(button);
+        }
+        drawIcons(wheel);
+    }
+
+    // After the templates changed. A selected template stays selected where it moved to; an edited one
+    // where it was, and the first scheme is selected when it was deleted.
+    function rebuildButtons(wheel) {
+        var schemes = wheel._schemes;
+        var index = schemes.selectedIndex;
+        var selected = index >= BUILT_IN_SCHEMES ? JSON.stringify(schemes.selectedItem.data.template) : null;
+        if (selected) schemes.internalDeselectAll();
+        while (wheel._templateButtons.length) {
+            var button = wheel._templateButtons.pop();
+            schemes.remove(button);
+            wheel.view.removeChild(button.view);
+        }
+        addButtons(wheel);
+        if (!selected) return;
+        for (var i = 0; i < wheel._templateButtons.length; ++i) {
+            if (JSON.stringify(wheel._templateButtons[i].data.template) === selected) index = BUILT_IN_SCHEMES + i;
+        }
+        schemes.selectedIndex = index < schemes.items.length ? index : 0;
+    }
+
+    var baseHandleColorSchemeChange = HueWheel.prototype.handleColorSchemeChange;
+    HueWheel.prototype.handleColorSchemeChange = function() {
+        var schemes = this._schemes;
+        if (!this._templateButtons) {
+            this._templateButtons = [];
+            Object.defineProperty(this, 'schemeColors', { get: schemeColors });
+            addButtons(this);
+            window.coolorus.theme.changed.add(drawIcons.bind(null, this));
+            if (!schemes.selectedItem) {
+                var saved = parseInt(Settings.getGlobal('picker.color_scheme')) || 0;
+                schemes.selectedIndex = saved < schemes.items.length ? saved : 0;
+                return;
+            }
+        }
+        baseHandleColorSchemeChange.call(this);
+        drawIcons(this);
+    };
+
+    Settings.getChangedSignal(TEMPLATES_SETTING).add(function() {
+        var wheel = window.coolorus.hueWheel;
+        if (wheel && wheel._templateButtons) rebuildButtons(wheel);
+        if (editor && editor.element.css('display') != 'none') showTemplate(Math.min(editor.index, getTemplates().length));
+    });
+
+    // ===========================================
+    // PART 4: EDITOR
+    // ===========================================
+    // editor.index is the template being edited; getTemplates().length stands for a new one.
+
+    var editor = null;
+
+    function createEditor() {
+        var element = jQuery('<div class="popup" id="schemetemplates"><div class="content">' +
+            '<ul class="controls"><li id="schemetemplates-close"></li></ul></div></div>');
+        var content = element.children('.content');
+        content.append(jQuery('<div class="schemetemplates-title" />').text(localize('schemetemplates_title')));
+        content.append(jQuery('<div class="schemetemplates-row" />')
+            .append(jQuery('<select id="schemetemplates_list" />'))
+            .append(jQuery('<button id="schemetemplates_delete" type="button" />').text(localize('schemetemplates_delete'))));
+        content.append(jQuery('<div class="schemetemplates-row" />')
+            .append(jQuery('<label for="schemetemplates_name" />').text(localize('schemetemplates_name')))
+            .append(jQuery('<input id="schemetemplates_name" type="text" data-part="template.name" />').attr('maxlength', MAX_NAME_LENGTH)));
+        var model = jQuery('<select id="schemetemplates_model" />');
+        for (var id in OFFSETS) model.append(jQuery('<option />').val(id).text(localize('schemetemplates_model_' + id)));
+        content.append(jQuery('<div class="schemetemplates-row" />')
+            .append(jQuery('<label for="schemetemplates_model" />').text(localize('schemetemplates_model')))
+            .append(model));
+        content.append(jQuery('<table id="schemetemplates_slots"><thead><tr><th></th><th></th><th></th><th></th></tr></thead><tbody></tbody></table>'));
+        content.append(jQuery('<div class="schemetemplates-row" />')
+            .append(jQuery('<button id="schemetemplates_add" type="button" />').text(localize('schemetemplates_add')))
+            .append(jQuery('<button id="schemetemplates_current" type="button" />').text(localize('schemetemplates_current'))
+                .attr('title', localize('schemetemplates_current_tooltip'))));
+        content.append(jQuery('<div id="schemetemplates_message" />'));
+        content.append(jQuery('<div class="schemetemplates-row" />')
+            .append(jQuery('<button id="schemetemplates_save" type="button" />').text(localize('schemetemplates_save'))
+                .attr('title', localize('schemetemplates_save_tooltip'))));
+        element.hide().appendTo('#content_container');
+
+        element.on('click', '#schemetemplates-close', function() {
+            element.hide();
+        });
+        element.on('change', '#schemetemplates_list', function() {
+            showTemplate(parseInt(this.value));
+        });
+        element.on('change', '#schemetemplates_model', function() {
+            showSlots(readForm().slots, this.value);
+        });
+        element.on('click', '#schemetemplates_add', function() {
+            var slots = readForm().slots;
+            if (slots.length < MAX_SLOTS) slots.push({ angle: 180 });
+            showSlots(slots, model.val());
+        });
+        element.on('click', '.schemetemplates-remove', function() {
+            var slots = readForm().slots;
+            slots.splice(parseInt(jQuery(this).closest('tr').attr('data-index')), 1);
+            showSlots(slots, model.val());
+        });
+        element.on('click', '#schemetemplates_current', copyCurrentScheme);
+        element.on('click', '#schemetemplates_delete', deleteTemplate);
+        element.on('click', '#schemetemplates_save', saveTemplate);
+        element.on('input', 'input', function() {
+            jQuery(this).removeClass('invalid');
+        });
+        return { element: element, index: 0 };
+    }
+
+    function openEditor() {
+        if (!editor) editor = createEditor();
+        editor.element.css('z-index', ++NEXT_POPUP_Z_INDEX).show();
+        showTemplate(0);
+    }
+
+    function showTemplate(index) {
+        var templates = getTemplates();
+        var template = templates[index] || { name: '', model: 'hsv', slots: [{ angle: 180 }] };
+        editor.index = Math.min(index, templates.length);
+        var list = editor.element.find('#schemetemplates_list').empty();
+        for (var i = 0; i < templates.length; ++i) list.append(jQuery('<option />').val(i).text(templates[i].name));
+        list.append(jQuery('<option />').val(templates.length).text(localize('schemetemplates_new')));
+        list.val(editor.index);
+        editor.element.find('#schemetemplates_delete').prop('disabled', editor.index == templates.length);
+        editor.element.find('#schemetemplates_name').val(template.name);
+        editor.element.find('#schemetemplates_model').val(template.model);
+        showSlots(template.slots, template.model);
+        showMessage(null);
+    }
+
+    function showSlots(slots, model) {
+        var header = editor.element.find('#schemetemplates_slots th');
+        header.eq(0).text(localize('schemetemplates_angle'));
+        header.eq(1).text(localize('schemetemplates_' + OFFSETS[model][0]));
+        header.eq(2).text(localize('schemetemplates_' + OFFSETS[model][1]));
+        var body = editor.element.find('#schemetemplates_slots tbody').empty();
+        for (var i = 0; i < slots.length; ++i) {
+            var part = 'template.slots[' + i + ']';
+            var row = jQuery('<tr />').attr('data-index', i);
+            row.append(jQuery('<td />').append(numberInput(part + '.angle', slots[i].angle)));
+            row.append(jQuery('<td />').append(numberInput(part + '.' + OFFSETS[model][0], slots[i][OFFSETS[model][0]])));
+            row.append(jQuery('<td />').append(numberInput(part + '.' + OFFSETS[model][1], slots[i][OFFSETS[model][1]])));
+            row.append(jQuery('<td />').append(jQuery('<button class="schemetemplates-remove" type="button">×</button>')
+                .attr('title', localize('schemetemplates_remove')).prop('disabled', slots.length == 1)));
+            body.append(row);
+        }
+        editor.element.find('#schemetemplates_add').prop('disabled', slots.length >= MAX_SLOTS);
+    }
+
+    function numberInput(part, value) {
+        return jQuery('<input type="text" />').attr('data-part', part).val(value || 0);
+    }
+
+    function readNumber(row, key) {
+        var input = row.find('input[data-part$=".' + key + '"]');
+        return input.length ? Number(input.val()) : undefined;
+    }
+
+    // The form as a template; offsets of the other model carry over when the model is switched
+    function readForm() {
+        var model = editor.element.find('#schemetemplates_model').val();
+        var slots = editor.element.find('#schemetemplates_slots tbody tr').map(function() {
+            var row = jQuery(this);
+            var slot = { angle: readNumber(row, 'angle') };
+            var keys = OFFSETS[model];
+            for (var other in OFFSETS) {
+                for (var i = 0; i < OFFSETS[other].length; ++i) {
+                    var value = readNumber(row, OFFSETS[other][i]);
+                    if (value !== undefined) slot[keys[i]] = value;
+                }
+            }
+            return slot;
+        }).get();
+        return { name: editor.element.find('#schemetemplates_name').val(), model: model, slots: slots };
+    }
+
+    function showMessage(message) {
+        editor.element.find('#schemetemplates_message').text(message || '').toggle(!!message);
+    }
+
+    // The angles of the satellites of the scheme on the wheel, relative to the main sampler
+    function copyCurrentScheme() {
+        var wheel = window.coolorus.hueWheel;
+        var scheme = wheel && wheel._scheme;
+        if (!scheme || !scheme.samplers.length) {
+            showMessage(localize('schemetemplates_noSatellites'));
+            return;
+        }
+        var main = wheel._mainSampler.data.angle;
+        var slots = scheme.samplers.slice(0, MAX_SLOTS).map(function(sampler) {
+            return { angle: Math.round(ExtMath.angleDifferenceDegrees(main, sampler.angle) * 10) / 10 };
+        });
+        showSlots(slots, editor.element.find('#schemetemplates_model').val());
+        showMessage(null);
+    }
+
+    function saveTemplate() {
+        var templates = getTemplates();
+        var template;
+        editor.element.find('input.invalid').removeClass('invalid');
+        try {
+            template = readTemplate(readForm(), 'template');
+        } catch (e) {
+            editor.element.find('input[data-part="' + e.part + '"]').addClass('invalid');
+            showMessage(localize('schemetemplates_invalid').split('%error%').join(e.message));
+            return;
+        }
+        if (editor.index >= MAX_TEMPLATES) {
+            showMessage(localize('schemetemplates_full').split('%max%').join(MAX_TEMPLATES));
+            return;
+        }
+        var index = editor.index;
+        templates[index] = template;
+        window.tracking.event('scheme templates', 'save ' + template.model + ' ' + template.slots.length);
+        setTemplates(templates);
+        var wheel = window.coolorus.hueWheel;
+        if (wheel) wheel._schemes.selectedIndex = BUILT_IN_SCHEMES + index;
+    }
+
+    function deleteTemplate() {
+        var templates = getTemplates();
+        if (editor.index >= templates.length) return;
+        templates.splice(editor.index, 1);
+        window.tracking.event('scheme templates', 'delete');
+        setTemplates(templates);
+    }
+
+    PhotoshopHostApp.registerMenuItem('schemeTemplates', openEditor);
+
+    // ===========================================
+    // PART 5: COOL FILE
+    // ===========================================
+
+    CoolFile.registerPart('schemeTemplates', {
+        write: getTemplates,
+        read: readTemplates,
+        apply: setTemplates
+    });
+
+    window.SchemeTemplates = {
+        MAX_TEMPLATES: MAX_TEMPLATES,
+        MAX_SLOTS: MAX_SLOTS,
+        TemplateScheme: TemplateScheme,
+        getTemplates: getTemplates,
+        setTemplates: setTemplates,
+        open: openEditor
+    };
+})();
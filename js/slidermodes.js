@@ -0,0 +1,316 @@
+// Slider Mode Registry for Coolorus
+// Lets addon files add their own color models to the slider modes, next to the built-in RGB / HSV / LAB /
+// CMYK / B/W ones. A mode only describes its channels and how to convert them; the panel creates the mode
+// button, stacks modes with CTRL-click, saves the selected modes and keeps the sliders in sync with the
+// active color like for the built-in modes.
+// SlidersPanel.registerMode(id, mode), mode being:
+// - label: text of the mode button
+// - channels: [{ key, name, min, max, unit }], one slider each; values are shown rounded to integers,
+//   so use display units (percent, degrees) rather than 0-1 ranges
+// - fromRgb(rgb, previous): channel values ({ key: value }) of an { r, g, b } (0-255) color. previous are
+//   the values shown so far, e.g. to keep the hue of grays
+// - toRgb(values): { r, g, b } (0-255) of the channel values
+// - gradient(key, values): optional, colors ({ r, g, b } or "#RRGGBB") drawn evenly spaced on the slider
+//   of channel key. By default the channel's range is sampled at the other channels' values
+// - inGamut(values): optional, false for values outside sRGB; these parts of the sliders are dimmed
+// - createRow(): optional, content (jQuery) of a row shown below the sliders while the mode is selected,
+//   for options of the mode. Labels and buttons in it are styled like the slider inputs
+// Must be loaded after main.js and before any addon that calls SlidersPanel.registerMode().
+
+(function() {
+    var BaseSlidersPanel = window.SlidersPanel;
+    if (typeof BaseSlidersPanel !== 'function' || typeof AbstractSlider !== 'function') return;
+
+    // Ids of the selected modes; replaces the index based "panels.sliders.selection"
+    var SELECTION_SETTING = 'panels.sliders.modes';
+    var GRADIENT_SAMPLES = 24;
+    var GAMUT_SAMPLES = 24;
+    var GAMUT_MASK = 'rgba(0,0,0,0.45)';
+
+    var modes = [];
+    var panels = [];
+
+    var style = document.getElementById('slidermodes_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'slidermodes_style';
+        style.innerHTML = '' +
+            '#sliders_bars li.slider-mode-row { display: flex; align-items: center; height: 16px; margin-top: 2px; font-size: 10px; color: #ccc; }' +
+            '.slider-mode-row button { margin-left: 4px; height: 14px; padding: 0 4px; background: #222; color: #ccc; border: 1px solid #000; font-size: 10px; line-height: 12px; cursor: pointer; outline: none; }' +
+            '.slider-mode-row button:hover { background: #333; }';
+        document.head.appendChild(style);
+    }
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    function hexOf(color) {
+        if (typeof color === 'string') return color.charAt(0) === '#' ? color : '#' + color;
+        var raw = ColorBase.prototype.assembleRaw(clamp(color.r, 0, 255), clamp(color.g, 0, 255), clamp(color.b, 0, 255));
+        return '#' + ((1 << 24) + raw).toString(16).slice(1);
+    }
+
+    // ===========================================
+    // PART 1: MODE COLOR
+    // ===========================================
+
+    // A color holding the channel values of a registered mode, converted through the mode like the
+    // LAB or CMYK colors of the built-in modes
+    function ModeColor(mode, values) {
+        ColorBase.call(this);
+        this.mode = mode;
+        this._values = values || sanitize(mode, mode.fromRgb({ r: 0, g: 0, b: 0 }, null), null);
+    }
+    ModeColor.prototype = Object.create(ColorBase.prototype);
+    ModeColor.prototype.constructor = ModeColor;
+
+    // Channels the conversion could not resolve (NaN hue of black, ...) keep their previous value
+    function sanitize(mode, values, previous) {
+        var result = {};
+        for (var i = 0; i < mode.channels.length; i++) {
+            var channel = mode.channels[i];
+            var value = values ? values[channel.key] : NaN;
+            if (!isFinite(value)) value = previous ? previous[channel.key] : channel.min;
+            result[channel.key] = clamp(value, channel.min, channel.max);
+        }
+        return result;
+    }
+
+    Object.defineProperty(ModeColor.prototype, 'values', {
+        get: function() {
+            return this._values;
+        }
+    });
+
+    ModeColor.prototype.getValue = function(key) {
+        return this._values[key];
+    };
+
+    ModeColor.prototype.setValue = function(key, value) {
+        if (this._values[key] == value) return;
+        this._values[key] = value;
+        this.componentChanged();
+    };
+
+    ModeColor.prototype.setValues = function(values) {
+        for (var key in this._values) {
+            if (this._values[key] != values[key]) {
+                this._values = sanitize(this.mode, values, this._values);
+                this.componentChanged();
+                return;
+            }
+        }
+    };
+
+    ModeColor.prototype.clone = function() {
+        var values = {};
+        for (var key in this._values) values[key] = this._values[key];
+        return new ModeColor(this.mode, values);
+    };
+
+    ModeColor.prototype.calculateRawColor = function() {
+        var rgb = this.mode.toRgb(this._values);
+        return this.assembleRaw(clamp(rgb.r, 0, 255), clamp(rgb.g, 0, 255), clamp(rgb.b, 0, 255));
+    };
+
+    ModeColor.prototype.updateComponents = function() {
+        var rgb = { r: this._raw >> 16 & 255, g: this._raw >> 8 & 255, b: this._raw & 255 };
+        this._values = sanitize(this.mode, this.mode.fromRgb(rgb, this._values), this._values);
+    };
+
+    // Re-derives the values from the current color, after the conversion of the mode changed
+    ModeColor.prototype.refresh = function() {
+        this._raw = this.rawColor;
+        this.updateComponents();
+    };
+
+    ModeColor.prototype.copyFrom = function(color, alpha) {
+        if (color instanceof ModeColor && color.mode === this.mode) {
+            if (alpha) this.alpha = color.alpha;
+            this.setValues(color.values);
+        } else {
+            ColorBase.prototype.copyFrom.call(this, color, alpha);
+        }
+    };
+
+    // ===========================================
+    // PART 2: CHANNEL SLIDER
+    // ===========================================
+
+    function ChannelSlider(color, channel) {
+        this._channel = channel;
+        AbstractSlider.call(this, (color.mode.id + '_' + channel.key).toUpperCase(), color, channel.name || channel.key, !0,
+            channel.unit || '', channel.min, channel.max);
+    }
+    ChannelSlider.prototype = Object.create(AbstractSlider.prototype);
+    ChannelSlider.prototype.constructor = ChannelSlider;
+
+    ChannelSlider.prototype.valueAt = function(percent) {
+        return this._channel.min + percent * (this._channel.max - this._channel.min);
+    };
+
+    ChannelSlider.prototype.valuesAt = function(percent) {
+        var values = {};
+        for (var key in this.color.values) values[key] = this.color.values[key];
+        values[this._channel.key] = this.valueAt(percent);
+        return values;
+    };
+
+    ChannelSlider.prototype.getColor = function(percent) {
+        var color = this.color.clone();
+        color.setValue(this._channel.key, this.valueAt(percent));
+        return color;
+    };
+
+    ChannelSlider.prototype.getFormattedValue = function() {
+        return Math.round(this.color.getValue(this._channel.key)).toString();
+    };
+
+    ChannelSlider.prototype.formattedValue2componentPercent = function(value) {
+        return (Number(value) - this._channel.min) / (this._channel.max - this._channel.min);
+    };
+
+    ChannelSlider.prototype.setColorComponentPercent = function(percent) {
+        this.color.setValue(this._channel.key, this.valueAt(percent));
+    };
+
+    ChannelSlider.prototype.getColorComponentPercent = function() {
+        return this.formattedValue2componentPercent(this.color.getValue(this._channel.key));
+    };
+
+    ChannelSlider.prototype.getGradient = function() {
+        var mode = this.color.mode;
+        var colors = mode.gradient ? mode.gradient(this._channel.key, this.color.values) : null;
+        if (!colors) {
+            colors = [];
+            for (var i = 0; i <= GRADIENT_SAMPLES; i++) colors.push(mode.toRgb(this.valuesAt(i / GRADIENT_SAMPLES)));
+        }
+        return colors.map(hexOf);
+    };
+
+    ChannelSlider.prototype.draw = function(graphics, width, height) {
+        graphics.clear();
+        if (this.isContinous()) this.drawGradient(graphics, width, height, this.getGradient());
+        else this.drawBlocks(graphics, width, height);
+        if (this.color.mode.inGamut) this.drawGamut(graphics, width, height);
+    };
+
+    // Dims the parts of the slider outside sRGB; edges between samples are refined so they stay sharp
+    ChannelSlider.prototype.drawGamut = function(graphics, width, height) {
+        var mode = this.color.mode;
+        var self = this;
+        function inGamut(percent) {
+            return !!mode.inGamut(self.valuesAt(percent));
+        }
+        function fill(from, to) {
+            graphics.beginFill(GAMUT_MASK).drawRect(Math.round(from * width), 0, Math.round((to - from) * width), height).endFill();
+        }
+
+        var previous = inGamut(0);
+        var start = 0;
+        for (var i = 1; i <= GAMUT_SAMPLES; i++) {
+            var current = inGamut(i / GAMUT_SAMPLES);
+            if (current === previous) continue;
+            var lo = (i - 1) / GAMUT_SAMPLES, hi = i / GAMUT_SAMPLES;
+            for (var j = 0; j < 8; j++) {
+                var mid = (lo + hi) / 2;
+                if (inGamut(mid) === previous) lo = mid;
+                else hi = mid;
+            }
+            if (current) fill(start, (lo + hi) / 2);
+            else start = (lo + hi) / 2;
+            previous = current;
+        }
+        if (!previous) fill(start, 1);
+    };
+
+    // ===========================================
+    // PART 3: SLIDERS PANEL
+    // ===========================================
+
+    function createButton(mode) {
+        if ($('#sliders_buttons_' + mode.id).length) return;
+        var item = jQuery('<li />').append(jQuery('<input type="button" />').attr('id', 'sliders_buttons_' + mode.id).val(mode.label));
+        // B/W stays the last button
+        var grayscale = $('#sliders_buttons_grayscale').parent();
+        if (grayscale.length) item.insertBefore(grayscale);
+        else $('#sliders_buttons').append(item);
+    }
+
+    function createSliders(mode) {
+        var color = new ModeColor(mode);
+        return mode.channels.map(function(channel) {
+            return new ChannelSlider(color, channel);
+        });
+    }
+
+    function SlidersPanel() {
+        // The base constructor saves its selection of built-in modes; read the saved one first
+        var saved = Settings.getGlobal(SELECTION_SETTING);
+        BaseSlidersPanel.call(this);
+        panels.push(this);
+
+        for (var i = 0; i < modes.length; i++) {
+            createButton(modes[i]);
+            this.initMode(modes[i].id, createSliders(modes[i]));
+        }
+        this._modesReady = true;
+
+        if (saved && Array.isArray(saved)) {
+            var indices = [];
+            var items = this._tabsSelection.items;
+            for (var j = 0; j < items.length; j++) {
+                if (saved.indexOf(items[j].trackingId) != -1) indices.push(j);
+            }
+            if (indices.length) this._tabsSelection.selectedIndices = indices;
+        }
+        this.updateTabs();
+    }
+    SlidersPanel.prototype = BaseSlidersPanel.prototype;
+
+    var baseUpdateTabs = SlidersPanel.prototype.updateTabs;
+    SlidersPanel.prototype.updateTabs = function(track) {
+        baseUpdateTabs.call(this, track);
+        if (!this._modesReady) return;
+        Settings.setGlobal(SELECTION_SETTING, this._tabsSelection.selectedItems.map(function(item) {
+            return item.trackingId;
+        }));
+    };
+
+    var baseSetSliders = SlidersPanel.prototype.setSliders;
+    SlidersPanel.prototype.setSliders = function(sliders) {
+        baseSetSliders.call(this, sliders);
+        var shown = [];
+        for (var i = 0; i < sliders.length; ++i) {
+            var mode = sliders[i] instanceof ChannelSlider ? sliders[i].color.mode : null;
+            if (!mode || !mode.createRow || shown.indexOf(mode) != -1) continue;
+            shown.push(mode);
+            this._slidersContainer.append(jQuery('<li class="slider-mode-row" />').append(mode.createRow()));
+            this.minimumSize.y += 18;
+        }
+        if (shown.length) this.minimumSizeChanged.dispatch();
+    };
+
+    // mode: see the header comment. The id names the button (#sliders_buttons_<id>) and the saved selection.
+    // Modes registered after the panel was created appear the next time the panel is created.
+    SlidersPanel.registerMode = function(id, mode) {
+        mode.id = id;
+        modes.push(mode);
+    };
+
+    // Re-derives the shown values of a mode from the current color and redraws its sliders, e.g. after
+    // an option of the mode changed its conversion
+    SlidersPanel.refreshMode = function(id) {
+        for (var i = 0; i < panels.length; i++) {
+            var sliders = panels[i]._sliders;
+            for (var j = 0; j < sliders.length; j++) {
+                if (!(sliders[j] instanceof ChannelSlider) || sliders[j].color.mode.id !== id) continue;
+                sliders[j].color.refresh();
+                sliders[j].changed.dispatch();
+            }
+        }
+    };
+
+    window.SlidersPanel = SlidersPanel;
+})();
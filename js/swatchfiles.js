@@ -0,0 +1,558 @@
+
+// Swatch Files for Coolorus
+// Loads Adobe Swatch Exchange (.ase) and Photoshop (.aco) files into the Swatches mixer and saves the
+// Swatches mixer back to them, through the mixer open / save buttons next to the .cool format.
+// ASE groups, RGB / CMYK / LAB / Gray entries and global / spot flags survive a round trip: every
+// imported cell keeps its swatch record until another color is dropped on it.
+// Other palette formats plug in through SwatchFiles.registerFormat() (see palettes.js).
+
+(function() {
+    if (typeof MixersPanel !== 'function' || typeof SwatchesMode !== 'function' || !PhotoshopHostApp.prototype.openFileDialog) return;
+
+    var SWATCH_TYPES = ['global', 'spot', 'process'];
+
+    // A swatch record:
+    // { name, group, model: 'RGB' | 'CMYK' | 'LAB' | 'Gray', values, type: 'global' | 'spot' | 'process' }
+    // values: RGB / CMYK / Gray 0-1, LAB as L 0-100 and a, b -128-127. Gray is the lightness (1 is white).
+
+    // ===========================================
+    // PART 1: BINARY I/O
+    // ===========================================
+
+    function Reader(bytes, format) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = 0;
+        this.format = format;
+    }
+
+    Reader.prototype = {
+        need: function(length) {
+            if (this.pos + length > this.bytes.length) throw new Error(this.format + ' file is truncated at byte ' + this.pos);
+        },
+        u16: function() {
+            this.need(2);
+            var value = this.view.getUint16(this.pos);
+            this.pos += 2;
+            return value;
+        },
+        s16: function() {
+            this.need(2);
+            var value = this.view.getInt16(this.pos);
+            this.pos += 2;
+            return value;
+        },
+        u32: function() {
+            this.need(4);
+            var value = this.view.getUint32(this.pos);
+            this.pos += 4;
+            return value;
+        },
+        f32: function() {
+            this.need(4);
+            var value = this.view.getFloat32(this.pos);
+            this.pos += 4;
+            return value;
+        },
+        ascii: function(length) {
+            this.need(length);
+            var value = String.fromCharCode.apply(null, this.bytes.subarray(this.pos, this.pos + length));
+            this.pos += length;
+            return value;
+        },
+        // UTF-16BE string of length code units, the last of which is usually the terminating zero
+        utf16: function(length) {
+            var chars = [];
+            for (var i = 0; i < length; i++) chars.push(this.u16());
+            while (chars.length && chars[chars.length - 1] === 0) chars.pop();
+            return String.fromCharCode.apply(null, chars);
+        }
+    };
+
+    function Writer() {
+        this.bytes = new Uint8Array(1024);
+        this.length = 0;
+    }
+
+    Writer.prototype = {
+        grow: function(length) {
+            if (this.length + length <= this.bytes.length) return;
+            var bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + length));
+            bytes.set(this.bytes);
+            this.bytes = bytes;
+        },
+        u16: function(value) {
+            this.grow(2);
+            new DataView(this.bytes.buffer).setUint16(this.length, value);
+            this.length += 2;
+        },
+        s16: function(value) {
+            this.grow(2);
+            new DataView(this.bytes.buffer).setInt16(this.length, value);
+            this.length += 2;
+        },
+        u32: function(value) {
+            this.grow(4);
+            new DataView(this.bytes.buffer).setUint32(this.length, value);
+            this.length += 4;
+        },
+        f32: function(value) {
+            this.grow(4);
+            new DataView(this.bytes.buffer).setFloat32(this.length, value);
+            this.length += 4;
+        },
+        f64: function(value) {
+            this.grow(8);
+            new DataView(this.bytes.buffer).setFloat64(this.length, value);
+            this.length += 8;
+        },
+        ascii: function(text) {
+            for (var i = 0; i < text.length; i++) {
+                this.grow(1);
+                this.bytes[this.length++] = text.charCodeAt(i);
+            }
+        },
+        utf16: function(text) {
+            for (var i = 0; i < text.length; i++) this.u16(text.charCodeAt(i));
+        },
+        result: function() {
+            return this.bytes.slice(0, this.length);
+        }
+    };
+
+    function clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    // ===========================================
+    // PART 2: ADOBE SWATCH EXCHANGE (.ase)
+    // ===========================================
+    // "ASEF", version 1.0, block count, then blocks of [type u16, length u32, data]:
+    // 0xC001 group start (name), 0xC002 group end, 0x0001 color (name, model, float values, type).
+
+    var ASE_GROUP_START = 0xC001;
+    var ASE_GROUP_END = 0xC002;
+    var ASE_COLOR = 0x0001;
+    var ASE_CHANNELS = { 'RGB ': 3, 'CMYK': 4, 'LAB ': 3, 'Gray': 1 };
+
+    function parseAse(bytes) {
+        var reader = new Reader(bytes, 'ASE');
+        if (reader.ascii(4) !== 'ASEF') throw new Error('Not an ASE file');
+        reader.u32(); // version
+        var count = reader.u32();
+        var swatches = [];
+        var group = '';
+        for (var i = 0; i < count && reader.pos < bytes.length; i++) {
+            var type = reader.u16();
+            var length = reader.u32();
+            var end = reader.pos + length;
+            if (type === ASE_GROUP_START) {
+                group = reader.utf16(reader.u16());
+            } else if (type === ASE_GROUP_END) {
+                group = '';
+            } else if (type === ASE_COLOR) {
+                var name = reader.utf16(reader.u16());
+                var model = reader.ascii(4);
+                if (!ASE_CHANNELS[model]) throw new Error('Unsupported ASE color model "' + model.trim() + '" in swatch "' + name + '"');
+                var values = [];
+                for (var c = 0; c < ASE_CHANNELS[model]; c++) values.push(reader.f32());
+                // ASE stores L as 0-1
+                if (model === 'LAB ') values[0] *= 100;
+                swatches.push({
+                    name: name,
+                    group: group,
+                    model: model.trim(),
+                    values: values,
+                    type: SWATCH_TYPES[reader.u16()] || 'process'
+                });
+            }
+            reader.pos = end;
+        }
+        return swatches;
+    }
+
+    function writeAseName(writer, name) {
+        writer.u16(name.length + 1);
+        writer.utf16(name);
+        writer.u16(0);
+    }
+
+    function writeAse(swatches) {
+        var blocks = new Writer();
+        var count = 0;
+        var group = '';
+        for (var i = 0; i < swatches.length; i++) {
+            var swatch = swatches[i];
+            if ((swatch.group || '') !== group) {
+                if (group) {
+                    blocks.u16(ASE_GROUP_END);
+                    blocks.u32(0);
+                    count++;
+                }
+                group = swatch.group || '';
+                if (group) {
+                    blocks.u16(ASE_GROUP_START);
+                    blocks.u32(2 + 2 * (group.length + 1));
+                    writeAseName(blocks, group);
+                    count++;
+                }
+            }
+            var model = swatch.model === 'Gray' ? 'Gray' : (swatch.model + '    ').slice(0, 4);
+            blocks.u16(ASE_COLOR);
+            blocks.u32(2 + 2 * (swatch.name.length + 1) + 4 + 4 * swatch.values.length + 2);
+            writeAseName(blocks, swatch.name);
+            blocks.ascii(model);
+            for (var c = 0; c < swatch.values.length; c++) blocks.f32(model === 'LAB ' && c === 0 ? swatch.values[c] / 100 : swatch.values[c]);
+            blocks.u16(Math.max(0, SWATCH_TYPES.indexOf(swatch.type || 'process')));
+            count++;
+        }
+        if (group) {
+            blocks.u16(ASE_GROUP_END);
+            blocks.u32(0);
+            count++;
+        }
+
+        var writer = new Writer();
+        writer.ascii('ASEF');
+        writer.u16(1);
+        writer.u16(0);
+        writer.u32(count);
+        var data = blocks.result();
+        writer.grow(data.length);
+        writer.bytes.set(data, writer.length);
+        writer.length += data.length;
+        return writer.result();
+    }
+
+    // ===========================================
+    // PART 3: PHOTOSHOP SWATCHES (.aco)
+    // ===========================================
+    // Version 1 (unnamed colors) followed by version 2 (the same colors with names).
+    // Each color is [space u16, w, x, y, z u16]. Spaces: 0 RGB, 1 HSB, 2 CMYK (0 = 100% ink),
+    // 7 Lab (L 0-10000, a/b signed x100), 8 Grayscale (0-10000 of black ink).
+
+    var ACO_RGB = 0;
+    var ACO_HSB = 1;
+    var ACO_CMYK = 2;
+    var ACO_LAB = 7;
+    var ACO_GRAY = 8;
+
+    function readAcoColor(reader, name) {
+        var space = reader.u16();
+        var w = reader.u16(), x = reader.u16(), y = reader.u16(), z = reader.u16();
+        switch (space) {
+            case ACO_RGB:
+                return { name: name, model: 'RGB', values: [w / 65535, x / 65535, y / 65535] };
+            case ACO_HSB:
+                var raw = new HSV(w / 65535 * 360, x / 65535, y / 65535).rawColor;
+                return { name: name, model: 'RGB', values: [(raw >> 16 & 255) / 255, (raw >> 8 & 255) / 255, (raw & 255) / 255] };
+            case ACO_CMYK:
+                return { name: name, model: 'CMYK', values: [1 - w / 65535, 1 - x / 65535, 1 - y / 65535, 1 - z / 65535] };
+            case ACO_LAB:
+                // a and b are signed
+                return { name: name, model: 'LAB', values: [w / 100, (x << 16 >> 16) / 100, (y << 16 >> 16) / 100] };
+            case ACO_GRAY:
+                return { name: name, model: 'Gray', values: [1 - w / 10000] };
+        }
+        throw new Error('Unsupported ACO color space ' + space);
+    }
+
+    function parseAco(bytes) {
+        var reader = new Reader(bytes, 'ACO');
+        var version = reader.u16();
+        if (version !== 1 && version !== 2) throw new Error('Not an ACO file');
+        var count = reader.u16();
+        var swatches = [];
+        var i;
+        if (version === 1) {
+            for (i = 0; i < count; i++) swatches.push(readAcoColor(reader, ''));
+            // The version 2 section with names is optional
+            if (reader.pos + 4 > bytes.length || reader.u16() !== 2) return nameUnnamed(swatches);
+            count = reader.u16();
+            swatches = [];
+        }
+        for (i = 0; i < count; i++) {
+            var color = readAcoColor(reader, '');
+            reader.u16(); // high word of the name length
+            color.name = reader.utf16(reader.u16());
+            swatches.push(color);
+        }
+        return nameUnnamed(swatches);
+    }
+
+    function nameUnnamed(swatches) {
+        for (var i = 0; i < swatches.length; i++) {
+            swatches[i].group = '';
+            swatches[i].type = 'process';
+            if (!swatches[i].name) swatches[i].name = '#' + hexFromSwatch(swatches[i]);
+        }
+        return swatches;
+    }
+
+    function writeAcoColor(writer, swatch) {
+        var v = swatch.values;
+        switch (swatch.model) {
+            case 'CMYK':
+                writer.u16(ACO_CMYK);
+                for (var i = 0; i < 4; i++) writer.u16(Math.round((1 - clamp(v[i], 0, 1)) * 65535));
+                return;
+            case 'LAB':
+                writer.u16(ACO_LAB);
+                writer.u16(Math.round(clamp(v[0], 0, 100) * 100));
+                writer.s16(Math.round(clamp(v[1], -128, 127) * 100));
+                writer.s16(Math.round(clamp(v[2], -128, 127) * 100));
+                writer.u16(0);
+                return;
+            case 'Gray':
+                writer.u16(ACO_GRAY);
+                writer.u16(Math.round((1 - clamp(v[0], 0, 1)) * 10000));
+                writer.u16(0), writer.u16(0), writer.u16(0);
+                return;
+        }
+        writer.u16(ACO_RGB);
+        for (var c = 0; c < 3; c++) writer.u16(Math.round(clamp(v[c], 0, 1) * 65535));
+        writer.u16(0);
+    }
+
+    function writeAco(swatches) {
+        var writer = new Writer();
+        var i;
+        writer.u16(1);
+        writer.u16(swatches.length);
+        for (i = 0; i < swatches.length; i++) writeAcoColor(writer, swatches[i]);
+        writer.u16(2);
+        writer.u16(swatches.length);
+        for (i = 0; i < swatches.length; i++) {
+            writeAcoColor(writer, swatches[i]);
+            writer.u32(swatches[i].name.length + 1);
+            writer.utf16(swatches[i].name);
+            writer.u16(0);
+        }
+        return writer.result();
+    }
+
+    // ===========================================
+    // PART 4: SWATCH <-> COLOR
+    // ===========================================
+
+    // CMYK goes through the CMYK class, and with it the ICC profile chosen in the CMYK sliders (cmyk.js).
+    // LAB is D50, as in ASE and ACO files.
+    function rawFromSwatch(swatch) {
+        var v = swatch.values, rgb;
+        switch (swatch.model) {
+            case 'CMYK':
+                return new CMYK(clamp(v[0], 0, 1), clamp(v[1], 0, 1), clamp(v[2], 0, 1), clamp(v[3], 0, 1)).rawColor;
+            case 'LAB':
+                rgb = Icc.xyzToSrgb(Icc.labToXyz(v));
+                break;
+            case 'Gray':
+                rgb = [255 * v[0], 255 * v[0], 255 * v[0]];
+                break;
+            default:
+                rgb = [255 * v[0], 255 * v[1], 255 * v[2]];
+        }
+        return Math.round(clamp(rgb[0], 0, 255)) << 16 | Math.round(clamp(rgb[1], 0, 255)) << 8 | Math.round(clamp(rgb[2], 0, 255));
+    }
+
+    function hexFromSwatch(swatch) {
+        return ((1 << 24) + rawFromSwatch(swatch)).toString(16).slice(1).toUpperCase();
+    }
+
+    function swatchFromColor(color) {
+        var raw = color.rawColor;
+        return {
+            name: '#' + color.hex.toUpperCase(),
+            group: '',
+            model: 'RGB',
+            values: [(raw >> 16 & 255) / 255, (raw >> 8 & 255) / 255, (raw & 255) / 255],
+            type: 'process'
+        };
+    }
+
+    // ===========================================
+    // PART 5: FORMAT REGISTRY
+    // ===========================================
+    // A palette format: { id, extensions: ['gpl'], read: function(bytes) -> swatches or { name, swatches },
+    //                     write: function(swatches, name) -> Uint8Array or string }
+    // read() throws an Error describing what is wrong with the file. name is the palette name, if any.
+    // The first format registered for an extension wins; .cool stays with the mixer serialization.
+
+    var formats = [];
+
+    function registerFormat(format) {
+        formats.push(format);
+    }
+
+    function formatForPath(path) {
+        var extension = extensionOf(path);
+        for (var i = 0; i < formats.length; i++) {
+            if (formats[i].extensions.indexOf(extension) >= 0) return formats[i];
+        }
+        return null;
+    }
+
+    function formatExtensions() {
+        var extensions = [];
+        for (var i = 0; i < formats.length; i++) {
+            for (var j = 0; j < formats[i].extensions.length; j++) {
+                if (extensions.indexOf(formats[i].extensions[j]) < 0) extensions.push(formats[i].extensions[j]);
+            }
+        }
+        return extensions;
+    }
+
+    function extensionOf(path) {
+        var match = /\.([^.\/\\]+)$/.exec(path || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    // UTF-8 (with or without BOM), falling back to Latin-1 for legacy files
+    function decodeText(bytes) {
+        var binary = '';
+        for (var i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        try {
+            binary = decodeURIComponent(escape(binary));
+        } catch (e) {}
+        return binary.replace(/^\uFEFF/, '');
+    }
+
+    registerFormat({ id: 'ase', extensions: ['ase'], read: parseAse, write: writeAse });
+    registerFormat({ id: 'aco', extensions: ['aco'], read: parseAco, write: writeAco });
+
+    // ===========================================
+    // PART 6: SWATCHES MIXER
+    // ===========================================
+    // Imported cells are RGB colors carrying their swatch record in "swatch". Dropping a color on a
+    // cell replaces it with a clone, which drops the record, so the cell is saved as a plain RGB swatch.
+    // The palette name of the last imported file is kept for formats that store one.
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    SwatchesMode.prototype.getSwatches = function() {
+        var swatches = [];
+        for (var i = 0; i < this._data.length && i < this.num; ++i) {
+            var color = this._data[i];
+            if (color) swatches.push(color.swatch || swatchFromColor(color));
+        }
+        return swatches;
+    };
+
+    // Returns the number of swatches that did not fit into the mixer
+    SwatchesMode.prototype.setSwatches = function(swatches, name) {
+        this._data = [];
+        this.paletteName = name || '';
+        for (var i = 0; i < swatches.length && i < this.maxNum; ++i) {
+            var color = RGB.fromRawColor(rawFromSwatch(swatches[i]));
+            color.swatch = swatches[i];
+            this._data.push(color);
+        }
+        this.num = Math.max(this.num, this._data.length);
+        this.changed.dispatch();
+        return Math.max(0, swatches.length - this.maxNum);
+    };
+
+    MixersPanel.prototype.getSwatchesMode = function() {
+        var modes = this._tabs.getAllModes();
+        for (var i = 0; i < modes.length; ++i) {
+            if (modes[i] instanceof SwatchesMode) return modes[i];
+        }
+        return null;
+    };
+
+    // Turns the Swatches mixer on so imported swatches are visible
+    MixersPanel.prototype.showSwatchesMode = function() {
+        var items = this._tabs._modesSelection.items;
+        var indices = this._tabs.getSelectedIndices().slice();
+        for (var i = 0; i < items.length; ++i) {
+            if (items[i].mode instanceof SwatchesMode && indices.indexOf(i) < 0) {
+                indices.push(i);
+                this._tabs.setSelectedIndices(indices);
+            }
+        }
+    };
+
+    // The file name without its extension, as the palette name for formats without one
+    function baseName(path) {
+        return path.replace(/^.*[\/\\]/, '').replace(/\.[^.]*$/, '');
+    }
+
+    MixersPanel.prototype.loadFromFile = function() {
+        var host = window.coolorus.host;
+        if (CONFIG_WEB_PREVIEW) {
+            host.alert(localize('error_optionNotAvailable'));
+            return;
+        }
+        var path = host.openFileDialog('Open mixer', ['cool'].concat(formatExtensions()), this.loadFromFile.bind(this));
+        if (!path) return;
+        var format = formatForPath(path);
+        if (!format) {
+            window.tracking.event('mixers', 'load');
+            try {
+                this.importModes(host.readTextFile(path), true);
+            } catch (e) {
+                // Errors of the .cool v2 loader name the broken part of the file (see coolfile.js)
+                host.alert(e.part ? localize('coolfile_invalid').split('%part%').join(e.part).split('%error%').join(e.message) : localize('error_unknownFileFormat'));
+            }
+            return;
+        }
+
+        window.tracking.event('mixers', 'load ' + format.id);
+        var palette;
+        try {
+            var bytes = host.readBinaryFile(path);
+            if (!bytes) throw new Error(path);
+            palette = format.read(bytes);
+        } catch (e) {
+            host.alert(localize('swatches_invalidFile').split('%error%').join(e.message));
+            return;
+        }
+        var swatches = palette.swatches || palette;
+        var skipped = this.getSwatchesMode().setSwatches(swatches, palette.name || baseName(path));
+        this.showSwatchesMode();
+        this.saveState();
+        if (skipped) host.alert(localize('swatches_tooMany').split('%count%').join(skipped));
+    };
+
+    MixersPanel.prototype.saveToFile = function() {
+        var host = window.coolorus.host;
+        if (CONFIG_WEB_PREVIEW) {
+            host.alert(localize('error_optionNotAvailable'));
+            return;
+        }
+        var path = host.saveFileDialog('Save mixer', ['cool'].concat(formatExtensions()));
+        if (!path) return;
+        var format = formatForPath(path);
+        if (!format) {
+            window.tracking.event('mixers', 'save');
+            host.writeFile(path, this.serializeModes(true));
+            return;
+        }
+
+        var swatchesMode = this.getSwatchesMode();
+        var swatches = swatchesMode.getSwatches();
+        if (!swatches.length) {
+            host.alert(localize('swatches_empty'));
+            return;
+        }
+        window.tracking.event('mixers', 'save ' + format.id);
+        host.writeFile(path, format.write(swatches, swatchesMode.paletteName || baseName(path)));
+    };
+
+    window.SwatchFiles = {
+        registerFormat: registerFormat,
+        formatForPath: formatForPath,
+        decodeText: decodeText,
+        parseAse: parseAse,
+        writeAse: writeAse,
+        parseAco: parseAco,
+        writeAco: writeAco,
+        rawFromSwatch: rawFromSwatch,
+        swatchFromColor: swatchFromColor,
+        // Big-endian binary writer for other Adobe formats (gradientmixer.js)
+        Writer: Writer
+    };
+})();
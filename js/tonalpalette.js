@@ -0,0 +1,142 @@
+
+// Tonal Palette Mixer for Coolorus
+// Material tonal palette of the sampled color (tones 0, 10, ..., 90, 95, 99, 100), plus the derived
+// secondary / tertiary / neutral / neutral variant palettes. Uses the HCT solver exposed by hct.js.
+
+(function() {
+    if (typeof AbstractMixerBar !== 'function' || !window.Hct || !window.MixerTabs || !MixerTabs.registerMode) return;
+
+    var MODE_ID = 'tonalpalette';
+    var PALETTES = ['primary', 'secondary', 'tertiary', 'neutral', 'neutralVariant'];
+    var PALETTE_LABELS = { primary: 'P', secondary: 'S', tertiary: 'T', neutral: 'N', neutralVariant: 'NV' };
+
+    var style = document.getElementById('tonalpalette_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'tonalpalette_style';
+        style.innerHTML = '' +
+            '.mixer-tonal-palettes { position: absolute; top: 0; left: calc(50% + 10px); font-size: 9px; line-height: 10px; white-space: nowrap; }' +
+            '.mixer-tonal-palette { display: inline-block; padding: 0 2px; cursor: pointer; opacity: .5; }' +
+            '.mixer-tonal-palette:hover { opacity: .8; }' +
+            '.mixer-tonal-palette.active { opacity: 1; color: #fff; }';
+        document.head.appendChild(style);
+    }
+
+    function TonalPaletteMode() {
+        this._seedColor = RGB.fromRawColor(15616528);
+        this._palette = PALETTES[0];
+        this._tones = [];
+        this.updateTones();
+        AbstractMixerBar.call(this, MODE_ID, true);
+
+        var buttons = jQuery('<div class="mixer-tonal-palettes" />');
+        for (var i = 0; i < PALETTES.length; i++) {
+            buttons.append('<span class="mixer-tonal-palette" data-palette="' + PALETTES[i] + '" title="' +
+                window.coolorus.getLocalizedString('tonalpalette_' + PALETTES[i]) + '">' + PALETTE_LABELS[PALETTES[i]] + '</span>');
+        }
+        this.viewHTML.find('#mixers_' + MODE_ID + '_title').append(buttons);
+        // viewHTML is detached with jQuery.empty() when the mixer selection changes, so delegate like initNumButtons does
+        $(document).on('click', '#mixers_' + MODE_ID + '_title .mixer-tonal-palette', this.handlePaletteClick.bind(this));
+        this.updatePaletteButtons();
+    }
+
+    TonalPaletteMode.prototype = Object.create(AbstractMixerBar.prototype);
+    TonalPaletteMode.prototype.constructor = TonalPaletteMode;
+
+    // One block per tone stop; the +/- config buttons do not apply.
+    Object.defineProperty(TonalPaletteMode.prototype, 'num', {
+        get: function() {
+            return Hct.PALETTE_TONES.length;
+        },
+        set: function(value) {}
+    });
+
+    TonalPaletteMode.prototype.isContinous = function() {
+        return false;
+    };
+
+    TonalPaletteMode.prototype.handleConfigModeChanged = function() {
+        AbstractMixerBar.prototype.handleConfigModeChanged.call(this);
+        $('#mixer_' + this.id + '_config_buttons').hide();
+    };
+
+    TonalPaletteMode.prototype.getColor = function(t) {
+        var index = Math.max(0, Math.min(Math.floor(t * this.num), this.num - 1));
+        return this._tones[index] ? this._tones[index].clone() : null;
+    };
+
+    TonalPaletteMode.prototype.draw = function(g, width, height) {
+        g.clear();
+        g.setStrokeStyle(0, 0, 0);
+        this.drawBlocks(g, width, height);
+    };
+
+    TonalPaletteMode.prototype.updateTones = function() {
+        var argb = this._seedColor.rawColor & 0xFFFFFF;
+        var palette;
+        if (this._palette === 'primary') {
+            // The color's own hue/chroma, not the CorePalette primary (which lifts chroma to 48)
+            var hct = Hct.fromInt(argb);
+            palette = Hct.tonalPalette(hct.h, hct.c);
+        } else {
+            palette = Hct.corePalette(argb)[this._palette];
+        }
+        this._tones = [];
+        for (var i = 0; i < Hct.PALETTE_TONES.length; i++) {
+            this._tones.push(RGB.fromRawColor(palette.tone(Hct.PALETTE_TONES[i])));
+        }
+    };
+
+    TonalPaletteMode.prototype.setPalette = function(palette) {
+        if (PALETTES.indexOf(palette) < 0 || palette === this._palette) return;
+        this._palette = palette;
+        this.updateTones();
+        this.updatePaletteButtons();
+        this.changed.dispatch();
+    };
+
+    TonalPaletteMode.prototype.updatePaletteButtons = function() {
+        var palette = this._palette;
+        this.viewHTML.find('.mixer-tonal-palette').each(function() {
+            $(this).toggleClass('active', $(this).attr('data-palette') === palette);
+        });
+    };
+
+    TonalPaletteMode.prototype.handlePaletteClick = function(e) {
+        if (Settings.getGlobal(Settings.CONFIGURATION_MODE)) return;
+        this.setPalette($(e.currentTarget).attr('data-palette'));
+        window.tracking.event('mixers', MODE_ID + ' palette: ' + this._palette);
+    };
+
+    TonalPaletteMode.prototype.sample = function() {
+        this._seedColor.copyFrom(window.coolorus.output.activeColor);
+        this.updateTones();
+        this.changed.dispatch();
+    };
+
+    TonalPaletteMode.prototype.handleColorDrop = function(color, percent) {
+        AbstractMixerBar.prototype.handleColorDrop.call(this, color, percent);
+        this._seedColor.copyFrom(color);
+        this.updateTones();
+        this.changed.dispatch();
+    };
+
+    TonalPaletteMode.prototype.serialize = function() {
+        return ['tonal-palette-0', AbstractMixerBar.prototype.serialize.call(this), [this._seedColor.hex, this._palette].join(',')].join(':');
+    };
+
+    TonalPaletteMode.prototype.deserialize = function(data) {
+        var parts = data.split(':');
+        if (parts[0] !== 'tonal-palette-0') return;
+        AbstractMixerBar.prototype.deserialize.call(this, parts[1]);
+        var values = (parts[2] || '').split(',');
+        if (values[0]) this._seedColor.rawColor = parseInt('0x' + values[0]);
+        if (PALETTES.indexOf(values[1]) >= 0) this._palette = values[1];
+        this.updateTones();
+        this.updatePaletteButtons();
+        this.changed.dispatch();
+    };
+
+    window.TonalPaletteMode = TonalPaletteMode;
+    MixerTabs.registerMode(function() { return new TonalPaletteMode(); });
+})();
@@ -0,0 +1,324 @@
+// Undo / Redo for Coolorus
+// Steps back and forth through the changes made in the panel: the output colors (wheel, sliders, hex and
+// HCT inputs, mixers, swaps), the gamut mask (shape, edits, on / off, lightness color), the color scheme
+// of the wheel (scheme and its angle) and the mixers (colors, selected tabs, settings).
+// The panel state is compared after every gesture: once the mouse button is up, or after a change made
+// with the keyboard. All that changed in between is one step, so a drag on the wheel or a slider is
+// undone at once, together with what it changed in auto-sampling mixers. Colors reported by the host
+// application are no steps; they become the state the next step starts from.
+// Ctrl+Z / Cmd+Z undoes and Ctrl+Shift+Z / Cmd+Shift+Z or Ctrl+Y redoes, outside text fields and while
+// hotkeys are on; the buttons next to the output swatches do the same. MAX_STEPS steps are kept.
+// Must be loaded after main.js, output.js and coolfile.js.
+
+(function() {
+    var BaseColorOutput = window.ColorOutput;
+    if (typeof BaseColorOutput !== 'function' || typeof Picker !== 'function' || !window.CoolFile || !CoolFile.applyGamutMask) return;
+
+    var MAX_STEPS = 100;
+    // Drawn in order; the mixers come last as they may sample the others
+    var PARTS = ['color', 'scheme', 'gamutMask', 'mixers'];
+    var Z_KEY = 90, Y_KEY = 89;
+    // Key codes of CEP's registerKeyEventsInterest(), which keeps these shortcuts from the host application
+    var KEY_EVENTS = [
+        { keyCode: Z_KEY, ctrlKey: true }, { keyCode: Z_KEY, ctrlKey: true, shiftKey: true }, { keyCode: Y_KEY, ctrlKey: true },
+        { keyCode: 6, metaKey: true }, { keyCode: 6, metaKey: true, shiftKey: true }
+    ];
+
+    var style = document.getElementById('undo_style');
+    if (!style) {
+        style = document.createElement('style');
+        style.id = 'undo_style';
+        style.innerHTML = '' +
+            '#undoContainer { position: absolute; z-index: 1; display: none; -webkit-transform-origin: 0 0; }' +
+            '#undoContainer button { width: 16px; height: 14px; padding: 0; margin-right: 2px; font-size: 10px; line-height: 12px; }' +
+            '#undoContainer button:disabled { opacity: .3; }';
+        document.head.appendChild(style);
+    }
+
+    function localize(key) {
+        return window.coolorus.getLocalizedString(key);
+    }
+
+    // ===========================================
+    // PART 1: PANEL STATE
+    // ===========================================
+    // Every part reads as a JSON value (null while the panel is not set up) and is drawn from one.
+
+    var parts = {
+        color: {
+            read: function() {
+                var output = window.coolorus.output;
+                var host = output && output.host;
+                if (!host) return null;
+                return {
+                    foreground: [host.foregroundColor.h, host.foregroundColor.s, host.foregroundColor.v],
+                    background: [host.backgroundColor.h, host.backgroundColor.s, host.backgroundColor.v]
+                };
+            },
+            // The inactive color is set first; committing the active one sends both to the host
+            draw: function(value) {
+                var output = window.coolorus.output;
+                var primary = output.activePrimary;
+                var active = primary ? value.foreground : value.background;
+                var inactive = primary ? value.background : value.foreground;
+                (primary ? output.newBackground : output.newForeground).setComponents(inactive[0], inactive[1], inactive[2]);
+                output.setColor({ h: active[0], s: active[1], v: active[2] }, { commit: true, origin: 'undo' });
+            }
+        },
+        scheme: {
+            read: function() {
+                var wheel = window.coolorus.hueWheel;
+                var scheme = wheel && wheel._scheme;
+                if (!scheme) return null;
+                return { index: wheel._schemes.selectedIndex, angle: scheme instanceof AngleBasedScheme ? scheme.angle : null };
+            },
+            draw: function(value) {
+                var wheel = window.coolorus.hueWheel;
+                if (wheel._schemes.selectedIndex != value.index && value.index < wheel._schemes.items.length) wheel._schemes.selectedIndex = value.index;
+                var scheme = wheel._scheme;
+                if (value.angle !== null && scheme instanceof AngleBasedScheme) {
+                    scheme.angle = value.angle;
+                    scheme.samplerChanged(scheme.mainSampler);
+                }
+                window.coolorus.redraw();
+            }
+        },
+        // As "gamutMask" of .cool files, with the shape of every mask
+        gamutMask: {
+            read: function() {
+                var picker = window.coolorus.picker;
+                var panel = picker && picker._gamutMask;
+                if (!panel || !panel._masks) return null;
+                var masks = {};
+                for (var i = 0; i < panel._masks.items.length; ++i) {
+                    var mask = panel._masks.items[i].data;
+                    masks[mask.id] = mask.state;
+                }
+                return {
+                    enabled: !!Settings.getGlobal('gamut_mask'),
+                    selected: panel._masks.selectedIndex,
+                    color: GamutMaskPanel.COLOR.rawColor & 0xFFFFFF,
+                    masks: masks
+                };
+            },
+            draw: function(value) {
+                CoolFile.applyGamutMask(value);
+                window.coolorus.redraw();
+            }
+        },
+        // The state MixersPanel saves after every change of a mixer
+        mixers: {
+            read: function() {
+                var mixers = window.coolorus.panels && window.coolorus.panels.mixers;
+                return mixers ? mixers.serializeModes(false) : null;
+            },
+            draw: function(value) {
+                window.coolorus.panels.mixers.importModes(value, false);
+            }
+        }
+    };
+
+    function readState() {
+        var state = {};
+        for (var i = 0; i < PARTS.length; i++) state[PARTS[i]] = JSON.stringify(parts[PARTS[i]].read());
+        return state;
+    }
+
+    function drawState(state) {
+        for (var i = 0; i < PARTS.length; i++) {
+            var name = PARTS[i];
+            var value = state.hasOwnProperty(name) ? JSON.parse(state[name]) : null;
+            if (value !== null) parts[name].draw(value);
+        }
+    }
+
+    // ===========================================
+    // PART 2: STEPS
+    // ===========================================
+    // A step is { before, after }, each with the parts that changed as JSON text.
+    // Until the first mouse button or key press, changes are the panel setting itself up.
+
+    var undoSteps = [];
+    var redoSteps = [];
+    var current = null;
+    var started = false;
+    var mouseDown = false;
+    var hostChanged = false;
+    var drawing = false;
+    var timer = null;
+    var changed = new signals.Signal();
+
+    function checkpoint() {
+        clearTimeout(timer);
+        timer = null;
+        if (drawing) return;
+        var state = readState();
+        if (!current || !started || hostChanged) {
+            current = state;
+            hostChanged = false;
+            return;
+        }
+        var step = { before: {}, after: {} };
+        var any = false;
+        for (var i = 0; i < PARTS.length; i++) {
+            var name = PARTS[i];
+            if (state[name] === current[name] || current[name] === 'null') continue;
+            step.before[name] = current[name];
+            step.after[name] = state[name];
+            any = true;
+        }
+        current = state;
+        if (!any) return;
+        undoSteps.push(step);
+        if (undoSteps.length > MAX_STEPS) undoSteps.shift();
+        redoSteps = [];
+        changed.dispatch();
+    }
+
+    // Waits for the end of the gesture
+    function scheduleCheckpoint() {
+        if (drawing || mouseDown || timer !== null) return;
+        timer = setTimeout(checkpoint, 0);
+    }
+
+    function draw(state) {
+        checkpoint();
+        drawing = true;
+        try {
+            drawState(state);
+        } finally {
+            drawing = false;
+            clearTimeout(timer);
+            timer = null;
+            current = readState();
+            changed.dispatch();
+        }
+    }
+
+    function undo() {
+        checkpoint();
+        var step = undoSteps.pop();
+        if (!step) return;
+        window.tracking.event('undo', 'undo ' + Object.keys(step.before).join(' '));
+        redoSteps.push(step);
+        draw(step.before);
+    }
+
+    function redo() {
+        checkpoint();
+        var step = redoSteps.pop();
+        if (!step) return;
+        window.tracking.event('undo', 'redo ' + Object.keys(step.after).join(' '));
+        undoSteps.push(step);
+        draw(step.after);
+    }
+
+    // ===========================================
+    // PART 3: CHANGES
+    // ===========================================
+
+    function handleColorChange(event) {
+        if (!event.committed || event.origin === 'undo') return;
+        if (event.origin === 'host') hostChanged = true;
+        scheduleCheckpoint();
+    }
+
+    // The output of main.js' Picker, with output.js' colorChanged
+    function ColorOutput(host) {
+        BaseColorOutput.call(this, host);
+        this.colorChanged.add(handleColorChange);
+    }
+    ColorOutput.prototype = BaseColorOutput.prototype;
+    window.ColorOutput = ColorOutput;
+
+    // Mixer, gamut mask and scheme changes are all saved to the settings
+    Settings.getChangedSignal(null).add(scheduleCheckpoint);
+
+    document.addEventListener('mousedown', function() {
+        started = true;
+        mouseDown = true;
+    }, true);
+    window.addEventListener('mouseup', function() {
+        mouseDown = false;
+        scheduleCheckpoint();
+    }, true);
+    // A button released outside the panel
+    document.addEventListener('mousemove', function(event) {
+        if (mouseDown && event.buttons === 0) {
+            mouseDown = false;
+            scheduleCheckpoint();
+        }
+    }, true);
+    document.addEventListener('keyup', function() {
+        scheduleCheckpoint();
+    }, true);
+
+    // ===========================================
+    // PART 4: SHORTCUTS AND BUTTONS
+    // ===========================================
+
+    function isTextField(element) {
+        var tag = element && element.tagName ? element.tagName.toLowerCase() : '';
+        return tag == 'textarea' || tag == 'input' && (element.type || 'text').toLowerCase() == 'text';
+    }
+
+    document.addEventListener('keydown', function(event) {
+        started = true;
+        if (!(event.ctrlKey || event.metaKey) || event.altKey || isTextField(document.activeElement)) return;
+        if (Settings.getGlobal(Settings.HOTKEYS) === false) return;
+        var key = event.keyCode;
+        if (key == Z_KEY && !event.shiftKey) undo();
+        else if (key == Z_KEY || key == Y_KEY && !event.shiftKey) redo();
+        else return;
+        event.preventDefault();
+    });
+
+    if (window.__adobe_cep__ && window.__adobe_cep__.registerKeyEventsInterest) {
+        window.__adobe_cep__.registerKeyEventsInterest(JSON.stringify(KEY_EVENTS));
+    }
+
+    var container = null;
+
+    function createButtons() {
+        container = jQuery('<div id="undoContainer" />')
+            .append(jQuery('<button id="undo_undo" type="button">↶</button>').attr('title', localize('undo_undo')))
+            .append(jQuery('<button id="undo_redo" type="button">↷</button>').attr('title', localize('undo_redo')))
+            .appendTo('#picker');
+        container.on('click', '#undo_undo', undo);
+        container.on('click', '#undo_redo', redo);
+        changed.add(updateButtons);
+        updateButtons();
+    }
+
+    function updateButtons() {
+        container.find('#undo_undo').prop('disabled', !undoSteps.length);
+        container.find('#undo_redo').prop('disabled', !redoSteps.length);
+    }
+
+    // Right of the swap button of the output, scaled like the hex input
+    var baseUpdateHexInput = Picker.prototype.updateHexInput;
+    Picker.prototype.updateHexInput = function() {
+        baseUpdateHexInput.call(this);
+        if (!container) createButtons();
+        if (Settings.getGlobal(Settings.CONFIGURATION_MODE)) {
+            container.hide();
+            return;
+        }
+        var scale = Math.min(this._scale / 2.3, 1);
+        container.css({
+            left: this.view.x + 31 * this._scale + 'px',
+            top: this.view.y + 1.5 * this._scale + 'px',
+            '-webkit-transform': 'scale(' + scale + ')'
+        }).show();
+    };
+
+    window.PanelUndo = {
+        MAX_STEPS: MAX_STEPS,
+        changed: changed,
+        undo: undo,
+        redo: redo,
+        canUndo: function() { return undoSteps.length > 0; },
+        canRedo: function() { return redoSteps.length > 0; },
+        checkpoint: checkpoint
+    };
+})();
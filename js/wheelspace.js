@@ -0,0 +1,54 @@
+
+// Perceptual Hue Wheel for Coolorus
+// A third wheel color space next to RYB and RGB: wheel angles follow the HCT (CAM16) hue of each
+// fully saturated color instead of the HSV hue, so scheme angles (complement, triad, ...) land on
+// perceptually opposite hues and the 12/16/24 step wheels are perceptually even.
+// The wheel space button cycles RYB -> RGB -> HCT; the choice is stored in "picker.color_space" (2).
+
+(function() {
+    if (!window.ColorEngine || typeof Picker !== 'function' || typeof SelectableButton !== 'function') return;
+
+    // The hue tables and the angle <-> hue mapping are ColorEngine.PerceptualWheelColorSpace
+
+    function PerceptualWheelColorSpace() {
+        this.trackingId = 'HCT', this.toolTipData = window.coolorus.getLocalizedString('space_hct');
+    }
+
+    PerceptualWheelColorSpace.prototype = Object.create(ColorEngine.PerceptualWheelColorSpace.prototype);
+    PerceptualWheelColorSpace.prototype.constructor = PerceptualWheelColorSpace;
+
+    // --- Picker ---
+    // main.js creates the RYB and RGB buttons in the Picker constructor and then restores
+    // "picker.color_space", which is where the first selection change arrives. The HCT button is
+    // added at that point, before a saved index of 2 is resolved.
+
+    var baseHandleWheelColorSpaceChange = Picker.prototype.handleWheelColorSpaceChange;
+    Picker.prototype.handleWheelColorSpaceChange = function() {
+        var spaces = this._wheelColorSpaces;
+        if (!this._perceptualWheelSpace) {
+            this._perceptualWheelSpace = spaces.add(new SelectableButton(new SmartButton(6.6, 79, this.view), new PerceptualWheelColorSpace));
+            // The background only draws RYB and RGB icons; label the RGB icon while HCT is active
+            this._perceptualWheelLabel = new createjs.Text('HCT', '3px CoolFont', '#fff');
+            this._perceptualWheelLabel.textAlign = 'center';
+            this._perceptualWheelLabel.textBaseline = 'middle';
+            this._perceptualWheelLabel.x = 6.6;
+            this._perceptualWheelLabel.y = 79;
+            this._perceptualWheelLabel.mouseEnabled = false;
+            this.view.addChild(this._perceptualWheelLabel);
+            if (!spaces.selectedItem) {
+                spaces.selectedIndex = Settings.getGlobal('picker.color_space') || 0;
+                return;
+            }
+        }
+        baseHandleWheelColorSpaceChange.call(this);
+
+        // All buttons share one spot; only the next space in the cycle is clickable
+        var next = (spaces.selectedIndex + 1) % spaces.items.length;
+        for (var i = 0; i < spaces.items.length; ++i) spaces.items[i].view.visible = i == next;
+        this._perceptualWheelLabel.visible = spaces.selectedItem == this._perceptualWheelSpace;
+        this.view.setChildIndex(this._perceptualWheelLabel, this.view.numChildren - 1);
+        window.coolorus.redraw();
+    };
+
+    window.PerceptualWheelColorSpace = PerceptualWheelColorSpace;
+})();
@@ -0,0 +1,157 @@
+// Coolorus host script for After Effects, loaded by js/hostadapters.js.
+// The color target is the selected color property of the active composition: a selected color property
+// (shape fill / stroke color, effect color parameter), the fill of a selected Source Text property, or,
+// with only layers selected, the text fill, first shape fill or solid color of the first usable layer.
+// Colors are exchanged as "rgb:r,g,b" (0-255) strings, an empty string meaning no target, and reported
+// through jsx/events.jsx. Every change is one undo group named after the panel.
+
+var coolorus3 = (function() {
+    var UNDO_NAME = 'Coolorus';
+    var SETTINGS_SECTION = 'Coolorus';
+
+    function activeComp() {
+        var item = app.project ? app.project.activeItem : null;
+        return item instanceof CompItem ? item : null;
+    }
+
+    function currentValue(prop, comp) {
+        return prop.numKeys ? prop.valueAtTime(comp.time, false) : prop.value;
+    }
+
+    // Keyframed properties get a keyframe at the current time
+    function storeValue(prop, comp, value) {
+        if (prop.numKeys) prop.setValueAtTime(comp.time, value);
+        else prop.setValue(value);
+    }
+
+    function colorTarget(prop, comp) {
+        return {
+            get: function() {
+                return currentValue(prop, comp);
+            },
+            set: function(rgb) {
+                storeValue(prop, comp, [rgb[0], rgb[1], rgb[2], 1]);
+            }
+        };
+    }
+
+    function textTarget(prop, comp) {
+        return {
+            get: function() {
+                var textDocument = currentValue(prop, comp);
+                return textDocument.applyFill ? textDocument.fillColor : null;
+            },
+            set: function(rgb) {
+                var textDocument = currentValue(prop, comp);
+                textDocument.applyFill = true;
+                textDocument.fillColor = rgb;
+                storeValue(prop, comp, textDocument);
+            }
+        };
+    }
+
+    function solidTarget(source) {
+        return {
+            get: function() {
+                return source.color;
+            },
+            set: function(rgb) {
+                source.color = rgb;
+            }
+        };
+    }
+
+    function propertyTarget(prop, comp) {
+        if (prop.propertyType != PropertyType.PROPERTY) return null;
+        if (prop.propertyValueType == PropertyValueType.COLOR) return colorTarget(prop, comp);
+        if (prop.propertyValueType == PropertyValueType.TEXT_DOCUMENT) return textTarget(prop, comp);
+        return null;
+    }
+
+    // First color property inside a property group, optionally with the given match name
+    function findColor(group, matchName) {
+        for (var i = 1; i <= group.numProperties; i++) {
+            var prop = group.property(i);
+            if (prop.propertyType == PropertyType.PROPERTY) {
+                if (prop.propertyValueType == PropertyValueType.COLOR && (!matchName || prop.matchName == matchName)) return prop;
+            } else {
+                var found = findColor(prop, matchName);
+                if (found) return found;
+            }
+        }
+        return null;
+    }
+
+    function layerTarget(layer, comp) {
+        if (layer instanceof TextLayer) {
+            return textTarget(layer.property('ADBE Text Properties').property('ADBE Text Document'), comp);
+        }
+        if (layer instanceof ShapeLayer) {
+            var contents = layer.property('ADBE Root Vectors Group');
+            var fill = findColor(contents, 'ADBE Vector Fill Color') || findColor(contents, 'ADBE Vector Stroke Color');
+            return fill ? colorTarget(fill, comp) : null;
+        }
+        if (layer instanceof AVLayer && layer.source && layer.source.mainSource instanceof SolidSource) {
+            return solidTarget(layer.source.mainSource);
+        }
+        return null;
+    }
+
+    function findTarget() {
+        var comp = activeComp();
+        if (!comp) return null;
+        var props = comp.selectedProperties;
+        var target, i;
+        // Selected properties first, then selected groups such as an effect or a shape fill
+        for (i = 0; i < props.length; i++) {
+            target = propertyTarget(props[i], comp);
+            if (target) return target;
+        }
+        for (i = 0; i < props.length; i++) {
+            if (props[i].propertyType == PropertyType.PROPERTY) continue;
+            var color = findColor(props[i]);
+            if (color) return colorTarget(color, comp);
+        }
+        var layers = comp.selectedLayers;
+        for (i = 0; i < layers.length; i++) {
+            target = layerTarget(layers[i], comp);
+            if (target) return target;
+        }
+        return null;
+    }
+
+    function to255(value) {
+        return Math.round(Math.max(0, Math.min(1, value)) * 25500) / 100;
+    }
+
+    // After Effects has no color change events for scripts, so the panel calls this periodically.
+    // The selected property is reported as the foreground color.
+    function notifyColors(force) {
+        var target = findTarget();
+        var rgb = target ? target.get() : null;
+        var spec = rgb ? 'rgb:' + to255(rgb[0]) + ',' + to255(rgb[1]) + ',' + to255(rgb[2]) : '';
+        coolorus3events.dispatchColors('RGB', spec, '', force);
+    }
+
+    return {
+        notifyColors: notifyColors,
+        setColor: function(spec) {
+            var target = findTarget();
+            if (!target) return;
+            var v = spec.split(':')[1].split(',');
+            app.beginUndoGroup(UNDO_NAME);
+            try {
+                target.set([Number(v[0]) / 255, Number(v[1]) / 255, Number(v[2]) / 255]);
+            } finally {
+                app.endUndoGroup();
+            }
+            notifyColors(false);
+        },
+        getSettings: function(key) {
+            return app.settings.haveSetting(SETTINGS_SECTION, key) ? app.settings.getSetting(SETTINGS_SECTION, key) : 'null';
+        },
+        setSettings: function(key, value) {
+            app.settings.saveSetting(SETTINGS_SECTION, key, value);
+        }
+    };
+})();
@@ -0,0 +1,117 @@
+// Coolorus host script for InDesign, loaded by js/hostadapters.js.
+// The foreground color is the fill and the background color the stroke of the selection, or of the
+// document defaults when nothing with a fill is selected. Colors are exchanged as "rgb:r,g,b",
+// "cmyk:c,m,y,k" or "lab:l,a,b" strings, an empty string meaning no color, and reported through
+// jsx/events.jsx whenever the selection or its attributes change. Colors set from the panel become
+// process swatches named the way InDesign names them ("C=0 M=100 Y=100 K=0", "R=255 G=0 B=0").
+
+var coolorus3 = (function() {
+    var LABEL_PREFIX = 'coolorus3.';
+    var LISTENER_NAME = 'coolorus3.';
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function describe(swatch) {
+        if (!swatch || !swatch.isValid) return '';
+        if (swatch.constructor.name == 'Tint') swatch = swatch.baseColor;
+        // None, Gradient, MixedInk
+        if (swatch.constructor.name != 'Color') return '';
+        var v = swatch.colorValue;
+        for (var i = 0; i < v.length; i++) v[i] = round(v[i]);
+        switch (swatch.space) {
+            case ColorSpace.RGB:
+                return 'rgb:' + v.join(',');
+            case ColorSpace.CMYK:
+                return 'cmyk:' + v.join(',');
+            case ColorSpace.LAB:
+                return 'lab:' + v.join(',');
+        }
+        return '';
+    }
+
+    function colorMode(doc) {
+        return doc.transparencyPreferences.blendingSpace == BlendingSpace.CMYK ? 'CMYK' : 'RGB';
+    }
+
+    // The selected objects that have the property, else the document defaults
+    function targets(doc, property) {
+        var result = [];
+        var selection = app.selection;
+        for (var i = 0; i < selection.length; i++) {
+            if (selection[i].hasOwnProperty(property)) result.push(selection[i]);
+        }
+        return result.length ? result : [doc.pageItemDefaults];
+    }
+
+    function swatchFor(doc, spec) {
+        var parts = spec.split(':');
+        var v = parts[1].split(',');
+        var cmyk = parts[0] == 'cmyk';
+        var labels = cmyk ? ['C', 'M', 'Y', 'K'] : ['R', 'G', 'B'];
+        var values = [];
+        var name = [];
+        for (var i = 0; i < labels.length; i++) {
+            values.push(Number(v[i]));
+            name.push(labels[i] + '=' + Number(v[i]));
+        }
+        var color = doc.colors.itemByName(name.join(' '));
+        if (color.isValid) return color;
+        return doc.colors.add({
+            name: name.join(' '),
+            model: ColorModel.PROCESS,
+            space: cmyk ? ColorSpace.CMYK : ColorSpace.RGB,
+            colorValue: values
+        });
+    }
+
+    function setColor(spec, property) {
+        if (!app.documents.length) return;
+        app.doScript(function() {
+            var doc = app.activeDocument;
+            var color = swatchFor(doc, spec);
+            var items = targets(doc, property);
+            for (var i = 0; i < items.length; i++) items[i][property] = color;
+        }, ScriptLanguage.JAVASCRIPT, [], UndoModes.ENTIRE_SCRIPT, 'Coolorus');
+        notifyColors(false);
+    }
+
+    function notifyColors(force) {
+        if (!app.documents.length) return;
+        var doc = app.activeDocument;
+        coolorus3events.dispatchColors(colorMode(doc), describe(targets(doc, 'fillColor')[0].fillColor),
+            describe(targets(doc, 'strokeColor')[0].strokeColor), force);
+    }
+
+    // Listeners stay registered in the persistent engine; they look coolorus3 up again on every event,
+    // so reloading this script does not add them twice
+    function listen() {
+        var events = ['afterSelectionChanged', 'afterSelectionAttributeChanged', 'afterContextChanged'];
+        for (var i = 0; i < events.length; i++) {
+            if (app.eventListeners.itemByName(LISTENER_NAME + events[i]).isValid) continue;
+            app.addEventListener(events[i], function() {
+                coolorus3.notifyColors(false);
+            }).name = LISTENER_NAME + events[i];
+        }
+    }
+
+    listen();
+
+    return {
+        notifyColors: notifyColors,
+        setFill: function(spec) {
+            setColor(spec, 'fillColor');
+        },
+        setStroke: function(spec) {
+            setColor(spec, 'strokeColor');
+        },
+        getSettings: function(key) {
+            var value = app.extractLabel(LABEL_PREFIX + key);
+            return value ? value : 'null';
+        },
+        setSettings: function(key, value) {
+            app.insertLabel(LABEL_PREFIX + key, value);
+        }
+    };
+})();
@@ -0,0 +1,108 @@
+// Coolorus host script for Illustrator, loaded by js/hostadapters.js.
+// The foreground color is the fill and the background color the stroke of the active document; both are
+// applied to the selected objects too. Colors are exchanged as "rgb:r,g,b", "cmyk:c,m,y,k", "gray:k" or
+// "lab:l,a,b" strings, an empty string meaning no color, and reported through jsx/events.jsx.
+
+var coolorus3 = (function() {
+    var PREFERENCE_PREFIX = 'coolorus3/';
+
+    function round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    function describe(color) {
+        switch (color.typename) {
+            case 'RGBColor':
+                return 'rgb:' + round(color.red) + ',' + round(color.green) + ',' + round(color.blue);
+            case 'CMYKColor':
+                return 'cmyk:' + round(color.cyan) + ',' + round(color.magenta) + ',' + round(color.yellow) + ',' + round(color.black);
+            case 'GrayColor':
+                return 'gray:' + round(color.gray);
+            case 'LabColor':
+                return 'lab:' + round(color.l) + ',' + round(color.a) + ',' + round(color.b);
+            case 'SpotColor':
+                return describe(color.spot.color);
+        }
+        // NoColor, GradientColor, PatternColor
+        return '';
+    }
+
+    function create(spec) {
+        var parts = spec.split(':');
+        var v = parts[1].split(',');
+        var color;
+        if (parts[0] == 'cmyk') {
+            color = new CMYKColor();
+            color.cyan = Number(v[0]);
+            color.magenta = Number(v[1]);
+            color.yellow = Number(v[2]);
+            color.black = Number(v[3]);
+        } else {
+            color = new RGBColor();
+            color.red = Number(v[0]);
+            color.green = Number(v[1]);
+            color.blue = Number(v[2]);
+        }
+        return color;
+    }
+
+    function colorMode(doc) {
+        return doc.documentColorSpace == DocumentColorSpace.CMYK ? 'CMYK' : 'RGB';
+    }
+
+    function applyToSelection(doc, property, color) {
+        var selection = doc.selection;
+        if (!selection) return;
+        // Text selected with the type tool
+        if (selection.typename == 'TextRange') {
+            selection.characterAttributes[property] = color;
+            return;
+        }
+        for (var i = 0; i < selection.length; i++) {
+            var item = selection[i];
+            if (item.typename == 'PathItem' || item.typename == 'CompoundPathItem') {
+                var path = item.typename == 'PathItem' ? item : item.pathItems[0];
+                if (path) {
+                    path[property] = color;
+                    if (property == 'fillColor') path.filled = true;
+                    else path.stroked = true;
+                }
+            } else if (item.typename == 'TextFrame') {
+                item.textRange.characterAttributes[property] = color;
+            }
+        }
+    }
+
+    function setColor(spec, property, defaultProperty) {
+        if (!app.documents.length) return;
+        var doc = app.activeDocument;
+        var color = create(spec);
+        doc[defaultProperty] = color;
+        applyToSelection(doc, property, color);
+        notifyColors(false);
+    }
+
+    // Illustrator has no color change events for scripts, so the panel calls this periodically
+    function notifyColors(force) {
+        if (!app.documents.length) return;
+        var doc = app.activeDocument;
+        coolorus3events.dispatchColors(colorMode(doc), describe(doc.defaultFillColor), describe(doc.defaultStrokeColor), force);
+    }
+
+    return {
+        notifyColors: notifyColors,
+        setFill: function(spec) {
+            setColor(spec, 'fillColor', 'defaultFillColor');
+        },
+        setStroke: function(spec) {
+            setColor(spec, 'strokeColor', 'defaultStrokeColor');
+        },
+        getSettings: function(key) {
+            var value = app.preferences.getStringPreference(PREFERENCE_PREFIX + key);
+            return value ? value : 'null';
+        },
+        setSettings: function(key, value) {
+            app.preferences.setStringPreference(PREFERENCE_PREFIX + key, value);
+        }
+    };
+})();
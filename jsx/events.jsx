@@ -0,0 +1,49 @@
+// Coolorus host color events, loaded into every host application by js/hostadapters.js.
+// Host scripts report the foreground / background colors with coolorus3events.dispatchColors(), which sends
+// a com.coolorus.colorChanged CSXS event with "<RGB|CMYK>|<foreground>|<background>|<document>" as data;
+// the panel updates its colors from these events only. Colors are "rgb:r,g,b", "cmyk:c,m,y,k", "gray:k" or
+// "lab:l,a,b" strings, an empty string meaning no color. The document is the name of the active document
+// (of the project in After Effects), empty without one; the panel keeps it in the color history.
+
+var coolorus3events = (function() {
+    var EVENT_TYPE = 'com.coolorus.colorChanged';
+    var plugPlug = null;
+    var lastData = null;
+
+    function dispatch(data) {
+        if (!plugPlug) plugPlug = new ExternalObject('lib:PlugPlugExternalObject');
+        var event = new CSXSEvent();
+        event.type = EVENT_TYPE;
+        event.data = data;
+        event.dispatch();
+    }
+
+    function rgbSpec(solidColor) {
+        var rgb = solidColor.rgb;
+        return 'rgb:' + rgb.red + ',' + rgb.green + ',' + rgb.blue;
+    }
+
+    function documentName() {
+        try {
+            if (BridgeTalk.appName == 'aftereffects') return app.project.file ? app.project.file.displayName : '';
+            return app.documents.length ? app.activeDocument.name : '';
+        } catch (e) {
+            return '';
+        }
+    }
+
+    return {
+        // force: dispatch even if the colors did not change since the last event
+        dispatchColors: function(mode, foreground, background, force) {
+            var data = mode + '|' + foreground + '|' + background + '|' + documentName();
+            if (data == lastData && !force) return;
+            lastData = data;
+            dispatch(data);
+        },
+        // Called by the panel on the Photoshop events it registers for (set, reset, exchange colors)
+        notifyPhotoshopColors: function() {
+            var mode = app.documents.length && app.activeDocument.mode == DocumentMode.CMYK ? 'CMYK' : 'RGB';
+            this.dispatchColors(mode, rgbSpec(app.foregroundColor), rgbSpec(app.backgroundColor), true);
+        }
+    };
+})();
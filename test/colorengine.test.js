@@ -0,0 +1,424 @@
+
+// Tests of the color engine (js/colorengine.js) against published reference values, and of the RYB
+// wheel space and schemes against main.js' RYBWheelColorSpace, which the panel's wheel still uses.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ColorEngine = require('../js/colorengine.js');
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, (message || '') + ' ' + actual + ' is not ' + expected + ' ± ' + tolerance);
+}
+
+function assertAllClose(actual, expected, tolerance, message) {
+    assert.strictEqual(actual.length, expected.length, message);
+    for (var i = 0; i < expected.length; i++) assertClose(actual[i], expected[i], tolerance, message + ' [' + i + ']');
+}
+
+// ===========================================
+// PART 1: CONVERSIONS
+// ===========================================
+
+test('RGB and HSV', function() {
+    var hsv = ColorEngine.HSV.fromRawColor(0x3366cc);
+    assertAllClose([hsv.h, hsv.s, hsv.v], [220, 0.75, 0.8], 1e-9, '#3366cc');
+    assert.strictEqual(new ColorEngine.HSV(220, 0.75, 0.8).hex, '3366cc');
+    assert.strictEqual(new ColorEngine.RGB(51, 102, 204).rawColor, 0x3366cc);
+    // Grays keep hue 0, like main.js
+    assert.strictEqual(ColorEngine.HSV.fromRawColor(0x808080).h, 0);
+    assert.strictEqual(new ColorEngine.HSV(0, 0, 1).hex, 'ffffff');
+});
+
+test('CMYK', function() {
+    var cmyk = ColorEngine.CMYK.fromRawColor(0x3366cc);
+    assertAllClose([cmyk.c, cmyk.m, cmyk.y, cmyk.k], [0.75, 0.5, 0, 0.2], 1e-9, '#3366cc');
+    assert.strictEqual(new ColorEngine.CMYK(0, 1, 1, 0).hex, 'ff0000');
+});
+
+// sRGB red in CIE XYZ and CIELAB (D65)
+test('XYZ and LAB', function() {
+    var xyz = ColorEngine.XYZ.fromRawColor(0xff0000);
+    assertAllClose([xyz.x, xyz.y, xyz.z], [41.24, 21.26, 1.93], 0.01, 'red XYZ');
+    var lab = ColorEngine.LAB.fromRawColor(0xff0000);
+    assertAllClose([lab.l, lab.a, lab.b], [53.24, 80.09, 67.20], 0.05, 'red LAB');
+    lab = ColorEngine.LAB.fromRawColor(0xffffff);
+    assertAllClose([lab.l, lab.a, lab.b], [100, 0, 0], 0.02, 'white LAB');
+    assert.strictEqual(new ColorEngine.LAB(53.2408, 80.0925, 67.2032).hex, 'ff0000');
+});
+
+// Values of material-color-utilities' own HCT tests
+test('HCT', function() {
+    var references = [
+        [0xff0000, 27.408, 113.358, 53.233],
+        [0x00ff00, 142.140, 108.410, 87.737],
+        [0x0000ff, 282.788, 87.231, 32.303]
+    ];
+    references.forEach(function(reference) {
+        var hct = ColorEngine.Hct.fromInt(reference[0]);
+        assertAllClose([hct.h, hct.c, hct.t], reference.slice(1), 0.001, reference[0].toString(16));
+        assert.strictEqual(ColorEngine.Hct.toInt(hct.h, hct.c, hct.t), reference[0]);
+    });
+});
+
+// Björn Ottosson's reference value for sRGB red
+test('OKLab', function() {
+    var lab = ColorEngine.Oklab.fromRgb(255, 0, 0);
+    assertAllClose([lab.L, lab.a, lab.b], [0.62796, 0.22486, 0.12585], 1e-4, 'red');
+    assert.deepStrictEqual(ColorEngine.Oklab.toRgb(lab.L, lab.a, lab.b), { r: 255, g: 0, b: 0 });
+});
+
+test('WCAG and APCA contrast', function() {
+    assert.strictEqual(ColorEngine.wcagContrast(0x000000, 0xffffff), 21);
+    assertClose(ColorEngine.wcagContrast(0x767676, 0xffffff), 4.54, 0.01, '#767676 on white');
+    assertClose(ColorEngine.apcaContrast(0x000000, 0xffffff), 106.04, 0.01, 'black on white');
+    assertClose(ColorEngine.apcaContrast(0x888888, 0xffffff), 63.06, 0.01, '#888 on white');
+});
+
+// Pairs 1, 17 and 25 of Sharma, Wu and Dalal's CIEDE2000 test data
+test('color differences', function() {
+    assertClose(ColorEngine.deltaE2000({ l: 50, a: 2.6772, b: -79.7751 }, { l: 50, a: 0, b: -82.7485 }), 2.0425, 1e-4, 'pair 1');
+    assertClose(ColorEngine.deltaE2000({ l: 50, a: 2.5, b: 0 }, { l: 73, a: 25, b: -18 }), 27.1492, 1e-4, 'pair 17');
+    assertClose(ColorEngine.deltaE2000({ l: 60.2574, a: -34.0099, b: 36.2677 }, { l: 60.4626, a: -34.1751, b: 39.4387 }), 1.2644, 1e-4, 'pair 25');
+    assert.strictEqual(ColorEngine.deltaE76({ l: 50, a: 0, b: 0 }, { l: 53, a: 4, b: 0 }), 5);
+});
+
+// ===========================================
+// PART 2: WHEEL COLOR SPACES
+// ===========================================
+// Reference values of main.js' RYBWheelColorSpace
+
+test('RYB angle2hue', function() {
+    var space = new ColorEngine.RYBWheelColorSpace();
+    var references = [
+        [0, 60], [30, 45], [60, 30], [90, 15], [120, 0], [150, 317],
+        [180, 274], [210, 257], [240, 240], [270, 180], [300, 120], [330, 90]
+    ];
+    references.forEach(function(reference) {
+        assertClose(space.angle2hue(reference[0]), reference[1], 1e-4, 'angle ' + reference[0]);
+    });
+});
+
+test('RYB hue2angle', function() {
+    var space = new ColorEngine.RYBWheelColorSpace();
+    var references = [
+        [0, 120], [15, 90], [30, 60], [60, 0], [90, 330], [120, 300], [137, 291.5], [150, 285],
+        [180, 270], [210, 255], [240, 240], [250, 222.3529], [270, 187.0588], [300, 161.8605], [330, 140.9302]
+    ];
+    references.forEach(function(reference) {
+        assertClose(space.hue2angle(reference[0]), reference[1], 1e-4, 'hue ' + reference[0]);
+    });
+});
+
+test('wheel spaces round-trip', function() {
+    ColorEngine.WHEEL_COLOR_SPACES.forEach(function(id) {
+        var space = ColorEngine.createWheelColorSpace(id);
+        for (var hue = 0; hue < 360; hue += 7.5) {
+            assertClose(space.angle2hue(space.hue2angle(hue)), hue, 1e-6, id + ' hue ' + hue);
+        }
+    });
+    assert.throws(function() { ColorEngine.createWheelColorSpace('CMY'); }, /Unknown wheel color space/);
+});
+
+// ===========================================
+// PART 3: SCHEMES
+// ===========================================
+
+test('schemeAngles', function() {
+    assert.deepStrictEqual(ColorEngine.schemeAngles('complementary', 350), [350, 170]);
+    assert.deepStrictEqual(ColorEngine.schemeAngles('triadic', 0), [240, 0, 120]);
+    assert.deepStrictEqual(ColorEngine.schemeAngles('accented_analogic', 10, 45), [190, 55, 10, 325, 190]);
+    assert.throws(function() { ColorEngine.schemeAngles('square', 0); }, /Unknown color scheme/);
+});
+
+test('schemeHues in the RYB wheel', function() {
+    var references = {
+        mono: [[220], [0]],
+        complementary: [[220, 25], [0, 120]],
+        triadic: [[345.6667, 220, 55], [75, 0, 210]],
+        tetradic: [[110, 220, 25, 345.6667], [295.5, 0, 120, 75]],
+        analogic: [[160, 220, 251.3333], [295.5, 0, 22.5]],
+        accented_analogic: [[25, 160, 220, 251.3333, 25], [120, 295.5, 0, 22.5, 120]]
+    };
+    ColorEngine.SCHEME_NAMES.forEach(function(name) {
+        assertAllClose(ColorEngine.schemeHues(name, 220), references[name][0], 1e-4, name + ' of 220');
+        assertAllClose(ColorEngine.schemeHues(name, 0, 45), references[name][1], 1e-4, name + ' of 0 at 45');
+    });
+});
+
+test('schemeHues in the RGB wheel', function() {
+    var space = new ColorEngine.RGBWheelColorSpace();
+    assert.deepStrictEqual(ColorEngine.schemeHues('complementary', 220, null, space), [220, 40]);
+    assert.deepStrictEqual(ColorEngine.schemeHues('triadic', 220, null, space), [100, 220, 340]);
+    assert.deepStrictEqual(ColorEngine.schemeHues('tetradic', 220, null, space), [280, 220, 40, 100]);
+});
+
+// In the RGB wheel the angles are HSV hue differences
+test('schemeTemplateColors with HSV offsets', function() {
+    var space = new ColorEngine.RGBWheelColorSpace();
+    var template = {
+        name: 'Test',
+        model: 'hsv',
+        slots: [
+            { angle: 180, saturation: -50 },
+            { angle: -30, brightness: 50 },
+            { angle: 90, saturation: -150 }
+        ]
+    };
+    var colors = ColorEngine.schemeTemplateColors(template, { h: 0, s: 1, v: 0.8 }, space.hue2angle(0), space);
+    // The main color first; offsets beyond the range are clamped
+    assert.deepStrictEqual(colors.map(function(color) { return [color.h, color.s, color.v]; }), [
+        [0, 1, 0.8],
+        [180, 0.5, 0.8],
+        [330, 1, 1],
+        [90, 0, 0.8]
+    ]);
+    assert.throws(function() {
+        ColorEngine.schemeTemplateColors({ name: 'Test', model: 'lab', slots: [] }, { h: 0, s: 1, v: 1 }, 0, space);
+    }, /Unknown scheme template model: lab/);
+});
+
+test('schemeTemplateColors with HCT offsets', function() {
+    var space = new ColorEngine.RGBWheelColorSpace();
+    var template = {
+        name: 'Test',
+        model: 'hct',
+        slots: [
+            { angle: 0, tone: 20 },
+            { angle: 120 },
+            { angle: 0, chroma: -200 },
+            { angle: 0, tone: -80 }
+        ]
+    };
+    // Olive, HCT 111.0 49.6 51.9
+    var colors = ColorEngine.schemeTemplateColors(template, { h: 60, s: 1, v: 0.5 }, space.hue2angle(60), space);
+    var hcts = colors.map(function(color) { return ColorEngine.Hct.fromInt(color.rawColor); });
+    assert.strictEqual(colors[0].hex, '808000');
+    // Tone up, same hue
+    assertClose(hcts[1].t, hcts[0].t + 20, 0.5, 'lighter tone');
+    assertClose(hcts[1].h, hcts[0].h, 1, 'lighter hue');
+    // No offsets: the HSV color at the slot's angle
+    assert.deepStrictEqual([colors[2].h, colors[2].s, colors[2].v], [180, 1, 0.5]);
+    // No chroma left: a gray of the same tone
+    assert.ok(hcts[3].c < 3, 'gray chroma ' + hcts[3].c);
+    assertClose(hcts[3].t, hcts[0].t, 0.5, 'gray tone');
+    // Tones stop at 0
+    assert.strictEqual(colors[4].hex, '000000');
+});
+
+test('ES module entry', async function() {
+    var module = await import('../js/colorengine.mjs');
+    assert.strictEqual(module.default, ColorEngine);
+    assert.strictEqual(module.schemeHues, ColorEngine.schemeHues);
+    assert.strictEqual(module.Hct, ColorEngine.Hct);
+});
+
+// ===========================================
+// PART 4: CSS COLOR PARSING
+// ===========================================
+
+function hexOf(raw) {
+    return ('00000' + raw.toString(16)).slice(-6);
+}
+
+test('parseColor reads every syntax', function() {
+    [
+        ['#abc', 'aabbcc'],
+        ['112233', '112233'],
+        ['#11223380', '112233'],
+        ['rgb(255 0 0)', 'ff0000'],
+        ['rgb(100%, 50%, 0%)', 'ff8000'],
+        ['rgba(0, 128, 255, 0.5)', '0080ff'],
+        ['rgb(51 102 153 / 50%)', '336699'],
+        ['hsl(210deg, 50%, 40%)', '336699'],
+        ['hsla(0, 0%, 50%, 1)', '808080'],
+        ['hwb(120 20% 20%)', '33cc33'],
+        ['hwb(0 100% 0%)', 'ffffff'],
+        // CSS lab() and lch() are D50: the sRGB red is lab(54.29% 80.8 69.89)
+        ['lab(54.29% 80.8 69.89)', 'ff0000'],
+        ['lab(100 none none)', 'ffffff'],
+        ['lch(54.29% 106.84 40.85)', 'ff0000'],
+        ['oklab(0.62796 0.22486 0.12585)', 'ff0000'],
+        ['oklab(62.796% 0.22486 0.12585)', 'ff0000'],
+        ['oklch(0.62796 0.25768 29.23)', 'ff0000'],
+        ['oklch(62.8% 0.2577 29.23deg)', 'ff0000'],
+        ['color(srgb 0.2 0.4 0.6)', '336699'],
+        ['color(srgb-linear 1 0 0)', 'ff0000'],
+        ['color(display-p3 0.9175 0.2003 0.1387)', 'ff0000'],
+        ['rebeccapurple', '663399'],
+        ['WhiteSmoke', 'f5f5f5'],
+        // The HCT of sRGB red, and a gray
+        ['hct(27.41 113.36 53.24)', 'ff0000'],
+        ['hct(0 0 50)', '777777']
+    ].forEach(function(example) {
+        var result = ColorEngine.parseColor(example[0]);
+        assert.deepStrictEqual([hexOf(result.rgb), result.inGamut], [example[1], true], example[0]);
+    });
+});
+
+// The display-p3 red, oklch(64.86% 0.2995 28.96), is outside sRGB: lightness and hue stay, chroma goes
+test('parseColor maps colors outside sRGB', function() {
+    var result = ColorEngine.parseColor('color(display-p3 1 0 0)');
+    assert.strictEqual(result.inGamut, false);
+    var lch = ColorEngine.Oklab.fromRgbLch(result.rgb >> 16 & 255, result.rgb >> 8 & 255, result.rgb & 255);
+    assertClose(lch.L, 0.6486, 0.005, 'lightness');
+    assertClose(lch.h, 28.96, 0.5, 'hue');
+    assert.ok(lch.C < 0.2995, 'chroma ' + lch.C);
+});
+
+test('parseColor says what is wrong', function() {
+    [
+        ['', 'No color given'],
+        ['rgb(255 0)', 'rgb() takes 3 values'],
+        ['transparent', 'Unknown color name "transparent"'],
+        ['#12345', 'A hex color has 3 or 6 digits'],
+        ['hsl(10% 50% 50%)', 'The hue of hsl() cannot be a percentage'],
+        ['rgb(1 2 3 / 2)', 'Alpha of rgb() must be 0 - 1'],
+        ['foo(1 2 3)', 'Unknown color function foo()'],
+        ['color(rec2021 1 0 0)', 'Unknown color space "rec2021" in color()'],
+        ['hct(0 0 120)', 'The tone of hct() must be 0 - 100']
+    ].forEach(function(example) {
+        assert.throws(function() { ColorEngine.parseColor(example[0]); }, { message: example[1] }, JSON.stringify(example[0]));
+    });
+});
+
+// ===========================================
+// PART 5: INTERPOLATION
+// ===========================================
+
+var BLUE = 0x0000ff;
+var YELLOW = 0xffff00;
+
+function oklchOf(raw) {
+    return ColorEngine.Oklab.fromRgbLch(raw >> 16 & 255, raw >> 8 & 255, raw & 255);
+}
+
+test('interpolateColor keeps the ends in every space', function() {
+    ColorEngine.INTERPOLATION_SPACES.forEach(function(space) {
+        [[BLUE, YELLOW], [0xffffff, 0x000000], [0x336699, 0xcc3311]].forEach(function(pair) {
+            var message = space + ' ' + hexOf(pair[0]) + ' to ' + hexOf(pair[1]);
+            assert.strictEqual(hexOf(ColorEngine.interpolateColor(pair[0], pair[1], 0, space)), hexOf(pair[0]), message);
+            assert.strictEqual(hexOf(ColorEngine.interpolateColor(pair[0], pair[1], 1, space)), hexOf(pair[1]), message);
+            // Amounts outside 0-1 are clamped
+            assert.strictEqual(hexOf(ColorEngine.interpolateColor(pair[0], pair[1], -1, space)), hexOf(pair[0]), message);
+            assert.strictEqual(hexOf(ColorEngine.interpolateColor(pair[0], pair[1], 2, space)), hexOf(pair[1]), message);
+        });
+    });
+    assert.throws(function() { ColorEngine.interpolateColor(BLUE, YELLOW, 0.5, 'hsl'); }, /Unknown interpolation space: hsl/);
+});
+
+// Blue to yellow is the classic case: gray in sRGB, a light gray in linear RGB, green-blue hues in the
+// perceptual spaces, pink the longer way round and green as paint
+test('interpolateColor midpoints of blue and yellow', function() {
+    var expected = {
+        'srgb': '7f7f7f',
+        'srgb-linear': 'bcbcbc',
+        'oklab': '6cabc7',
+        'oklch': '00baae',
+        'oklch-longer': 'ff638d',
+        'hct': '00afaf',
+        'paint': '398f54'
+    };
+    assert.deepStrictEqual(Object.keys(expected), ColorEngine.INTERPOLATION_SPACES);
+    ColorEngine.INTERPOLATION_SPACES.forEach(function(space) {
+        assert.strictEqual(hexOf(ColorEngine.interpolateColor(BLUE, YELLOW, 0.5, space)), expected[space], space);
+    });
+});
+
+// Blue is at OKLCH hue 264.1, yellow at 109.8; gamut mapping keeps the hue
+test('oklch takes the shorter or the longer way around the hue circle', function() {
+    assertClose(oklchOf(ColorEngine.interpolateColor(BLUE, YELLOW, 0.5, 'oklch')).h, 186.95, 1, 'shorter');
+    assertClose(oklchOf(ColorEngine.interpolateColor(BLUE, YELLOW, 0.5, 'oklch-longer')).h, 6.95, 1, 'longer');
+    assertClose(oklchOf(ColorEngine.interpolateColor(YELLOW, BLUE, 0.25, 'oklch-longer')).h, 58.4, 1, 'longer, backwards');
+    // A gray has no hue: it takes the other color's
+    assertClose(oklchOf(ColorEngine.interpolateColor(0x808080, 0xff0000, 0.5, 'oklch')).h, 29.2, 1, 'gray to red');
+});
+
+// Mixed as spectra, blue and yellow paint make green: #398F54, as in spectral.js
+test('paint mixes blue and yellow to green', function() {
+    var green = ColorEngine.interpolateColor(BLUE, YELLOW, 0.5, 'paint');
+    var rgb = [green >> 16 & 255, green >> 8 & 255, green & 255];
+    assert.ok(rgb[1] > rgb[0] && rgb[1] > rgb[2], 'green-dominant ' + hexOf(green));
+    assert.strictEqual(hexOf(green), '398f54');
+    // White and black paint make grays, #A6A6A6 half and half as in spectral.js
+    assert.strictEqual(hexOf(ColorEngine.interpolateColor(0xffffff, 0x000000, 0.5, 'paint')), 'a6a6a6');
+});
+
+// Red at 0.2, a hard edge from blue to yellow at 0.5, white at 0.8
+var GRADIENT = [
+    { position: 0.2, color: 0xff0000 },
+    { position: 0.5, color: BLUE },
+    { position: 0.5, color: YELLOW },
+    { position: 0.8, color: 0xffffff }
+];
+
+test('gradientColor keeps the end colors outside the stops', function() {
+    [0, 0.1, 0.2].forEach(function(amount) {
+        assert.strictEqual(hexOf(ColorEngine.gradientColor(GRADIENT, amount, 'oklab')), 'ff0000', 'at ' + amount);
+    });
+    [0.8, 0.9, 1].forEach(function(amount) {
+        assert.strictEqual(hexOf(ColorEngine.gradientColor(GRADIENT, amount, 'oklab')), 'ffffff', 'at ' + amount);
+    });
+    assert.strictEqual(ColorEngine.gradientColor([{ position: 0.5, color: 0x336699 }], 0.9, 'oklab'), 0x336699);
+    assert.throws(function() { ColorEngine.gradientColor([], 0.5, 'oklab'); }, /at least one stop/);
+});
+
+test('gradientColor interpolates between neighbouring stops', function() {
+    assert.strictEqual(ColorEngine.gradientColor(GRADIENT, 0.35, 'oklab'), ColorEngine.interpolateColor(0xff0000, BLUE, 0.5, 'oklab'));
+    assert.strictEqual(ColorEngine.gradientColor(GRADIENT, 0.725, 'hct'), ColorEngine.interpolateColor(YELLOW, 0xffffff, 0.75, 'hct'));
+});
+
+// Two stops at the same position make a hard edge: the first of them up to it, the second after it
+test('gradientColor with stops at the same position', function() {
+    assert.strictEqual(hexOf(ColorEngine.gradientColor(GRADIENT, 0.4999, 'oklab')), '0000ff');
+    assert.strictEqual(hexOf(ColorEngine.gradientColor(GRADIENT, 0.5, 'oklab')), '0000ff');
+    assert.strictEqual(hexOf(ColorEngine.gradientColor(GRADIENT, 0.5001, 'oklab')), 'ffff01');
+});
+
+test('bakeGradient splits every segment into steps', function() {
+    // Three segments, one of them empty: 4 stops and 3 new ones in each of the other two
+    var baked = ColorEngine.bakeGradient(GRADIENT, 'oklab', 4);
+    assert.strictEqual(baked.length, 10);
+    baked.forEach(function(stop, i) {
+        if (i > 0) assert.ok(stop.position >= baked[i - 1].position, 'sorted at ' + i);
+        // The baked stops are on the gradient; the edge itself has both colors
+        if (stop.position !== 0.5) {
+            assert.strictEqual(hexOf(stop.color), hexOf(ColorEngine.gradientColor(GRADIENT, stop.position, 'oklab')), 'at ' + stop.position);
+        }
+    });
+    assert.deepStrictEqual(baked.slice(0, 2), [{ position: 0.2, color: 0xff0000 }, { position: 0.275, color: 0xc6496d }]);
+
+    // sRGB needs no extra stops
+    assert.deepStrictEqual(ColorEngine.bakeGradient(GRADIENT, 'srgb', 4), GRADIENT);
+    assert.throws(function() { ColorEngine.bakeGradient(GRADIENT, 'hsl', 4); }, /Unknown interpolation space: hsl/);
+});
+
+// ===========================================
+// PART 6: HUE FAMILIES
+// ===========================================
+
+test('hueFamily bins the OKLCH hue', function() {
+    [
+        // OKLCH hue 2.5: pink wraps around 0
+        [0xff0080, 'pink'],
+        [0xff0060, 'red'],
+        [0xff0000, 'red'],
+        [0xff8000, 'orange'],
+        [0xffff00, 'yellow'],
+        [0x00ff00, 'green'],
+        [0x00ffff, 'cyan'],
+        [0x0000ff, 'blue'],
+        [0x8000ff, 'purple'],
+        [0xff00ff, 'pink'],
+        // Muted, but enough chroma for a hue
+        [0x996666, 'red']
+    ].forEach(function(example) {
+        assert.strictEqual(ColorEngine.hueFamily(example[0]), example[1], hexOf(example[0]));
+    });
+    assert.deepStrictEqual(ColorEngine.HUE_FAMILIES, ['red', 'orange', 'yellow', 'green', 'cyan', 'blue', 'purple', 'pink', 'neutral']);
+});
+
+test('hueFamily puts grays in neutral', function() {
+    [0x000000, 0x808080, 0xffffff, 0x7f8082, 0x8a7f7f].forEach(function(color) {
+        assert.strictEqual(ColorEngine.hueFamily(color), 'neutral', hexOf(color));
+    });
+});
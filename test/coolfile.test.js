@@ -0,0 +1,160 @@
+
+// Tests of the .cool v2 format of js/coolfile.js: migration of v1 files (the string main.js'
+// MixersPanel.serializeModes() writes), the messages of files that fail validation, and how the saved
+// mixer state is restored at startup.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ColorEngine = require('../js/colorengine.js');
+var panel = require('./support/panel.js');
+
+function MixersPanel() {}
+
+var warnings = [];
+var later = [];
+var context = panel.loadScripts(['js/coolfile.js'], {
+    MixersPanel: MixersPanel,
+    ColorEngine: ColorEngine,
+    console: { warn: function(message) { warnings.push(message); } },
+    setTimeout: function(callback) { later.push(callback); }
+});
+var CoolFile = context.CoolFile;
+
+// The modes of main.js' MixerTabs, in the order of their selection indices
+var MODE_IDS = ['history', 'blender', 'shadesandtones', 'swatches', 'scheme'];
+
+function document(modes, fields) {
+    return JSON.stringify(Object.assign({ format: 'coolorus-mixer', version: 2, modes: modes }, fields));
+}
+
+// ===========================================
+// PART 1: V1 MIGRATION
+// ===========================================
+
+// As main.js' serializeModes() writes it, with the History, Blender and Swatches mixers shown, plus the
+// mode of another addon
+var V1 = 'v1;;blender-0:9,auto:ff0000,0000ff;shades-and-tones-0:7,manual:3366cc;' +
+    'swatches-0:5,manual:ff8800,,00ff00,,;scheme-mixer-0:5,auto:aa0000,00aa00,0000aa,aaaa00,00aaaa;' +
+    'ramp-0:4,manual:123456;selection:0,1,3';
+
+test('parse migrates a v1 file', function() {
+    var doc = panel.plain(CoolFile.parse(V1, MODE_IDS));
+    assert.deepStrictEqual(doc.modes.map(function(mode) { return [mode.type, mode.selected, mode.num, mode.autoSample]; }), [
+        ['blender', true, 9, true],
+        ['shadesandtones', false, 7, false],
+        ['swatches', true, 5, false],
+        ['scheme', false, 5, true]
+    ]);
+    assert.deepStrictEqual(doc.modes[0].value, { colors: [0xff0000, 0x0000ff], interpolation: 'srgb' });
+    assert.strictEqual(doc.modes[1].value, 0x3366cc);
+    assert.deepStrictEqual(doc.modes[2].value, {
+        name: '',
+        cells: [{ raw: 0xff8800, swatch: null }, null, { raw: 0x00ff00, swatch: null }, null, null]
+    });
+    assert.deepStrictEqual(doc.modes[3].value, [0xaa0000, 0x00aa00, 0x0000aa, 0xaaaa00, 0x00aaaa]);
+    // Modes of other addons are handed to every mode's deserialize(), as v1 did
+    assert.deepStrictEqual(doc.legacy, ['ramp-0:4,manual:123456']);
+    assert.deepStrictEqual(doc.selection, [0, 1, 3]);
+    assert.strictEqual(doc.gamutMask, null);
+    assert.strictEqual(doc.wheel, null);
+});
+
+// A byte order mark before "v1" is skipped
+test('parse keeps v1 numbers of colors in range and drops unknown selections', function() {
+    var doc = panel.plain(CoolFile.parse('\uFEFFv1;blender-0:40,manual:ff0000,0000ff;selection:1,7', MODE_IDS));
+    assert.strictEqual(doc.modes[0].num, 31);
+    assert.deepStrictEqual(doc.selection, [1]);
+});
+
+test('parse says what is wrong with a v1 file', function() {
+    [
+        ['v2;blender-0:9,auto:ff0000,0000ff', 'file', 'not a Coolorus mixer file'],
+        ['v1;blender-0:,auto:ff0000,0000ff', 'v1 blender-0', 'missing the number of colors'],
+        ['v1;blender-0:9,auto:ff0000', 'v1 blender-0.colors', 'expected the two blended colors'],
+        ['v1;shades-and-tones-0:7,manual:red', 'v1 shades-and-tones-0.color', 'expected a color like "#ff8800"']
+    ].forEach(function(entry) {
+        assert.throws(function() { CoolFile.parse(entry[0], MODE_IDS); }, { part: entry[1], message: entry[2] }, entry[0]);
+    });
+});
+
+// ===========================================
+// PART 2: V2 VALIDATION
+// ===========================================
+
+test('parse reads a v2 file', function() {
+    var doc = panel.plain(CoolFile.parse(document([
+        { type: 'blender', selected: true, num: 9, autoSample: true, colors: ['#ff0000', '#0000ff'], interpolation: 'oklch' },
+        { type: 'swatches', cells: [{ color: '#ff8800', swatch: { name: 'Orange', model: 'CMYK', values: [0, 47, 100, 0], type: 'spot' } }, null] }
+    ], {
+        gamutMask: { enabled: true, selected: 1, color: '#808080', masks: { triangle: { tx: 0, ty: 0, rotation: 90, points: [{ x: 0, y: 1 }] } } },
+        wheel: { colorSpace: 1, colorScheme: 2, svShape: 0, colorsIndex: 3, hueOffset: -30 }
+    }), MODE_IDS));
+    assert.deepStrictEqual(doc.modes.map(function(mode) { return [mode.type, mode.selected, mode.num, mode.autoSample]; }), [
+        ['blender', true, 9, true],
+        ['swatches', false, null, false]
+    ]);
+    assert.deepStrictEqual(doc.modes[0].value, { colors: [0xff0000, 0x0000ff], interpolation: 'oklch' });
+    assert.deepStrictEqual(doc.modes[1].value.cells[0].swatch, { name: 'Orange', group: '', model: 'CMYK', values: [0, 47, 100, 0], type: 'spot' });
+    assert.deepStrictEqual(doc.gamutMask.masks.triangle, { tx: 0, ty: 0, rotation: 90, points: [{ x: 0, y: 1 }] });
+    assert.strictEqual(doc.gamutMask.color, 0x808080);
+    assert.strictEqual(doc.wheel.hueOffset, -30);
+});
+
+test('parse says which part of a v2 file is wrong', function() {
+    var blender = { type: 'blender', colors: ['#ff0000', '#0000ff'] };
+    [
+        ['', 'file', 'the file is empty'],
+        ['{"format": "coolorus-mixer",', 'file', null],
+        [document([], { format: 'something-else' }), 'format', 'not a Coolorus mixer file'],
+        [document([], { version: 3 }), 'version', 'the file was saved by a newer version (3)'],
+        [document([], { version: 1.5 }), 'version', 'expected a whole number'],
+        [document({}), 'modes', 'expected a list'],
+        [document([{ type: 'ramp' }]), 'modes[0].type', 'unknown mixer mode "ramp"'],
+        [document([blender, blender]), 'modes[1].type', 'mixer mode "blender" appears twice'],
+        [document([Object.assign({ num: 40 }, blender)]), 'modes[0].num', '40 is outside 3..31'],
+        [document([Object.assign({}, blender, { selected: 'yes' })]), 'modes[0].selected', 'expected true or false'],
+        [document([{ type: 'blender', colors: ['#ff0000', 'blue'] }]), 'modes[0].colors[1]', 'expected a color like "#ff8800"'],
+        [document([Object.assign({}, blender, { interpolation: 'hsl' })]), 'modes[0].interpolation', 'unknown interpolation "hsl"'],
+        [document([{ type: 'scheme', colors: new Array(32).fill('#000000') }]), 'modes[0].colors', 'more than 31 colors'],
+        [document([{ type: 'swatches', cells: [{ color: '#000000', swatch: { model: 'HSB', values: [0, 0, 0] } }] }]),
+            'modes[0].cells[0].swatch.model', 'unknown color model "HSB"'],
+        [document([{ type: 'swatches', cells: [{ color: '#000000', swatch: { model: 'CMYK', values: [0, 0, 0] } }] }]),
+            'modes[0].cells[0].swatch.values', 'CMYK needs 4 values'],
+        [document([], { gamutMask: { enabled: true, selected: 0, masks: { star: {} } } }), 'gamutMask.masks.star', 'unknown gamut mask'],
+        [document([], { wheel: { colorSpace: 3, colorScheme: 0, svShape: 0, colorsIndex: 0, hueOffset: 0 } }),
+            'wheel.colorSpace', '3 is outside 0..2']
+    ].forEach(function(entry) {
+        var expected = { part: entry[1] };
+        if (entry[2] !== null) expected.message = entry[2];
+        assert.throws(function() { CoolFile.parse(entry[0], MODE_IDS); }, expected, entry[1] + ' of ' + entry[0]);
+    });
+});
+
+// ===========================================
+// PART 3: SAVED MIXER STATE
+// ===========================================
+
+function fakePanel(importModes) {
+    var fake = Object.create(MixersPanel.prototype);
+    fake._tabs = { _modesSelection: { items: [] }, checkSelection: function() {} };
+    if (importModes) fake.importModes = importModes;
+    return fake;
+}
+
+test('deserializeModes ignores a saved state that fails validation and logs why', function() {
+    warnings.length = 0;
+    later.length = 0;
+    fakePanel().deserializeModes('{"format": "something-else"}');
+    assert.deepStrictEqual(warnings, ['Coolorus: ignored the saved mixer state, format: not a Coolorus mixer file']);
+    assert.strictEqual(later.length, 0);
+});
+
+test('deserializeModes rethrows other errors later', function() {
+    warnings.length = 0;
+    later.length = 0;
+    var error = new Error('mode.update is not a function');
+    fakePanel(function() { throw error; }).deserializeModes(V1);
+    assert.deepStrictEqual(warnings, []);
+    assert.strictEqual(later.length, 1);
+    assert.throws(later[0], function(thrown) { return thrown === error; });
+});
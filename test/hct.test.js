@@ -0,0 +1,87 @@
+
+// Tests of the HCT solver of the color engine (cam16FromInt as Hct.fromInt, intFromHct as Hct.toInt) against
+// @material/material-color-utilities, which it was ported from, over a grid of hues, chromas and tones.
+// Chromas above what the hue and tone reach in sRGB are in the grid on purpose: both keep hue and tone
+// and give the most chromatic color in gamut.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ColorEngine = require('../js/colorengine.js');
+
+var HUES = [];
+for (var hue = 0; hue < 360; hue += 15) HUES.push(hue);
+HUES.push(282.788, 359.9);
+var CHROMAS = [0, 2, 5, 16, 30, 48, 60, 90, 120, 150, 200];
+var TONES = [0, 1, 5, 10, 20, 30, 40, 50, 60, 70, 80, 90, 95, 99, 100];
+
+var material = import('@material/material-color-utilities');
+
+function rgbOf(argb) {
+    return (argb & 0xFFFFFF).toString(16);
+}
+
+test('Hct.fromInt matches Hct.fromInt of material-color-utilities', async function() {
+    var utilities = await material;
+    for (var r = 0; r < 256; r += 17) {
+        for (var g = 0; g < 256; g += 17) {
+            for (var b = 0; b < 256; b += 17) {
+                var raw = r << 16 | g << 8 | b;
+                var expected = utilities.Hct.fromInt(utilities.argbFromRgb(r, g, b));
+                var actual = ColorEngine.Hct.fromInt(raw);
+                var message = rgbOf(raw) + ' ' + JSON.stringify(actual);
+                // The hue of grays is meaningless
+                if (expected.chroma > 0.001) {
+                    var hueDifference = Math.abs(actual.h - expected.hue);
+                    assert.ok(Math.min(hueDifference, 360 - hueDifference) < 1e-9, message + ' hue ' + expected.hue);
+                }
+                assert.ok(Math.abs(actual.c - expected.chroma) < 1e-9, message + ' chroma ' + expected.chroma);
+                assert.ok(Math.abs(actual.t - expected.tone) < 1e-9, message + ' tone ' + expected.tone);
+            }
+        }
+    }
+});
+
+test('Hct.toInt matches Hct.from().toInt() of material-color-utilities', async function() {
+    var utilities = await material;
+    HUES.forEach(function(hue) {
+        CHROMAS.forEach(function(chroma) {
+            TONES.forEach(function(tone) {
+                var expected = utilities.Hct.from(hue, chroma, tone).toInt() & 0xFFFFFF;
+                assert.strictEqual(rgbOf(ColorEngine.Hct.toInt(hue, chroma, tone)), rgbOf(expected), 'HCT ' + [hue, chroma, tone].join(', '));
+            });
+        });
+    });
+});
+
+test('out-of-gamut chroma is reduced like material-color-utilities does', async function() {
+    var utilities = await material;
+    HUES.forEach(function(hue) {
+        [10, 30, 50, 70, 90].forEach(function(tone) {
+            var expected = utilities.Hct.from(hue, 200, tone);
+            var raw = ColorEngine.Hct.toInt(hue, 200, tone);
+            var actual = ColorEngine.Hct.fromInt(raw);
+            var message = 'HCT ' + hue + ', 200, ' + tone;
+            assert.strictEqual(rgbOf(raw), rgbOf(expected.toInt()), message);
+            assert.ok(actual.c < 200, message);
+            assert.ok(Math.abs(ColorEngine.Hct.maxChroma(hue, tone) - expected.chroma) < 1e-9, message + ' max chroma');
+            // The tone stays within the rounding to 8-bit sRGB
+            assert.ok(Math.abs(actual.t - tone) < 0.5, message + ' tone ' + actual.t);
+        });
+    });
+});
+
+// Hct.corePalette() names of the CorePalette palettes
+var CORE_PALETTES = { primary: 'a1', secondary: 'a2', tertiary: 'a3', neutral: 'n1', neutralVariant: 'n2', error: 'error' };
+
+test('tonal and core palettes match material-color-utilities', async function() {
+    var utilities = await material;
+    [0x6750a4, 0xb3261e, 0x00ff00, 0x808080, 0x0b57d0].forEach(function(raw) {
+        var expected = utilities.CorePalette.of(0xFF000000 | raw);
+        var actual = ColorEngine.Hct.corePalette(raw);
+        Object.keys(CORE_PALETTES).forEach(function(name) {
+            ColorEngine.Hct.PALETTE_TONES.forEach(function(tone) {
+                assert.strictEqual(rgbOf(actual[name].tone(tone)), rgbOf(expected[CORE_PALETTES[name]].tone(tone)), rgbOf(raw) + ' ' + name + ' ' + tone);
+            });
+        });
+    });
+});
@@ -0,0 +1,198 @@
+
+// Tests of the Illustrator and InDesign adapters of js/hostadapters.js against a fake ExtendScript side
+// (support/extendscript.js): fill / stroke to foreground / background colors and back, and the document
+// color mode the colors are written in.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ColorEngine = require('../js/colorengine.js');
+var panel = require('./support/panel.js');
+var FakeExtendScript = require('./support/extendscript.js');
+
+// js-signals' Signal as far as the adapters use it: listeners with a higher priority go first
+function Signal() {
+    this._bindings = [];
+}
+
+Signal.prototype = {
+    add: function(listener, context, priority) {
+        this._bindings.push({ listener: listener, context: context, priority: priority || 0 });
+        this._bindings.sort(function(a, b) { return b.priority - a.priority; });
+    },
+    remove: function(listener) {
+        this._bindings = this._bindings.filter(function(binding) { return binding.listener !== listener; });
+    },
+    dispatch: function() {
+        var args = arguments;
+        this._bindings.slice().forEach(function(binding) { binding.listener.apply(binding.context, args); });
+    }
+};
+
+// main.js' PhotoshopHostApp as far as the adapters build on it: white and black colors, and
+// _initialize() (run by main.js once the settings are read) adding the write-back delegates and asking
+// for the host colors. In CEP main.js also sets cs to a CSInterface.
+function PhotoshopHostApp(onInit) {
+    this.foregroundColor = ColorEngine.HSV.fromRawColor(0xFFFFFF);
+    this.backgroundColor = ColorEngine.HSV.fromRawColor(0x000000);
+    this.onInit = onInit;
+}
+
+PhotoshopHostApp.prototype = {
+    _initialize: function() {
+        this.handlePrimaryChangedDelegate = this.handlePrimaryChanged.bind(this);
+        this.foregroundColor.changed.add(this.handlePrimaryChangedDelegate);
+        this.handleSecondaryChangedDelegate = this.handleSecondaryChanged.bind(this);
+        this.backgroundColor.changed.add(this.handleSecondaryChangedDelegate);
+        this.updateColors();
+    },
+    evalScript: function(script, callback) {
+        if (this.cs) this.cs.evalScript(script, callback);
+    },
+    handlePrimaryChanged: function() {},
+    handleSecondaryChanged: function() {},
+    openFileDialog: function() {}
+};
+
+// A host of the adapter for appName, initialized, with the fake behind it
+function createHost(appName, document) {
+    var fake = new FakeExtendScript(appName);
+    Object.assign(fake.document, document);
+    function Base(onInit) {
+        PhotoshopHostApp.call(this, onInit);
+        this.cs = fake.csInterface;
+    }
+    Base.prototype = Object.create(PhotoshopHostApp.prototype);
+    var context = panel.loadScripts(['js/icc.js', 'js/hostadapters.js'], {
+        __adobe_cep__: {},
+        CSInterface: function() { return fake.csInterface; },
+        SystemPath: { EXTENSION: 'extension' },
+        PhotoshopHostApp: Base,
+        CMYK: ColorEngine.CMYK,
+        signals: { Signal: Signal },
+        setInterval: function() { return 0; }
+    });
+    var host = new context.PhotoshopHostApp(function() {});
+    host._initialize();
+    return { host: host, fake: fake, context: context };
+}
+
+function hexOf(color) {
+    return color.hex;
+}
+
+// The document changed in the host: Illustrator reports it when polled, InDesign from its event listeners
+function reportChange(setup) {
+    if (setup.host.pollsColors) setup.host.pollColors();
+    else setup.fake.dispatchColors(false);
+}
+
+// ===========================================
+// PART 1: ADAPTER SELECTION
+// ===========================================
+
+test('the host application picks the adapter and its host script', function() {
+    [['ILST', 'IllustratorHostApp', 'ILST.jsx'], ['IDSN', 'InDesignHostApp', 'IDSN.jsx']].forEach(function(expected) {
+        var setup = createHost(expected[0]);
+        assert.ok(setup.host instanceof setup.context.HostAdapters[expected[1]], expected[0]);
+        assert.deepStrictEqual(setup.fake.scripts.slice(0, 2), [
+            '$.evalFile("/extension/jsx/' + expected[2] + '")',
+            '$.evalFile("/extension/jsx/events.jsx")'
+        ]);
+    });
+});
+
+test('Illustrator polls its colors, InDesign sends events', function() {
+    assert.strictEqual(createHost('ILST').host.pollsColors, true);
+    assert.strictEqual(createHost('IDSN').host.pollsColors, false);
+});
+
+// ===========================================
+// PART 2: FILL AND STROKE
+// ===========================================
+
+['ILST', 'IDSN'].forEach(function(appName) {
+    test(appName + ': fill and stroke become the foreground and background colors', function() {
+        var setup = createHost(appName, { fill: 'rgb:255,0,0', stroke: 'rgb:0,0,255', name: 'Poster' });
+        var host = setup.host;
+        var origins = [];
+        host.colorChanged.add(function(origin) { origins.push(origin); });
+        // _initialize() asked for the colors
+        assert.deepStrictEqual(setup.fake.callsOf('notifyColors'), [[true]]);
+        assert.deepStrictEqual([hexOf(host.foregroundColor), hexOf(host.backgroundColor)], ['ff0000', '0000ff']);
+        assert.strictEqual(host.documentName, 'Poster');
+
+        // Only the fill changed: the stroke stays, nothing is written back to the host
+        setup.fake.document.fill = 'gray:25';
+        reportChange(setup);
+        assert.deepStrictEqual([hexOf(host.foregroundColor), hexOf(host.backgroundColor)], ['bfbfbf', '0000ff']);
+        assert.deepStrictEqual(origins, ['host']);
+        assert.deepStrictEqual(setup.fake.callsOf('setFill').concat(setup.fake.callsOf('setStroke')), []);
+
+        // No stroke (none, gradient, pattern) keeps the background color
+        setup.fake.document.stroke = '';
+        reportChange(setup);
+        assert.strictEqual(hexOf(host.backgroundColor), '0000ff');
+    });
+
+    test(appName + ': the foreground color sets the fill, the background color the stroke', function() {
+        var setup = createHost(appName, { fill: 'rgb:255,0,0', stroke: 'rgb:0,0,255' });
+        var host = setup.host;
+        var origins = [];
+        host.colorChanged.add(function(origin) { origins.push(origin); });
+
+        host.foregroundColor.rawColor = 0x336699;
+        assert.deepStrictEqual(setup.fake.callsOf('setFill'), [['rgb:51,102,153']]);
+        host.backgroundColor.rawColor = 0x00ff00;
+        assert.deepStrictEqual(setup.fake.callsOf('setStroke'), [['rgb:0,255,0']]);
+        // The colors reported back are the ones the panel has: no second change
+        assert.deepStrictEqual(origins, ['panel', 'panel']);
+        assert.deepStrictEqual([setup.fake.document.fill, setup.fake.document.stroke], ['rgb:51,102,153', 'rgb:0,255,0']);
+    });
+
+    // ===========================================
+    // PART 3: DOCUMENT COLOR MODE
+    // ===========================================
+
+    test(appName + ': colors of CMYK documents are read and written as CMYK', function() {
+        var setup = createHost(appName, { mode: 'CMYK', fill: 'cmyk:0,100,100,0', stroke: 'cmyk:100,0,0,0' });
+        var host = setup.host;
+        assert.strictEqual(host.documentColorMode, 'CMYK');
+        assert.deepStrictEqual([hexOf(host.foregroundColor), hexOf(host.backgroundColor)], ['ff0000', '00ffff']);
+
+        host.foregroundColor.rawColor = 0x0000ff;
+        assert.deepStrictEqual(setup.fake.callsOf('setFill'), [['cmyk:100,100,0,0']]);
+        host.backgroundColor.rawColor = 0x808080;
+        assert.deepStrictEqual(setup.fake.callsOf('setStroke'), [['cmyk:0,0,0,50']]);
+    });
+
+    test(appName + ': switching documents switches the color mode', function() {
+        var setup = createHost(appName, { mode: 'CMYK', fill: 'cmyk:0,100,100,0', stroke: 'cmyk:100,0,0,0', name: 'Print' });
+        var host = setup.host;
+        Object.assign(setup.fake.document, { mode: 'RGB', fill: 'rgb:255,255,0', name: 'Screen' });
+        host.updateColors();
+        assert.strictEqual(host.documentColorMode, 'RGB');
+        assert.strictEqual(host.documentName, 'Screen');
+        assert.strictEqual(hexOf(host.foregroundColor), 'ffff00');
+
+        host.foregroundColor.rawColor = 0xff8000;
+        assert.deepStrictEqual(setup.fake.callsOf('setFill'), [['rgb:255,128,0']]);
+    });
+});
+
+// ===========================================
+// PART 4: BRIDGE
+// ===========================================
+
+test('the bridge quotes arguments and hands over canned results', function() {
+    var fake = new FakeExtendScript('ILST', { getSettings: { panel: 'mixers' } });
+    var context = panel.loadScripts(['js/hostadapters.js'], { PhotoshopHostApp: PhotoshopHostApp });
+    var bridge = new context.HostAdapters.ExtendScriptBridge(fake.csInterface);
+    var result = null;
+    bridge.call('getSettings', ['settings "1"'], function(value) { result = value; });
+    assert.strictEqual(fake.scripts[0], 'coolorus3.getSettings("settings \\"1\\"")');
+    assert.deepStrictEqual(JSON.parse(result), { panel: 'mixers' });
+    // Script errors come back as null
+    fake.csInterface.evalScript = function(script, callback) { callback('EvalScript error.'); };
+    bridge.call('getSettings', ['settings'], function(value) { result = value; });
+    assert.strictEqual(result, null);
+});
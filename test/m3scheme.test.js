@@ -0,0 +1,51 @@
+
+// Tests of the Material 3 scheme export of js/m3scheme.js against SchemeTonalSpot and MaterialDynamicColors
+// of @material/material-color-utilities at standard contrast. fixtures/m3scheme/seed-6750a4.json is what
+// material-color-utilities 0.3.0 gives for the seed #6750A4, in the panel's JSON export format.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var ColorEngine = require('../js/colorengine.js');
+var panel = require('./support/panel.js');
+
+function PhotoshopHostApp() {}
+PhotoshopHostApp.registerMenuItem = function() {};
+
+var M3Scheme = panel.loadScripts(['js/m3scheme.js'], {
+    Hct: ColorEngine.Hct,
+    PhotoshopHostApp: PhotoshopHostApp
+}).M3Scheme;
+
+var material = import('@material/material-color-utilities');
+
+function hexOf(argb) {
+    return '#' + ((1 << 24) + (argb & 0xFFFFFF)).toString(16).slice(1).toUpperCase();
+}
+
+test('the JSON export of #6750A4 matches the fixture', function() {
+    var expected = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'm3scheme', 'seed-6750a4.json'), 'utf8'));
+    assert.deepStrictEqual(JSON.parse(M3Scheme.toJSON(M3Scheme.fromSeed(0x6750a4))), expected);
+});
+
+test('roles and palettes match SchemeTonalSpot', async function() {
+    var utilities = await material;
+    [0x6750a4, 0xb3261e, 0x00ff00, 0x808080, 0x0b57d0, 0xffeb3b, 0x000000].forEach(function(seed) {
+        var actual = panel.plain(M3Scheme.fromSeed(seed));
+        [false, true].forEach(function(isDark) {
+            var scheme = new utilities.SchemeTonalSpot(utilities.Hct.fromInt(0xFF000000 | seed), isDark, 0);
+            var roles = actual[isDark ? 'dark' : 'light'];
+            Object.keys(roles).forEach(function(role) {
+                var expected = hexOf(utilities.MaterialDynamicColors[role].getArgb(scheme));
+                assert.strictEqual(roles[role], expected, hexOf(seed) + (isDark ? ' dark ' : ' light ') + role);
+            });
+            Object.keys(actual.palettes).forEach(function(name) {
+                ColorEngine.Hct.PALETTE_TONES.forEach(function(tone) {
+                    var expected = hexOf(scheme[name + 'Palette'].tone(tone));
+                    assert.strictEqual(actual.palettes[name][tone], expected, hexOf(seed) + ' ' + name + ' ' + tone);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,92 @@
+
+// Checks that the color classes and wheel color spaces of js/colorengine.js agree with the bundled copies
+// in js/main.js, which the panel still runs. The main.js ones are cut out of the bundle (their
+// constructors and their prototype block) and run in a vm context with stubs for what they use.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+var ColorEngine = require('../js/colorengine.js');
+
+function slice(source, from, to) {
+    var start = source.indexOf(from), end = source.indexOf(to, start);
+    assert.ok(start >= 0 && end > start, 'main.js has ' + from + ' ... ' + to);
+    return source.slice(start, end);
+}
+
+function loadMainColors() {
+    var source = fs.readFileSync(path.join(__dirname, '..', 'js', 'main.js'), 'utf8');
+    function Signal() {}
+    Signal.prototype = { add: function() {}, remove: function() {}, dispatch: function() {} };
+    var context = vm.createContext({
+        signals: { Signal: Signal },
+        coolorus: { getLocalizedString: function(key) { return key; } },
+        // The two entries of main.js' string table the color classes use
+        O3a: { V5: '0', t7: 255 }
+    });
+    context.window = context;
+    vm.runInContext(slice(source, 'function ColorBase(', 'function Binding(') +
+        slice(source, 'ColorBase.prototype=', 'var ColorBinding='), context, { filename: 'js/main.js' });
+    return context;
+}
+
+var Main = loadMainColors();
+
+// Every 51st value of each channel, plus a few off the grid
+var RAW_COLORS = [0x3366cc, 0x808080, 0x7f8082, 0x123456, 0xfedcba, 0x010203];
+for (var r = 0; r <= 255; r += 51) {
+    for (var g = 0; g <= 255; g += 51) {
+        for (var b = 0; b <= 255; b += 51) RAW_COLORS.push(r << 16 | g << 8 | b);
+    }
+}
+
+function components(Class, raw, names) {
+    // A new color is raw 0 with no components, and setting the raw color it already has does nothing
+    var color = new Class();
+    color.rawColor = raw ^ 1;
+    color.rawColor = raw;
+    return names.map(function(name) { return color[name]; });
+}
+
+var CLASSES = [
+    ['RGB', ['r', 'g', 'b']],
+    ['HSV', ['h', 's', 'v']],
+    ['CMYK', ['c', 'm', 'y', 'k']],
+    ['XYZ', ['x', 'y', 'z']],
+    ['LAB', ['l', 'a', 'b']]
+];
+
+CLASSES.forEach(function(entry) {
+    var name = entry[0], names = entry[1];
+    test(name + ' agrees with main.js', function() {
+        RAW_COLORS.forEach(function(raw) {
+            var label = name + ' of #' + raw.toString(16);
+            var expected = components(Main[name], raw, names);
+            var actual = components(ColorEngine[name], raw, names);
+            actual.forEach(function(value, i) {
+                assert.ok(Math.abs(value - expected[i]) <= 1e-9,
+                    label + ' ' + names[i] + ': expected ' + expected[i] + ', got ' + value);
+            });
+
+            var main = new Main[name](), engine = new ColorEngine[name]();
+            names.forEach(function(component, i) {
+                main[component] = expected[i];
+                engine[component] = expected[i];
+            });
+            assert.strictEqual(engine.rawColor, main.rawColor, label + ' back to RGB');
+            assert.strictEqual(engine.hex, main.hex, label + ' hex');
+        });
+    });
+});
+
+['RGBWheelColorSpace', 'RYBWheelColorSpace'].forEach(function(name) {
+    test(name + ' agrees with main.js', function() {
+        var main = new Main[name](), engine = new ColorEngine[name]();
+        for (var angle = -30; angle <= 390; angle += 7.5) {
+            assert.ok(Math.abs(engine.angle2hue(angle) - main.angle2hue(angle)) <= 1e-9, name + ' angle2hue(' + angle + ')');
+            assert.ok(Math.abs(engine.hue2angle(angle) - main.hue2angle(angle)) <= 1e-9, name + ' hue2angle(' + angle + ')');
+        }
+    });
+});
@@ -0,0 +1,36 @@
+
+// Tests of the mixer mode registry of js/mixers.js: addon modes are added after the built-in ones, and a mode
+// that fails to build is reported without keeping the others out.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var panel = require('./support/panel.js');
+
+// main.js' MixerTabs as far as the registry builds on it
+function MixerTabs() {
+    this.modes = ['history', 'blender'];
+    this._order = { setOrder: function() {} };
+}
+
+MixerTabs.prototype = {
+    addMode: function(mode) {
+        this.modes.push(mode);
+    },
+    updateTabs: function() {}
+};
+
+test('a failing addon mode is rethrown later and the other modes are added', function() {
+    var timers = [];
+    var context = panel.loadScripts(['js/mixers.js'], {
+        MixerTabs: MixerTabs,
+        Settings: { getGlobal: function() { return null; } },
+        setTimeout: function(callback) { timers.push(callback); }
+    });
+    context.MixerTabs.registerMode(function() { throw new Error('mode failed'); });
+    context.MixerTabs.registerMode(function() { return 'gradient'; });
+
+    var tabs = new context.MixerTabs();
+    assert.deepStrictEqual(panel.plain(tabs.modes), ['history', 'blender', 'gradient']);
+    assert.strictEqual(timers.length, 1);
+    assert.throws(timers[0], /mode failed/);
+});
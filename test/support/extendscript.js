@@ -0,0 +1,95 @@
+
+// A fake ExtendScript side of CEP for the host adapter tests (js/hostadapters.js).
+// new CSInterface() in the panel scripts returns fake.csInterface: evalScript() records every script in
+// fake.scripts (with method and args for coolorus3.<method>(...) calls in fake.calls) and answers with
+// the canned result for the method, as JSON, or "undefined" like ExtendScript does for no result.
+// The color functions of jsx/ILST.jsx and jsx/IDSN.jsx are simulated on fake.document:
+// { mode: "RGB" | "CMYK", fill, stroke, name }, with colors as specs ("rgb:255,0,0", "cmyk:0,100,100,0").
+// notifyColors() and setFill() / setStroke() report them with the com.coolorus.colorChanged event the way
+// jsx/events.jsx does, to the listeners the panel added with addEventListener().
+
+var COLOR_EVENT = 'com.coolorus.colorChanged';
+
+// coolorus3.<method>(<JSON arguments>) as the adapters' ExtendScriptBridge writes it
+var CALL = /^coolorus3(?:events)?\.(\w+)\((.*)\)$/;
+
+function FakeExtendScript(appName, results) {
+    var fake = this;
+    this.appName = appName;
+    this.results = results || {};
+    this.scripts = [];
+    this.calls = [];
+    this.listeners = {};
+    this.document = { mode: 'RGB', fill: '', stroke: '', name: '' };
+    this.lastData = null;
+    this.csInterface = {
+        hostEnvironment: { appName: appName },
+        evalScript: function(script, callback) {
+            fake.evalScript(script, callback);
+        },
+        addEventListener: function(type, listener) {
+            (fake.listeners[type] = fake.listeners[type] || []).push(listener);
+        },
+        getSystemPath: function() {
+            return '/extension';
+        }
+    };
+}
+
+FakeExtendScript.prototype = {
+    evalScript: function(script, callback) {
+        this.scripts.push(script);
+        var match = CALL.exec(script);
+        var result;
+        if (match) {
+            var call = { method: match[1], args: JSON.parse('[' + match[2] + ']') };
+            this.calls.push(call);
+            result = this.run(call);
+        }
+        if (callback) callback(result === undefined ? 'undefined' : result);
+    },
+
+    run: function(call) {
+        if (this.results.hasOwnProperty(call.method)) return JSON.stringify(this.results[call.method]);
+        var doc = this.document;
+        switch (call.method) {
+            case 'notifyColors':
+                this.dispatchColors(call.args[0]);
+                break;
+            case 'setFill':
+                doc.fill = call.args[0];
+                this.dispatchColors(false);
+                break;
+            case 'setStroke':
+                doc.stroke = call.args[0];
+                this.dispatchColors(false);
+                break;
+        }
+    },
+
+    // Like coolorus3events.dispatchColors(): no event when nothing changed, unless forced
+    dispatchColors: function(force) {
+        var doc = this.document;
+        var data = doc.mode + '|' + doc.fill + '|' + doc.stroke + '|' + doc.name;
+        if (data === this.lastData && !force) return;
+        this.lastData = data;
+        this.dispatch(COLOR_EVENT, data);
+    },
+
+    dispatch: function(type, data) {
+        (this.listeners[type] || []).forEach(function(listener) {
+            listener({ type: type, data: data });
+        });
+    },
+
+    // The calls of a method, as their argument lists
+    callsOf: function(method) {
+        return this.calls.filter(function(call) {
+            return call.method === method;
+        }).map(function(call) {
+            return call.args;
+        });
+    }
+};
+
+module.exports = FakeExtendScript;
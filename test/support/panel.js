@@ -0,0 +1,35 @@
+
+// Loads panel scripts (js/*.js, which set window.* like in the panel) into a fresh vm context for tests.
+// globals stand in for what main.js and the scripts loaded before them define; window is the context
+// itself, so window.X and a bare X are the same global, as in the browser.
+// Objects made inside the context have the context's own Object and Array: compare them with plain().
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var ROOT = path.join(__dirname, '..', '..');
+
+function loadScripts(files, globals) {
+    var context = vm.createContext(Object.assign({}, globals));
+    context.window = context;
+    files.forEach(function(file) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+// A copy of a JSON value made in a context, for assert.deepStrictEqual()
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function fixture(name) {
+    return new Uint8Array(fs.readFileSync(path.join(__dirname, '..', 'fixtures', name)));
+}
+
+module.exports = {
+    loadScripts: loadScripts,
+    plain: plain,
+    fixture: fixture
+};
@@ -0,0 +1,130 @@
+
+// Tests of the .ase / .aco readers and writers of js/swatchfiles.js with the files in test/fixtures/swatches:
+// - photoshop-default.ase: Photoshop's default swatches saved for exchange by Photoshop (the sample file of
+//   the adobe-swatch-exchange package, MIT, see fixtures/swatches/NOTICE)
+// - spot-lab-gray.ase: a group with a spot CMYK, a global LAB and a process Gray color, then an RGB color
+//   outside the group with a non-ASCII name
+// - spaces.aco: RGB, HSB, CMYK, Lab and Grayscale colors, version 1 followed by version 2 with names
+// - unnamed-v1.aco: the same colors without the version 2 section
+// The last three were written byte by byte after Adobe's file format specifications.
+
+var test = require('node:test');
+var assert = require('node:assert');
+var ColorEngine = require('../js/colorengine.js');
+var panel = require('./support/panel.js');
+
+function MixersPanel() {}
+function SwatchesMode() {}
+function PhotoshopHostApp() {}
+PhotoshopHostApp.prototype.openFileDialog = function() {};
+
+var SwatchFiles = panel.loadScripts(['js/icc.js', 'js/swatchfiles.js'], {
+    MixersPanel: MixersPanel,
+    SwatchesMode: SwatchesMode,
+    PhotoshopHostApp: PhotoshopHostApp,
+    HSV: ColorEngine.HSV,
+    CMYK: ColorEngine.CMYK
+}).SwatchFiles;
+
+// Float32 values as read back from the file
+function f32(value) {
+    return Math.fround(value);
+}
+
+// ===========================================
+// PART 1: ADOBE SWATCH EXCHANGE (.ase)
+// ===========================================
+
+test('parseAse reads the swatches Photoshop saved', function() {
+    var swatches = panel.plain(SwatchFiles.parseAse(panel.fixture('swatches/photoshop-default.ase')));
+    assert.strictEqual(swatches.length, 122);
+    assert.deepStrictEqual(swatches[0], { name: 'RGB Red', group: '', model: 'RGB', values: [1, 0, 0], type: 'global' });
+    assert.deepStrictEqual(swatches[6], { name: 'White', group: '', model: 'Gray', values: [1], type: 'global' });
+    assert.deepStrictEqual(swatches[16], { name: 'CMYK Red', group: '', model: 'CMYK', values: [0, 1, 1, 0], type: 'global' });
+    assert.deepStrictEqual(swatches[31], { name: 'Black', group: '', model: 'Gray', values: [0], type: 'global' });
+    assert.deepStrictEqual(swatches[121], {
+        name: 'Darker Warm Brown', group: '', model: 'CMYK', values: [f32(0.399993896484375), f32(0.70001220703125), 1, 0.5], type: 'global'
+    });
+    var models = {};
+    swatches.forEach(function(swatch) {
+        models[swatch.model] = (models[swatch.model] || 0) + 1;
+    });
+    assert.deepStrictEqual(models, { RGB: 6, Gray: 20, CMYK: 96 });
+});
+
+test('parseAse reads groups, spot colors, LAB and Gray', function() {
+    var swatches = panel.plain(SwatchFiles.parseAse(panel.fixture('swatches/spot-lab-gray.ase')));
+    assert.deepStrictEqual(swatches, [
+        { name: 'Spot Red', group: 'Brand', model: 'CMYK', values: [0, f32(0.9), f32(0.85), f32(0.05)], type: 'spot' },
+        // L is 0-1 in the file
+        { name: 'Lab Teal', group: 'Brand', model: 'LAB', values: [f32(0.55) * 100, -38, -9.5], type: 'global' },
+        { name: 'Warm Gray', group: 'Brand', model: 'Gray', values: [f32(0.35)], type: 'process' },
+        { name: 'Grün', group: '', model: 'RGB', values: [f32(0.2), f32(0.6), 0.25], type: 'process' }
+    ]);
+});
+
+test('writeAse writes the files back byte for byte', function() {
+    ['swatches/photoshop-default.ase', 'swatches/spot-lab-gray.ase'].forEach(function(name) {
+        var bytes = panel.fixture(name);
+        assert.deepStrictEqual(Buffer.from(SwatchFiles.writeAse(SwatchFiles.parseAse(bytes))), Buffer.from(bytes), name);
+    });
+});
+
+test('parseAse rejects broken files', function() {
+    var bytes = panel.fixture('swatches/photoshop-default.ase');
+    assert.throws(function() { SwatchFiles.parseAse(bytes.slice(0, 100)); }, /ASE file is truncated at byte 100/);
+    assert.throws(function() { SwatchFiles.parseAse(panel.fixture('swatches/spaces.aco')); }, /Not an ASE file/);
+});
+
+// ===========================================
+// PART 2: PHOTOSHOP SWATCHES (.aco)
+// ===========================================
+
+test('parseAco reads every color space', function() {
+    var swatches = panel.plain(SwatchFiles.parseAco(panel.fixture('swatches/spaces.aco')));
+    assert.deepStrictEqual(swatches, [
+        { name: 'Orange', model: 'RGB', values: [1, 0x8080 / 65535, 0], group: '', type: 'process' },
+        // HSB 270°, 100%, 50% becomes RGB
+        { name: 'HSB Violet', model: 'RGB', values: [64 / 255, 0, 128 / 255], group: '', type: 'process' },
+        // 0 is 100% ink
+        { name: 'Process Cyan', model: 'CMYK', values: [1, 0, 0, 0], group: '', type: 'process' },
+        { name: 'Lab Green', model: 'LAB', values: [60, -50, 30], group: '', type: 'process' },
+        { name: 'Gray 25%', model: 'Gray', values: [0.75], group: '', type: 'process' }
+    ]);
+});
+
+test('parseAco names the colors of version 1 files after their hex', function() {
+    var swatches = SwatchFiles.parseAco(panel.fixture('swatches/unnamed-v1.aco'));
+    assert.deepStrictEqual(panel.plain(swatches.map(function(swatch) { return swatch.name; })),
+        ['#FF8000', '#400080', '#00FFFF', '#1AA658', '#BFBFBF']);
+});
+
+test('writeAco round-trips the colors', function() {
+    var swatches = SwatchFiles.parseAco(panel.fixture('swatches/spaces.aco'));
+    var written = SwatchFiles.writeAco(swatches);
+    assert.deepStrictEqual(panel.plain(SwatchFiles.parseAco(written)), panel.plain(swatches));
+    // Only the HSB color changes, to RGB
+    var bytes = panel.fixture('swatches/spaces.aco');
+    assert.strictEqual(written.length, bytes.length);
+    var differences = [];
+    for (var i = 0; i < bytes.length; i++) {
+        if (written[i] !== bytes[i]) differences.push(i);
+    }
+    // In the version 1 section: [space, w, x, y, z] of the second color, bytes 14-23
+    var section1 = differences.filter(function(offset) { return offset < 54; });
+    assert.ok(section1.length > 0 && section1.every(function(offset) { return offset >= 14 && offset < 24; }), section1.join());
+});
+
+test('ASE swatches convert to ACO and back', function() {
+    var swatches = SwatchFiles.parseAse(panel.fixture('swatches/spot-lab-gray.ase'));
+    var converted = panel.plain(SwatchFiles.parseAco(SwatchFiles.writeAco(swatches)));
+    // ACO has no groups or spot colors and stores 1/100 of L, a and b, 1/10000 of gray
+    assert.deepStrictEqual(converted.map(function(swatch) { return [swatch.name, swatch.model, swatch.group, swatch.type]; }), [
+        ['Spot Red', 'CMYK', '', 'process'],
+        ['Lab Teal', 'LAB', '', 'process'],
+        ['Warm Gray', 'Gray', '', 'process'],
+        ['Grün', 'RGB', '', 'process']
+    ]);
+    assert.deepStrictEqual(converted[1].values, [55, -38, -9.5]);
+    assert.deepStrictEqual(converted[2].values, [0.35]);
+});